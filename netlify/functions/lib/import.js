@@ -0,0 +1,203 @@
+/**
+ * Watchlist export parsing and title matching for the import/import_list action.
+ * Pure functions with no upstream calls, so they can be tested offline.
+ */
+
+const IMDB_SERIES_TYPES = ['tv series', 'tv mini series', 'tvseries', 'tvminiseries', 'tv mini-series'];
+
+// Thrown for content that can't be parsed; the proxy reports it as a 400 INVALID_IMPORT
+class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFormatError';
+    }
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes and embedded newlines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const c = input[i];
+        if (inQuotes) {
+            if (c === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        headers.forEach((h, i) => { record[h] = (values[i] || '').trim(); });
+        return record;
+    });
+}
+
+function detectImportSource(records, format) {
+    if (format === 'json') {
+        const first = records[0] || {};
+        return first.movie || first.show ? 'trakt' : 'generic';
+    }
+    const headers = Object.keys(records[0] || {});
+    if (headers.includes('Letterboxd URI')) return 'letterboxd';
+    if (headers.includes('Const') && headers.includes('Title Type')) return 'imdb';
+    return 'generic';
+}
+
+function toInt(value) {
+    const n = parseInt(value);
+    return isNaN(n) ? undefined : n;
+}
+
+/**
+ * Turn an export record into { title, year, mediaType, imdbId, tmdbId, tvdbId }
+ */
+function normalizeImportRecord(record, source) {
+    switch (source) {
+        case 'letterboxd':
+            return { title: record.Name, year: toInt(record.Year), mediaType: 'movie' };
+        case 'imdb': {
+            const titleType = String(record['Title Type'] || '').toLowerCase();
+            return {
+                title: record.Title || record['Original Title'],
+                year: toInt(record.Year),
+                mediaType: IMDB_SERIES_TYPES.includes(titleType) ? 'series' : 'movie',
+                imdbId: record.Const || undefined
+            };
+        }
+        case 'trakt': {
+            const item = record.movie || record.show || {};
+            const ids = item.ids || {};
+            return {
+                title: item.title,
+                year: toInt(item.year),
+                mediaType: record.show || record.type === 'show' ? 'series' : 'movie',
+                imdbId: ids.imdb || undefined,
+                tmdbId: toInt(ids.tmdb),
+                tvdbId: toInt(ids.tvdb)
+            };
+        }
+        default: {
+            const type = String(record.type || record.mediaType || record.Type || '').toLowerCase();
+            return {
+                title: record.title || record.Title || record.name || record.Name,
+                year: toInt(record.year || record.Year),
+                mediaType: ['series', 'show', 'tv'].includes(type) || record.tvdbId ? 'series' : 'movie',
+                imdbId: record.imdbId || record.imdb_id || record.Const || undefined,
+                tmdbId: toInt(record.tmdbId || record.tmdb_id),
+                tvdbId: toInt(record.tvdbId || record.tvdb_id)
+            };
+        }
+    }
+}
+
+/**
+ * Parse an export body into normalized rows; each row keeps its 1-based position in the file
+ */
+function parseWatchlistExport(content, { format = 'auto', source = 'auto', mediaType = 'auto' } = {}) {
+    const trimmed = String(content || '').trim();
+    const resolvedFormat = format === 'auto' ? (/^[[{]/.test(trimmed) ? 'json' : 'csv') : format;
+
+    let records;
+    if (resolvedFormat === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (e) {
+            throw new ImportFormatError(`Import content is not valid JSON: ${e.message}`);
+        }
+        records = Array.isArray(parsed) ? parsed : (parsed.items || parsed.watchlist || parsed.results || []);
+    } else {
+        records = parseCsv(trimmed);
+    }
+
+    const resolvedSource = source === 'auto' ? detectImportSource(records, resolvedFormat) : source;
+    const rows = records.map((record, i) => {
+        const row = normalizeImportRecord(record, resolvedSource);
+        if (mediaType !== 'auto') row.mediaType = mediaType;
+        return { row: i + 1, ...row };
+    });
+    return { format: resolvedFormat, source: resolvedSource, rows };
+}
+
+function normalizeTitleForMatch(title) {
+    return String(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/^the /, '')
+        .trim();
+}
+
+function summarizeCandidate(item, mediaType) {
+    return {
+        title: item.title,
+        year: item.year,
+        tmdbId: mediaType === 'movie' ? item.tmdbId : undefined,
+        tvdbId: mediaType === 'series' ? item.tvdbId : undefined,
+        imdbId: item.imdbId
+    };
+}
+
+/**
+ * Pick the lookup result for a row: exact normalized title, then year (allowing one year of drift)
+ */
+function matchLookupResults(row, results) {
+    const wanted = normalizeTitleForMatch(row.title);
+    const sameTitle = results.filter(r =>
+        normalizeTitleForMatch(r.title) === wanted ||
+        (Array.isArray(r.alternateTitles) && r.alternateTitles.some(a => normalizeTitleForMatch(a.title) === wanted))
+    );
+
+    let candidates = sameTitle;
+    if (row.year && sameTitle.length > 0) {
+        const exactYear = sameTitle.filter(r => r.year === row.year);
+        candidates = exactYear.length > 0 ? exactYear : sameTitle.filter(r => Math.abs((r.year || 0) - row.year) <= 1);
+    }
+
+    if (candidates.length === 1) return { status: 'matched', match: candidates[0] };
+    if (candidates.length > 1) return { status: 'ambiguous', candidates };
+    return { status: 'unmatched', suggestions: results.slice(0, 3) };
+}
+
+module.exports = {
+    ImportFormatError,
+    parseCsv,
+    parseWatchlistExport,
+    normalizeTitleForMatch,
+    summarizeCandidate,
+    matchLookupResults
+};
@@ -1,4 +1,9 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const dotenv = require('dotenv');
+const { ImportFormatError, parseWatchlistExport, matchLookupResults, summarizeCandidate } = require('./lib/import');
 dotenv.config();
 
 /**
@@ -7,167 +12,3644 @@ dotenv.config();
  */
 
 exports.handler = async (event, context) => {
-    // Add comprehensive logging
-    console.log('[PROXY] Function invoked with method:', event.httpMethod);
-    console.log('[PROXY] Event body:', event.body);
+    const requestCtx = createRequestContext(event);
+    return await requestContext.run(requestCtx, async () => {
+        const response = await handleEvent(event, context, requestCtx);
+        response.headers = { ...response.headers, 'X-Request-Id': requestCtx.requestId };
+        logEvent(response.statusCode >= 500 ? 'error' : 'info', 'Request completed', {
+            tag: 'PROXY',
+            method: event.httpMethod,
+            statusCode: response.statusCode,
+            outcome: response.statusCode < 400 ? 'success' : 'error',
+            errorCode: requestCtx.errorCode,
+            durationMs: Date.now() - requestCtx.startedAt
+        });
+        return response;
+    });
+};
+
+async function handleEvent(event, context, requestCtx) {
+    log.info('[PROXY] Function invoked with method:', event.httpMethod);
+    log.debug('[PROXY] Event body:', event.body);
     
-    // Only allow POST requests
-    if (event.httpMethod !== 'POST') {
+    let cors;
+    try {
+        cors = resolveCors(event);
+    } catch (error) {
+        return {
+            statusCode: error.statusCode || 500,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(serializeError(normalizeError(error)))
+        };
+    }
+    const corsHeaders = cors.headers;
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+        if (!cors.allowed) {
+            log.warn('[CORS] Rejected preflight from origin:', cors.origin);
+            return {
+                statusCode: 403,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: JSON.stringify({ success: false, error: `Origin not allowed: ${cors.origin}`, code: 'ORIGIN_NOT_ALLOWED' })
+            };
+        }
+        return {
+            statusCode: 204,
+            headers: {
+                ...corsHeaders,
+                'Access-Control-Allow-Headers': CORS_ALLOWED_HEADERS.join(', '),
+                'Access-Control-Allow-Methods': CORS_ALLOWED_METHODS.join(', '),
+                'Access-Control-Max-Age': String(CORS_MAX_AGE_SECONDS)
+            },
+            body: ''
+        };
+    }
+
+    if (!cors.allowed) {
+        log.warn('[CORS] Rejected request from origin:', cors.origin);
+        return {
+            statusCode: 403,
+            headers: {
+                'Content-Type': 'application/json',
+                ...corsHeaders
+            },
+            body: JSON.stringify({ success: false, error: `Origin not allowed: ${cors.origin}`, code: 'ORIGIN_NOT_ALLOWED' })
+        };
+    }
+
+    // POST carries { service, action, data }; GET is a shortcut for proxy/health so uptime monitors can poll
+    const isHealthCheck = event.httpMethod === 'GET';
+    if (event.httpMethod !== 'POST' && !isHealthCheck) {
         return {
             statusCode: 405,
             headers: {
                 'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS'
+                'Allow': CORS_ALLOWED_METHODS.join(', '),
+                ...corsHeaders
+            },
+            body: JSON.stringify({ success: false, error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' })
+        };
+    }
+
+    // Authenticate before any service handler runs. An address whose "unauthenticated" budget is spent
+    // is turned away before credentials are checked; only failed attempts and anonymous requests
+    // draw from it, so callers with valid credentials behind a shared IP aren't throttled together.
+    let identity;
+    try {
+        const ipClient = `ip:${getClientIp(event)}`;
+        await enforceRateLimit(ipClient, 'proxy', 'authenticate', { bucket: 'unauthenticated', cost: 0 });
+        try {
+            identity = authenticateRequest(event);
+        } catch (error) {
+            if (error instanceof AuthError) {
+                await enforceRateLimit(ipClient, 'proxy', 'authenticate', { bucket: 'unauthenticated' });
+            }
+            throw error;
+        }
+        if (identity.method === 'none') {
+            await enforceRateLimit(ipClient, 'proxy', 'authenticate', { bucket: 'unauthenticated' });
+        }
+    } catch (error) {
+        log.warn('[AUTH] Rejected request:', error.message);
+        const retryAfterSeconds = error.details && error.details.retryAfterSeconds;
+        return {
+            statusCode: error.statusCode || 401,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(retryAfterSeconds ? { 'Retry-After': String(retryAfterSeconds) } : {}),
+                ...corsHeaders,
+                ...(error instanceof AuthError ? { 'WWW-Authenticate': error.challenge || 'Bearer' } : {})
+            },
+            body: JSON.stringify(serializeError(normalizeError(error)))
+        };
+    }
+    log.info(`[AUTH] Authenticated ${identity.id} via ${identity.method}`);
+
+    let service;
+    let action;
+    let idempotency = null;
+    try {
+        // Parse request body with error handling
+        let parsedBody;
+        if (isHealthCheck) {
+            const query = event.queryStringParameters || {};
+            parsedBody = {
+                service: 'proxy',
+                action: 'health',
+                data: { ...query, services: query.services ? query.services.split(',').map(s => s.trim()) : undefined }
+            };
+        } else {
+            try {
+                parsedBody = JSON.parse(event.body);
+            } catch (parseError) {
+                throw new ValidationError(`Invalid JSON in request body: ${parseError.message}`, { code: 'INVALID_JSON' });
+            }
+        }
+        
+        ({ service, action } = parsedBody || {});
+        let { data } = parsedBody || {};
+        requestCtx.service = service;
+        requestCtx.action = action;
+        
+        log.debug(`[PROXY] ${service}/${action} request:`, data);
+
+        // Coerce the payload and fill configured defaults so the policy sees the values the handler will use
+        data = validateRequestData(service, action, data);
+
+        // Enforce the per-role policy before dispatching to any service handler
+        authorizeRequest(identity, service, action, data);
+        const rateLimitClient = getRateLimitClient(identity, event);
+        if (!isChargedPerUpstreamCall(service, action, data)) {
+            await enforceRateLimit(rateLimitClient, service, action);
+        }
+
+        // Replay the stored response when a client retries with the same Idempotency-Key
+        const idempotencyKey = getHeader(event, 'Idempotency-Key');
+        if (idempotencyKey) {
+            idempotency = beginIdempotentRequest(identity, idempotencyKey, event.body);
+            if (idempotency.replay) {
+                log.info(`[PROXY] Replaying response for Idempotency-Key ${idempotencyKey}`);
+                return {
+                    statusCode: idempotency.replay.statusCode,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Replayed': 'true',
+                        ...corsHeaders
+                    },
+                    body: idempotency.replay.body
+                };
+            }
+        }
+
+        const result = await dispatchRequest(service, action, data, { identity, rateLimitClient });
+        // A failing health check answers 503 so uptime monitors see it without parsing the body
+        const healthDown = service === 'proxy' && action === 'health' && result.status === 'down';
+        const statusCode = healthDown ? 503 : 200;
+
+        const responseBody = JSON.stringify({
+            success: !healthDown,
+            data: result
+        });
+        if (idempotency) {
+            completeIdempotentRequest(idempotency, statusCode, responseBody);
+        }
+
+        // Cacheable reads carry an ETag so clients can revalidate with If-None-Match
+        const ttl = getCacheTtl(service, action);
+        const cacheHeaders = { 'Cache-Control': ttl > 0 ? `private, max-age=${ttl}` : 'no-store' };
+        if (ttl > 0) {
+            const etag = `"${crypto.createHash('sha256').update(responseBody).digest('base64url').slice(0, 27)}"`;
+            cacheHeaders['ETag'] = etag;
+            if (etagMatches(getHeader(event, 'If-None-Match'), etag)) {
+                return { statusCode: 304, headers: { ...cacheHeaders, ...corsHeaders }, body: '' };
+            }
+        }
+
+        return {
+            statusCode,
+            headers: {
+                'Content-Type': 'application/json',
+                ...cacheHeaders,
+                ...corsHeaders
+            },
+            body: responseBody
+        };
+
+    } catch (error) {
+        if (idempotency && !idempotency.replay) {
+            // Failed attempts aren't recorded so the client can retry with the same key
+            releaseIdempotentRequest(idempotency);
+        }
+        const proxyError = normalizeError(error, service, action);
+        // Client errors (validation, policy, rate limits) are expected traffic: no stack, no error-level alerting
+        if (proxyError.statusCode < 500) {
+            log.warn(`[PROXY] ${proxyError.code}: ${proxyError.message}`);
+        } else {
+            log.error('[PROXY] Error:', error);
+        }
+        requestCtx.errorCode = proxyError.code;
+        const retryAfterSeconds = proxyError.details && proxyError.details.retryAfterSeconds;
+        return {
+            statusCode: proxyError.statusCode,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(retryAfterSeconds ? { 'Retry-After': String(retryAfterSeconds) } : {}),
+                ...corsHeaders
             },
-            body: JSON.stringify({ error: 'Method not allowed' })
+            body: JSON.stringify(serializeError(proxyError))
+        };
+    }
+}
+
+// ---- Errors ----
+// Every failure surfaces as a ProxyError so the frontend can branch on a stable `code`
+// instead of parsing messages. Anything else is normalized to INTERNAL_ERROR.
+class ProxyError extends Error {
+    constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', service, action, upstreamStatus, details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+        this.service = service;
+        this.action = action;
+        this.upstreamStatus = upstreamStatus;
+        this.details = details;
+    }
+}
+
+class ValidationError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...options, statusCode: 400 });
+    }
+}
+
+class NotFoundError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options, statusCode: 404 });
+    }
+}
+
+class ConflictError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'CONFLICT', ...options, statusCode: 409 });
+    }
+}
+
+class UpstreamError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'UPSTREAM_ERROR', ...options, statusCode: 502 });
+    }
+}
+
+class UpstreamTimeoutError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'UPSTREAM_TIMEOUT', ...options, statusCode: 504 });
+    }
+}
+
+class ConfigurationError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'SERVICE_NOT_CONFIGURED', ...options, statusCode: 503 });
+    }
+}
+
+const SERVICE_LABELS = {
+    radarr: 'Radarr',
+    sonarr: 'Sonarr',
+    readarr: 'Readarr',
+    lidarr: 'Lidarr',
+    headphones: 'Headphones',
+    overseerr: 'Overseerr',
+    bookinfo: 'BookInfo.pro',
+    import: 'Import',
+    audit: 'Audit webhook',
+    proxy: 'Proxy'
+};
+
+function serviceLabel(service) {
+    return SERVICE_LABELS[service] || service;
+}
+
+// ---- Service registry ----
+// Connection settings and per-service defaults for every upstream, built once per cold start from
+// env vars plus an optional config file (PROXY_CONFIG_PATH, JSON or YAML by extension):
+//
+//   services:
+//     radarr:
+//       url: http://radarr:7878
+//       apiVersion: v3
+//       defaults: { qualityProfileId: 4, rootFolderPath: /movies, tags: [2] }
+//       instances:
+//         4k: { url: http://radarr-4k:7878, defaults: { qualityProfileId: 6, rootFolderPath: /movies-4k } }
+//       routes: [{ when: { is4k: true }, instance: 4k }]
+//
+// Env vars win over the file. Every service has a "default" instance from <SERVICE>_URL / <SERVICE>_API_KEY;
+// extra named instances are listed in <SERVICE>_INSTANCES ("4k,kids") and configured as
+// <SERVICE>_<NAME>_URL / <SERVICE>_<NAME>_API_KEY. Defaults come from <PREFIX>_QUALITY_PROFILE_ID,
+// _METADATA_PROFILE_ID, _ROOT_FOLDER_PATH and _TAGS ("1,2"), and <SERVICE>_API_VERSION overrides the API version.
+// A request picks an instance with `instance`; otherwise <SERVICE>_ROUTES, a JSON array of
+// { "when": { ... }, "instance": "4k" } rules using the policy condition syntax, is matched in order
+// against the payload and falls back to "default". Routes only see what the caller sent: the instance
+// is picked and authorized before any upstream lookup, so a { seriesType: anime } route needs callers
+// to send seriesType. Invalid settings are logged at cold start and make the affected service fail
+// with a ConfigurationError instead of calling a bad URL.
+const SERVICE_DEFINITIONS = {
+    radarr: { apiVersion: 'v3', defaults: ['qualityProfileId', 'rootFolderPath', 'tags'] },
+    sonarr: { apiVersion: 'v3', defaults: ['qualityProfileId', 'rootFolderPath', 'tags'] },
+    readarr: { apiVersion: 'v1', defaults: ['qualityProfileId', 'metadataProfileId', 'rootFolderPath', 'tags'] },
+    lidarr: { apiVersion: 'v1', defaults: ['qualityProfileId', 'metadataProfileId', 'rootFolderPath', 'tags'] },
+    headphones: { apiVersion: null, defaults: [] },
+    overseerr: { apiVersion: 'v1', defaults: [] }
+};
+const SERVICE_DEFAULT_ENV = {
+    qualityProfileId: 'QUALITY_PROFILE_ID',
+    metadataProfileId: 'METADATA_PROFILE_ID',
+    rootFolderPath: 'ROOT_FOLDER_PATH',
+    tags: 'TAGS'
+};
+const INSTANCE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+const API_VERSION_PATTERN = /^v\d+$/;
+
+let serviceRegistry;
+
+function instanceEnvPrefix(service, name) {
+    const prefix = service.toUpperCase();
+    return name === 'default' ? prefix : `${prefix}_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+function loadConfigFile() {
+    const configPath = process.env.PROXY_CONFIG_PATH;
+    if (!configPath) return { source: null, services: {} };
+    const resolved = path.resolve(configPath);
+    const text = fs.readFileSync(resolved, 'utf8');
+    const parsed = /\.ya?ml$/i.test(resolved) ? require('yaml').parse(text) : JSON.parse(text);
+    const services = parsed && parsed.services;
+    if (services !== undefined && (typeof services !== 'object' || Array.isArray(services))) {
+        throw new Error('"services" must be an object');
+    }
+    return { source: resolved, services: services || {} };
+}
+
+// Parse a URL setting, returning the normalized base URL or an error message
+function checkServiceUrl(raw) {
+    let url;
+    try {
+        url = new URL(String(raw).trim());
+    } catch {
+        return { error: 'is not a valid URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'must use http or https' };
+    return { baseUrl: normalizeBaseUrl(url.toString()) };
+}
+
+function parseDefaultValue(field, raw) {
+    if (field === 'rootFolderPath') return typeof raw === 'string' && raw.trim() ? { value: raw.trim() } : { error: 'must be a path' };
+    if (field === 'tags') {
+        const list = Array.isArray(raw) ? raw : String(raw).split(',').map(t => t.trim()).filter(Boolean);
+        const tags = list.map(t => Number(t));
+        return tags.every(t => Number.isInteger(t) && t > 0) ? { value: tags } : { error: 'must be a list of tag ids' };
+    }
+    const id = Number(raw);
+    return Number.isInteger(id) && id > 0 ? { value: id } : { error: 'must be a positive integer' };
+}
+
+function buildServiceInstance(service, name, fileEntry = {}) {
+    const prefix = instanceEnvPrefix(service, name);
+    const instance = { name, baseUrl: undefined, apiKey: undefined, defaults: {}, errors: [] };
+    const rawUrl = process.env[`${prefix}_URL`] || fileEntry.url;
+    instance.apiKey = process.env[`${prefix}_API_KEY`] || fileEntry.apiKey;
+    registerKnownSecret(instance.apiKey);
+    if (rawUrl) {
+        const { baseUrl, error } = checkServiceUrl(rawUrl);
+        if (error) instance.errors.push(`${prefix}_URL ${error}`);
+        instance.baseUrl = baseUrl;
+    }
+
+    const fileDefaults = fileEntry.defaults || {};
+    for (const field of SERVICE_DEFINITIONS[service].defaults) {
+        const raw = process.env[`${prefix}_${SERVICE_DEFAULT_ENV[field]}`] ?? fileDefaults[field];
+        if (raw === undefined || raw === null || raw === '') continue;
+        const { value, error } = parseDefaultValue(field, raw);
+        if (error) instance.errors.push(`${prefix}_${SERVICE_DEFAULT_ENV[field]} ${error}`);
+        else instance.defaults[field] = value;
+    }
+    return instance;
+}
+
+function buildServiceEntry(service, fileService = {}) {
+    const prefix = service.toUpperCase();
+    const definition = SERVICE_DEFINITIONS[service];
+    const entry = { service, apiVersion: definition.apiVersion, instances: {}, routes: [], errors: [] };
+
+    const apiVersion = process.env[`${prefix}_API_VERSION`] || fileService.apiVersion;
+    if (apiVersion && definition.apiVersion) {
+        if (API_VERSION_PATTERN.test(apiVersion)) entry.apiVersion = apiVersion;
+        else entry.errors.push(`${prefix}_API_VERSION must look like "v3"`);
+    }
+
+    // Service-level file defaults apply to the default instance only; named instances usually differ
+    entry.instances.default = buildServiceInstance(service, 'default', fileService);
+    const fileInstances = fileService.instances || {};
+    const named = [
+        ...Object.keys(fileInstances),
+        ...(process.env[`${prefix}_INSTANCES`] || '').split(',').map(n => n.trim())
+    ].filter(n => n && n !== 'default');
+    for (const name of new Set(named)) {
+        if (!INSTANCE_NAME_PATTERN.test(name)) {
+            entry.errors.push(`Invalid instance name: ${name}`);
+            continue;
+        }
+        entry.instances[name] = buildServiceInstance(service, name, fileInstances[name]);
+    }
+
+    try {
+        const routes = process.env[`${prefix}_ROUTES`] ? JSON.parse(process.env[`${prefix}_ROUTES`]) : (fileService.routes || []);
+        if (!Array.isArray(routes)) throw new Error('expected an array');
+        const unknown = routes.filter(r => !r || !entry.instances[r.instance]).map(r => r && r.instance);
+        if (unknown.length > 0) throw new Error(`unknown instance ${unknown.join(', ')}`);
+        entry.routes = routes;
+    } catch (error) {
+        entry.errors.push(`${prefix}_ROUTES is invalid: ${error.message}`);
+    }
+    return entry;
+}
+
+/**
+ * Build (once per cold start) and return the registry of configured services
+ */
+function getServiceRegistry() {
+    if (serviceRegistry) return serviceRegistry;
+    let config = { source: process.env.PROXY_CONFIG_PATH || null, services: {} };
+    const configErrors = [];
+    try {
+        config = loadConfigFile();
+    } catch (error) {
+        configErrors.push(`Config file ${config.source} could not be loaded: ${error.message}`);
+    }
+
+    const services = {};
+    for (const service of Object.keys(SERVICE_DEFINITIONS)) {
+        const entry = buildServiceEntry(service, config.services[service] || {});
+        services[service] = entry;
+        const problems = [...entry.errors, ...Object.values(entry.instances).flatMap(i => i.errors)];
+        for (const problem of problems) log.error(`[CONFIG] ${serviceLabel(service)}: ${problem}`);
+    }
+    for (const problem of configErrors) log.error(`[CONFIG] ${problem}`);
+
+    serviceRegistry = { source: config.source, errors: configErrors, services };
+    const enabled = Object.keys(services).filter(s => isInstanceUsable(services[s], services[s].instances.default));
+    log.info(`[CONFIG] Enabled services: ${enabled.join(', ') || 'none'}`);
+    return serviceRegistry;
+}
+
+function getServiceEntry(service) {
+    const entry = getServiceRegistry().services[service];
+    if (!entry) throw new ValidationError(`Unknown service: ${service}`, { code: 'UNKNOWN_SERVICE' });
+    return entry;
+}
+
+function isInstanceUsable(entry, instance) {
+    return Boolean(instance && instance.baseUrl && instance.apiKey && instance.errors.length === 0 && entry.errors.length === 0);
+}
+
+function getServiceApiVersion(service) {
+    return getServiceEntry(service).apiVersion;
+}
+
+function listServiceInstances(service) {
+    return Object.keys(getServiceEntry(service).instances);
+}
+
+/**
+ * Return { baseUrl, apiKey } for a service whose default instance is usable, or null
+ */
+function getConfiguredService(service) {
+    const entry = getServiceEntry(service);
+    const instance = entry.instances.default;
+    return isInstanceUsable(entry, instance) ? { baseUrl: instance.baseUrl, apiKey: instance.apiKey } : null;
+}
+
+/**
+ * Look up a named instance's connection settings, throwing a ConfigurationError when it can't be used
+ */
+function getServiceInstance(service, name) {
+    if (typeof name !== 'string' || !INSTANCE_NAME_PATTERN.test(name)) {
+        throw new ValidationError(`Invalid instance name: ${name}`, { service, code: 'UNKNOWN_INSTANCE' });
+    }
+    const entry = getServiceEntry(service);
+    const instance = entry.instances[name];
+    if (!instance) {
+        throw new ValidationError(`Unknown ${serviceLabel(service)} instance: ${name}`, {
+            service,
+            code: 'UNKNOWN_INSTANCE',
+            details: { available: Object.keys(entry.instances) }
+        });
+    }
+
+    const prefix = instanceEnvPrefix(service, name);
+    const missing = [];
+    if (!instance.baseUrl && !instance.errors.length) missing.push(`${prefix}_URL`);
+    if (!instance.apiKey) missing.push(`${prefix}_API_KEY`);
+    if (missing.length > 0) {
+        log.error(`[PROXY] Missing ${serviceLabel(service)} config:`, missing.join(' '));
+        const message = name === 'default'
+            ? `${serviceLabel(service)} configuration missing: ${missing.join(' ')}`
+            : `${serviceLabel(service)} instance "${name}" is not configured: set ${missing.join(' and ')}`;
+        throw new ConfigurationError(message, { service, details: { missing } });
+    }
+    const problems = [...entry.errors, ...instance.errors];
+    if (problems.length > 0) {
+        throw new ConfigurationError(`${serviceLabel(service)} configuration invalid: ${problems.join('; ')}`, { service, details: { errors: problems } });
+    }
+    return { name, baseUrl: instance.baseUrl, apiKey: instance.apiKey };
+}
+
+// Name the instance a request targets without checking that it's usable
+function pickServiceInstanceName(service, data) {
+    if (data && data.instance) return { name: String(data.instance), via: 'request' };
+    const route = getServiceEntry(service).routes.find(r => matchesCondition(r.when, data));
+    return route ? { name: route.instance, via: 'route' } : { name: 'default', via: 'default' };
+}
+
+/**
+ * Pick the instance for a request: the explicit `instance` field, then the first matching route, then default
+ */
+function resolveServiceInstance(service, data) {
+    const { name, via } = pickServiceInstanceName(service, data);
+    const instance = getServiceInstance(service, name);
+    if (name !== 'default') log.info(`[${service.toUpperCase()}] Using instance "${name}" (${via})`);
+    return instance;
+}
+
+function getInstanceDefaults(service, name) {
+    const entry = getServiceRegistry().services[service];
+    const instance = entry && entry.instances[name];
+    return instance ? instance.defaults : {};
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Fill an add_* payload's missing profile, root folder and tag fields from the target instance's defaults.
+ * A multi-instance add gets each instance's defaults in its instanceOptions entry, so they beat the
+ * shared fields only when the caller didn't send those explicitly.
+ */
+function applyServiceDefaults(service, action, data) {
+    const schema = ACTION_SCHEMAS[service] && ACTION_SCHEMAS[service][action];
+    if (!schema || !SERVICE_DEFINITIONS[service] || !action.startsWith('add_') || !data || typeof data !== 'object') return data;
+    const missingDefaults = (name, target) => Object.fromEntries(
+        Object.entries(getInstanceDefaults(service, name)).filter(([field]) => schema.fields[field] && isMissing(target[field]))
+    );
+
+    if (Array.isArray(data.instances) && data.instances.length > 0) {
+        const names = [...new Set(data.instances.map(String))];
+        const instanceOptions = { ...(data.instanceOptions || {}) };
+        for (const name of names) {
+            instanceOptions[name] = { ...missingDefaults(name, data), ...(instanceOptions[name] || {}) };
+        }
+        // Required shared fields can be left out when every target instance supplies its own
+        const filled = { ...data, instanceOptions };
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            if (spec.required && isMissing(filled[field]) && names.every(n => !isMissing(instanceOptions[n][field]))) {
+                filled[field] = instanceOptions[names[0]][field];
+            }
+        }
+        return filled;
+    }
+
+    const defaults = missingDefaults(pickServiceInstanceName(service, data).name, data);
+    return Object.keys(defaults).length > 0 ? { ...data, ...defaults } : data;
+}
+
+/**
+ * Report which services are enabled and how they're configured. Never includes API keys.
+ */
+function describeServiceConfig() {
+    const registry = getServiceRegistry();
+    const services = {};
+    for (const [service, entry] of Object.entries(registry.services)) {
+        const instances = {};
+        for (const [name, instance] of Object.entries(entry.instances)) {
+            let url = instance.baseUrl;
+            if (url) {
+                const parsed = new URL(url);
+                parsed.username = '';
+                parsed.password = '';
+                url = normalizeBaseUrl(parsed.toString());
+            }
+            instances[name] = {
+                enabled: isInstanceUsable(entry, instance),
+                url,
+                hasApiKey: Boolean(instance.apiKey),
+                defaults: instance.defaults,
+                ...(instance.errors.length ? { errors: instance.errors } : {})
+            };
+        }
+        services[service] = {
+            enabled: isInstanceUsable(entry, entry.instances.default),
+            apiVersion: entry.apiVersion,
+            instances,
+            routes: entry.routes.length,
+            ...(entry.errors.length ? { errors: entry.errors } : {})
         };
     }
+    return {
+        source: registry.source ? path.basename(registry.source) : 'env',
+        enabled: Object.keys(services).filter(s => services[s].enabled),
+        services,
+        ...(registry.errors.length ? { errors: registry.errors } : {})
+    };
+}
+
+function unknownActionError(service, action) {
+    return new ValidationError(`Unknown ${serviceLabel(service)} action: ${action}`, { code: 'UNKNOWN_ACTION', service, action });
+}
+
+/**
+ * Build the ProxyError matching a failed upstream response. Reads the response body, so await it.
+ */
+async function upstreamError(service, response, message, details = {}) {
+    const errorText = await response.text().catch(() => '');
+    let upstreamBody = errorText;
+    try {
+        upstreamBody = JSON.parse(errorText);
+    } catch {}
+
+    const fullMessage = `${message}: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ''}`;
+    const options = { service, upstreamStatus: response.status, details: { ...details, upstreamBody } };
+
+    if (response.status === 409 || /already (been added|exists)/i.test(errorText)) {
+        return new ConflictError(fullMessage, options);
+    }
+    if (response.status === 404) return new NotFoundError(fullMessage, options);
+    if (response.status === 400 || response.status === 422) return new ValidationError(fullMessage, options);
+    if (response.status === 401 || response.status === 403) {
+        return new UpstreamError(fullMessage, { ...options, code: 'UPSTREAM_AUTH_FAILED' });
+    }
+    if (response.status === 504) return new UpstreamTimeoutError(fullMessage, options);
+    return new UpstreamError(fullMessage, options);
+}
+
+/**
+ * Coerce any thrown value into a ProxyError, filling in service/action from the request
+ */
+function normalizeError(error, service, action) {
+    let proxyError = error;
+    if (!(error instanceof ProxyError)) {
+        const message = redactString(error?.message || String(error));
+        if (error?.name === 'AbortError' || error?.type === 'request-timeout' || error?.code === 'ETIMEDOUT') {
+            proxyError = new UpstreamTimeoutError(`${serviceLabel(service)} request timed out: ${message}`);
+        } else if (error instanceof TypeError && /fetch failed/i.test(message)) {
+            const cause = error.cause?.code || error.code;
+            proxyError = new UpstreamError(`${serviceLabel(service)} unreachable: ${cause || message}`, { code: 'UPSTREAM_UNAVAILABLE' });
+        } else {
+            proxyError = new ProxyError(message);
+        }
+    }
+    if (!proxyError.service && service) proxyError.service = service;
+    if (!proxyError.action && action) proxyError.action = action;
+    return proxyError;
+}
+
+function serializeError(error) {
+    return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        service: error.service,
+        action: error.action,
+        upstreamStatus: error.upstreamStatus,
+        details: error.details,
+        ...(error.rule ? { rule: error.rule } : {}),
+        requestId: getRequestContext().requestId
+    };
+}
+
+// ---- Request context ----
+// Request id and trace context for the request being handled, kept in AsyncLocalStorage so every
+// helper (and the logger and upstream client) can reach it without threading an extra argument.
+// The id comes from a valid X-Request-Id header or is generated; a W3C traceparent header is
+// continued when present, otherwise a new trace is started.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const requestContext = new AsyncLocalStorage();
+
+function getRequestContext() {
+    return requestContext.getStore() || {};
+}
+
+function createRequestContext(event) {
+    const incomingId = getHeader(event, 'X-Request-Id');
+    const traceparent = TRACEPARENT_PATTERN.exec((getHeader(event, 'traceparent') || '').trim().toLowerCase());
+    const traceId = traceparent && !/^0+$/.test(traceparent[1]) ? traceparent[1] : crypto.randomBytes(16).toString('hex');
+    return {
+        requestId: incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID(),
+        traceId,
+        parentSpanId: traceparent ? traceparent[2] : undefined,
+        traceFlags: traceparent ? traceparent[3] : '01',
+        startedAt: Date.now()
+    };
+}
+
+// A fresh span id per outgoing call, parented to this request's trace
+function buildTraceparent() {
+    const { traceId, traceFlags } = getRequestContext();
+    if (!traceId) return undefined;
+    return `00-${traceId}-${crypto.randomBytes(8).toString('hex')}-${traceFlags || '01'}`;
+}
+
+// ---- Logging ----
+// One JSON object per line, tagged with the request id, trace id, service and action of the request
+// being handled (LOG_FORMAT=text restores plain console output for local development).
+// LOG_LEVEL is one of error, warn, info (default) or debug. Payload and response dumps are debug-only.
+// Everything logged passes through redact(), which masks configured secrets, secret-looking object
+// keys, credential query parameters, auth headers and bearer tokens/JWTs.
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /api[-_]?key|token|secret|password|authorization|signature|cookie/i;
+const SECRET_QUERY_PATTERN = /([?&](?:api[-_]?key|apikey|token|access_token|secret|password|signature)=)[^&#\s"']*/gi;
+const SECRET_HEADER_PATTERN = /((?:x-api-key|authorization|x-signature)["']?\s*[:=]\s*["']?)(?:Bearer\s+)?[^\s"',}]+/gi;
+const SECRET_JSON_PATTERN = /("[^"]*(?:api[-_]?key|token|secret|password|signature)[^"]*"\s*:\s*")[^"]*"/gi;
+const BEARER_PATTERN = /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/g;
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+
+function getLogLevel() {
+    return LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LOG_LEVELS.info;
+}
+
+let knownSecrets;
+
+// Values of *_API_KEY / *_TOKEN(S) / *_SECRET env vars, and API keys from the config file (registered as
+// the service registry loads), are masked verbatim wherever they appear. The env is scanned once per cold start.
+function getKnownSecrets() {
+    if (!knownSecrets) {
+        knownSecrets = new Set();
+        for (const [name, value] of Object.entries(process.env)) {
+            if (!value || !/(_API_KEY|_TOKEN|_TOKENS|_SECRET)$/.test(name)) continue;
+            if (name === 'PROXY_AUTH_TOKENS') {
+                try {
+                    Object.keys(JSON.parse(value)).forEach(registerKnownSecret);
+                    continue;
+                } catch {
+                    // Not JSON; fall through and mask the raw value
+                }
+            }
+            registerKnownSecret(value);
+        }
+    }
+    return knownSecrets;
+}
+
+function registerKnownSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= 8) getKnownSecrets().add(secret);
+}
+
+function redactString(text) {
+    let redacted = String(text)
+        .replace(SECRET_QUERY_PATTERN, `$1${REDACTED}`)
+        .replace(SECRET_HEADER_PATTERN, `$1${REDACTED}`)
+        .replace(SECRET_JSON_PATTERN, `$1${REDACTED}"`)
+        .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+        .replace(JWT_PATTERN, REDACTED);
+    for (const secret of getKnownSecrets()) {
+        redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+}
+
+/**
+ * Deep copy of a log argument with secrets masked. Errors collapse to their (redacted) stack.
+ */
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return redactString(value.stack || `${value.name}: ${value.message}`);
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    if (Array.isArray(value)) return value.map(item => redact(item, seen));
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_KEY_PATTERN.test(key) && item !== null && typeof item !== 'object' ? REDACTED : redact(item, seen);
+    }
+    return copy;
+}
+
+function emitLog(level, line) {
+    const method = level === 'error' || level === 'warn' ? level : 'log';
+    console[method](line);
+}
+
+function baseLogRecord(level) {
+    const { requestId, traceId, service, action } = getRequestContext();
+    return { time: new Date().toISOString(), level, requestId, traceId, service, action };
+}
+
+/**
+ * Log a message with extra top-level fields (durations, status codes, outcomes)
+ */
+function logEvent(level, message, fields = {}) {
+    if (LOG_LEVELS[level] > getLogLevel()) return;
+    if (process.env.LOG_FORMAT === 'text') {
+        const method = level === 'error' || level === 'warn' ? level : 'log';
+        console[method](`[${fields.tag || 'PROXY'}] ${message}`, redact(fields));
+        return;
+    }
+    emitLog(level, JSON.stringify({ ...baseLogRecord(level), msg: redactString(message), ...redact(fields) }));
+}
+
+// Adapts the console-style log('[TAG] message', value, ...) calls: a leading [TAG] becomes `tag`,
+// scalars are appended to `msg`, objects go to `data` and errors to `error`.
+function writeLog(level, args) {
+    if (LOG_LEVELS[level] > getLogLevel()) return;
+    if (process.env.LOG_FORMAT === 'text') {
+        const method = level === 'error' || level === 'warn' ? level : 'log';
+        console[method](...args.map(arg => redact(arg)));
+        return;
+    }
+
+    const record = baseLogRecord(level);
+    const parts = [];
+    const data = [];
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            record.error = { name: arg.name, message: redactString(arg.message), code: arg.code, stack: redactString(arg.stack || '') };
+        } else if (arg !== null && typeof arg === 'object') {
+            data.push(redact(arg));
+        } else {
+            parts.push(String(arg));
+        }
+    }
+    let msg = parts.join(' ');
+    const tag = /^\[([^\]]+)\]\s*/.exec(msg);
+    if (tag) {
+        record.tag = tag[1];
+        msg = msg.slice(tag[0].length);
+    }
+    record.msg = redactString(msg);
+    if (data.length > 0) record.data = data.length === 1 ? data[0] : data;
+    emitLog(level, JSON.stringify(record));
+}
+
+const log = {
+    error: (...args) => writeLog('error', args),
+    warn: (...args) => writeLog('warn', args),
+    info: (...args) => writeLog('info', args),
+    debug: (...args) => writeLog('debug', args)
+};
+
+// ---- Upstream client ----
+// Every call to Radarr, Sonarr, Readarr, Lidarr, Headphones, Overseerr and BookInfo.pro goes through
+// upstreamFetch; pass `apiKey` to send it as X-Api-Key. Tunables (defaults in brackets):
+//   PROXY_UPSTREAM_TIMEOUT_MS [10000], overridable per service as <SERVICE>_TIMEOUT_MS
+//   PROXY_UPSTREAM_RETRIES [2] - extra attempts for GETs that fail with a network error, timeout, 429 or 502-504
+//   PROXY_UPSTREAM_RETRY_BASE_MS [250] - exponential backoff base, with full jitter
+//   PROXY_CIRCUIT_FAILURE_THRESHOLD [5] - consecutive failures before a service's circuit opens
+//   PROXY_CIRCUIT_COOLDOWN_SECONDS [30] - how long an open circuit fails fast before letting one probe through
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+const circuits = {};
+const upstreamMetrics = {};
+
+class CircuitOpenError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'UPSTREAM_UNAVAILABLE', ...options, statusCode: 503 });
+    }
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function normalizeBaseUrl(url) {
+    return url ? url.trim().replace(/\/+$/, '') : url;
+}
+
+function getUpstreamTimeoutMs(service) {
+    return envInt(`${service.toUpperCase()}_TIMEOUT_MS`, envInt('PROXY_UPSTREAM_TIMEOUT_MS', 10000));
+}
+
+// Circuits are tracked per service and host, so a down 4K instance doesn't trip the default one
+function circuitKey(service, url) {
+    try {
+        return `${service}@${new URL(url).host}`;
+    } catch {
+        return service;
+    }
+}
+
+function getCircuit(key) {
+    if (!circuits[key]) circuits[key] = { failures: 0, openedUntil: 0, probing: false };
+    return circuits[key];
+}
+
+function recordUpstreamCall(service, durationMs, ok, status) {
+    const m = upstreamMetrics[service] || (upstreamMetrics[service] = { calls: 0, failures: 0, retries: 0, totalMs: 0, maxMs: 0 });
+    m.calls += 1;
+    if (!ok) m.failures += 1;
+    m.totalMs += durationMs;
+    m.maxMs = Math.max(m.maxMs, durationMs);
+    m.lastMs = durationMs;
+    m.lastStatus = status;
+    m.lastCallAt = new Date().toISOString();
+}
+
+/**
+ * Latency and failure counters per upstream service, plus circuit state
+ */
+function getUpstreamMetrics() {
+    const snapshot = {};
+    const now = Date.now();
+    const circuitKeys = Object.keys(circuits);
+    for (const service of new Set([...Object.keys(upstreamMetrics), ...circuitKeys.map(k => k.split('@')[0])])) {
+        const m = upstreamMetrics[service] || { calls: 0, failures: 0, retries: 0, totalMs: 0, maxMs: 0 };
+        const serviceCircuits = circuitKeys.filter(k => k.split('@')[0] === service).map(k => ({ host: k.split('@')[1], ...circuits[k] }));
+        const circuit = {
+            openedUntil: Math.max(0, ...serviceCircuits.map(c => c.openedUntil)),
+            failures: Math.max(0, ...serviceCircuits.map(c => c.failures))
+        };
+        snapshot[service] = {
+            calls: m.calls,
+            failures: m.failures,
+            retries: m.retries,
+            avgMs: m.calls > 0 ? Math.round(m.totalMs / m.calls) : 0,
+            maxMs: m.maxMs,
+            lastMs: m.lastMs,
+            lastStatus: m.lastStatus,
+            lastCallAt: m.lastCallAt,
+            circuit: circuit.openedUntil > now ? 'open' : circuit.failures > 0 ? 'degraded' : 'closed',
+            consecutiveFailures: circuit.failures,
+            openCircuits: serviceCircuits.filter(c => c.openedUntil > now).map(c => c.host)
+        };
+    }
+    return snapshot;
+}
+
+function checkCircuit(service, key) {
+    const circuit = getCircuit(key);
+    if (circuit.openedUntil === 0) return;
+    const now = Date.now();
+    if (now < circuit.openedUntil || circuit.probing) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((circuit.openedUntil - now) / 1000));
+        throw new CircuitOpenError(`${serviceLabel(service)} unreachable: ${circuit.failures} consecutive failures, retrying in ${retryAfterSeconds}s`, {
+            service,
+            details: { retryAfterSeconds, consecutiveFailures: circuit.failures, host: key.split('@')[1] }
+        });
+    }
+    // Cooldown over: let this one call through as a probe
+    circuit.probing = true;
+}
+
+function recordCircuitResult(service, key, healthy) {
+    const circuit = getCircuit(key);
+    circuit.probing = false;
+    if (healthy) {
+        if (circuit.openedUntil) log.info(`[UPSTREAM] ${serviceLabel(service)} circuit closed`);
+        circuit.failures = 0;
+        circuit.openedUntil = 0;
+        return;
+    }
+    circuit.failures += 1;
+    if (circuit.failures >= envInt('PROXY_CIRCUIT_FAILURE_THRESHOLD', 5)) {
+        circuit.openedUntil = Date.now() + envInt('PROXY_CIRCUIT_COOLDOWN_SECONDS', 30) * 1000;
+        log.warn(`[UPSTREAM] ${serviceLabel(service)} circuit for ${key} open after ${circuit.failures} consecutive failures`);
+    }
+}
+
+function retryDelayMs(attempt) {
+    const ceiling = envInt('PROXY_UPSTREAM_RETRY_BASE_MS', 250) * 2 ** attempt;
+    return Math.round(Math.random() * ceiling);
+}
+
+// Path only: the query string carries the API key
+function describeUpstreamUrl(url) {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return '[invalid url]';
+    }
+}
+
+/**
+ * fetch() with a timeout, retries with jitter for idempotent GETs, a per-service circuit breaker
+ * and latency metrics. Resolves with the Response for any HTTP status; callers still check `ok`.
+ */
+async function upstreamFetch(service, url, options = {}) {
+    const { timeoutMs = getUpstreamTimeoutMs(service), apiKey, retries, ...init } = options;
+    const method = (init.method || 'GET').toUpperCase();
+    // *arr services accept the key as a header, which keeps it out of URLs and anything that logs them
+    if (apiKey) init.headers = { ...(init.headers || {}), 'X-Api-Key': apiKey };
+    const traceparent = buildTraceparent();
+    if (traceparent) init.headers = { ...(init.headers || {}), traceparent };
+    const maxRetries = method === 'GET' ? (retries ?? envInt('PROXY_UPSTREAM_RETRIES', 2)) : 0;
+
+    const key = circuitKey(service, url);
+    for (let attempt = 0; ; attempt++) {
+        checkCircuit(service, key);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const startedAt = Date.now();
+        let response;
+        let failure;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            failure = error?.name === 'AbortError'
+                ? new UpstreamTimeoutError(`${serviceLabel(service)} did not respond within ${timeoutMs}ms`, { service })
+                : normalizeError(error, service);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const durationMs = Date.now() - startedAt;
+        const healthy = !failure && !(response.status >= 500);
+        recordUpstreamCall(service, durationMs, healthy, response?.status);
+        recordCircuitResult(service, key, healthy);
+        logEvent(healthy ? 'info' : 'warn', `${serviceLabel(service)} ${method} ${describeUpstreamUrl(url)}`, {
+            tag: 'UPSTREAM',
+            upstream: service,
+            method,
+            path: describeUpstreamUrl(url),
+            statusCode: response?.status,
+            errorCode: failure?.code,
+            outcome: healthy ? 'success' : 'error',
+            attempt: attempt + 1,
+            durationMs
+        });
+
+        const retryable = (failure || RETRYABLE_STATUSES.includes(response.status)) && getCircuit(key).openedUntil === 0;
+        if (!retryable || attempt >= maxRetries) {
+            if (failure) throw failure;
+            return response;
+        }
+        upstreamMetrics[service].retries += 1;
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs(attempt)));
+    }
+}
+
+// ---- CORS ----
+// PROXY_ALLOWED_ORIGINS is a comma-separated allow-list ("https://app.example.com, https://*.example.com").
+// Unset means no cross-origin access: only browser requests from the proxy's own host are served.
+// PROXY_CORS_CREDENTIALS=true allows cookies/Authorization, and can't be combined with a "*" entry.
+const CORS_ALLOWED_METHODS = ['GET', 'POST', 'OPTIONS'];
+const CORS_ALLOWED_HEADERS = [
+    'Content-Type', 'Authorization', 'X-Signature', 'X-Timestamp', 'X-Client-Id', 'Idempotency-Key', 'If-None-Match',
+    'X-Request-Id', 'traceparent'
+];
+const CORS_EXPOSED_HEADERS = ['ETag', 'Idempotency-Replayed', 'Retry-After', 'X-Request-Id'];
+const CORS_MAX_AGE_SECONDS = 600;
+
+let corsConfig;
+
+/**
+ * Read the CORS settings once per cold start. A "*" entry with credentials would let any site make
+ * credentialed requests, so that combination is kept as an error and served as a 503.
+ */
+function getCorsConfig() {
+    if (!corsConfig) {
+        const allowedOrigins = (process.env.PROXY_ALLOWED_ORIGINS || '')
+            .split(',')
+            .map(o => o.trim().replace(/\/$/, ''))
+            .filter(Boolean);
+        const allowCredentials = process.env.PROXY_CORS_CREDENTIALS === 'true';
+        corsConfig = { allowedOrigins, allowCredentials, error: null };
+        if (allowedOrigins.length === 0) {
+            log.warn('[CORS] PROXY_ALLOWED_ORIGINS is not set: cross-origin requests will be refused');
+        } else if (allowCredentials && allowedOrigins.includes('*')) {
+            corsConfig.error = new ConfigurationError('PROXY_ALLOWED_ORIGINS cannot contain "*" when PROXY_CORS_CREDENTIALS=true', {
+                code: 'CORS_MISCONFIGURED'
+            });
+            log.error(`[CORS] ${corsConfig.error.message}`);
+        }
+    }
+    return corsConfig;
+}
+
+function isSameOrigin(origin, event) {
+    try {
+        return new URL(origin).host.toLowerCase() === String(getHeader(event, 'Host') || '').toLowerCase();
+    } catch (e) {
+        return false;
+    }
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+    return allowedOrigins.some(allowed => {
+        if (allowed === '*') return true;
+        if (!allowed.includes('*')) return allowed.toLowerCase() === origin.toLowerCase();
+        const re = new RegExp('^' + allowed.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]+') + '$', 'i');
+        return re.test(origin);
+    });
+}
+
+/**
+ * Work out the CORS response headers for this event and whether its origin may call the proxy.
+ * Requests without an Origin header (server-to-server, curl) are not subject to CORS.
+ */
+function resolveCors(event) {
+    const origin = getHeader(event, 'Origin');
+    const { allowedOrigins, allowCredentials, error } = getCorsConfig();
+    if (error) throw error;
+
+    const headers = { 'Vary': 'Origin' };
+    if (!origin) {
+        return { allowed: true, origin, headers };
+    }
+    // Browsers send Origin on same-origin POSTs too; those need no CORS headers
+    if (allowedOrigins.length === 0) {
+        return { allowed: isSameOrigin(origin, event), origin, headers };
+    }
+    if (!isOriginAllowed(origin, allowedOrigins)) {
+        return { allowed: false, origin, headers };
+    }
+
+    // Echo the matched origin rather than "*" so credentials are permitted by browsers
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Expose-Headers'] = CORS_EXPOSED_HEADERS.join(', ');
+    if (allowCredentials) {
+        headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+    return { allowed: true, origin, headers };
+}
+
+// ---- Authentication ----
+// Selected with PROXY_AUTH_MODE; when unset the mode is inferred from whichever secret is configured.
+// With nothing configured every request is refused: anonymous access needs an explicit PROXY_AUTH_MODE=none.
+class AuthError extends ProxyError {
+    constructor(message, challenge) {
+        super(message, { statusCode: 401, code: 'UNAUTHORIZED' });
+        this.challenge = challenge;
+    }
+}
+
+const HMAC_DEFAULT_TOLERANCE_SECONDS = 300;
+const JWT_CLOCK_SKEW_SECONDS = 60;
+const JWT_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+// Signatures already accepted within the tolerance window; survives warm invocations only
+const seenHmacSignatures = new Map();
+let cachedJwks = null;
+
+const AUTHENTICATORS = {
+    none: () => ({ id: 'anonymous', method: 'none', roles: [] }),
+    token: authenticateBearerToken,
+    hmac: authenticateHmacSignature,
+    jwt: authenticateJwt
+};
+
+function getAuthMode() {
+    if (process.env.PROXY_AUTH_MODE) return process.env.PROXY_AUTH_MODE.toLowerCase();
+    if (process.env.PROXY_JWKS_PATH) return 'jwt';
+    if (process.env.PROXY_HMAC_SECRET) return 'hmac';
+    if (process.env.PROXY_AUTH_TOKEN || process.env.PROXY_AUTH_TOKENS) return 'token';
+    return null;
+}
+
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+}
+
+function getBearerToken(event) {
+    const authorization = getHeader(event, 'Authorization');
+    const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Authenticate the incoming event with the configured mode; throws AuthError on failure
+ */
+function authenticateRequest(event) {
+    const mode = getAuthMode();
+    if (!mode) {
+        throw new ConfigurationError('Authentication is not configured: set PROXY_AUTH_MODE (token, hmac or jwt), or PROXY_AUTH_MODE=none to allow anonymous access', {
+            code: 'AUTH_NOT_CONFIGURED'
+        });
+    }
+    const authenticator = AUTHENTICATORS[mode];
+    if (!authenticator) {
+        throw new ConfigurationError(`Unsupported authentication mode: ${mode}`, { code: 'AUTH_NOT_CONFIGURED' });
+    }
+    if (mode === 'none') {
+        log.warn('[AUTH] PROXY_AUTH_MODE=none: serving anonymous requests');
+    }
+    return authenticator(event);
+}
+
+function authenticateBearerToken(event) {
+    // PROXY_AUTH_TOKENS maps tokens to caller ids: {"<token>": "alice"}. A broken map is our
+    // misconfiguration, not the caller's bad credentials, so it answers 503 rather than 401.
+    let tokens = {};
+    if (process.env.PROXY_AUTH_TOKENS) {
+        try {
+            tokens = JSON.parse(process.env.PROXY_AUTH_TOKENS);
+        } catch (e) {
+            throw new ConfigurationError('PROXY_AUTH_TOKENS is not valid JSON', { code: 'AUTH_NOT_CONFIGURED' });
+        }
+        if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+            throw new ConfigurationError('PROXY_AUTH_TOKENS must be a JSON object of token to caller id', { code: 'AUTH_NOT_CONFIGURED' });
+        }
+    }
+    if (process.env.PROXY_AUTH_TOKEN) {
+        tokens[process.env.PROXY_AUTH_TOKEN] = tokens[process.env.PROXY_AUTH_TOKEN] || 'default';
+    }
+
+    const token = getBearerToken(event);
+    if (!token) throw new AuthError('Missing bearer token', 'Bearer');
+
+    // Check every entry, comparing fixed-length digests, so timing reveals neither which token
+    // matched nor how long the configured tokens are
+    const presented = crypto.createHash('sha256').update(token).digest();
+    let match;
+    for (const candidate of Object.keys(tokens)) {
+        const equal = crypto.timingSafeEqual(crypto.createHash('sha256').update(candidate).digest(), presented);
+        if (equal && match === undefined) match = candidate;
+    }
+    if (match === undefined) throw new AuthError('Invalid bearer token', 'Bearer error="invalid_token"');
+    return { id: String(tokens[match]), method: 'token', roles: [] };
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<raw body>", sent as hex in X-Signature with the unix timestamp in X-Timestamp.
+ * A caller that names itself in X-Client-Id signs "<timestamp>.<client id>.<raw body>" instead, so the
+ * identity used for policy, rate limiting and audit can't be swapped on a signed request.
+ */
+function authenticateHmacSignature(event) {
+    const secret = process.env.PROXY_HMAC_SECRET;
+    if (!secret) throw new ConfigurationError('PROXY_HMAC_SECRET is not configured', { code: 'AUTH_NOT_CONFIGURED' });
+
+    const signature = getHeader(event, 'X-Signature');
+    const timestamp = getHeader(event, 'X-Timestamp');
+    if (!signature || !timestamp) {
+        throw new AuthError('Missing X-Signature or X-Timestamp header', 'HMAC');
+    }
+
+    const tolerance = parseInt(process.env.PROXY_HMAC_TOLERANCE_SECONDS) || HMAC_DEFAULT_TOLERANCE_SECONDS;
+    const now = Math.floor(Date.now() / 1000);
+    const ts = parseInt(timestamp);
+    if (isNaN(ts) || Math.abs(now - ts) > tolerance) {
+        throw new AuthError('Request timestamp is outside the allowed window', 'HMAC');
+    }
+
+    const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    const clientId = getHeader(event, 'X-Client-Id');
+    const signed = clientId ? `${timestamp}.${clientId}.${body}` : `${timestamp}.${body}`;
+    const expected = crypto.createHmac('sha256', secret).update(signed).digest('hex');
+    const provided = String(signature).replace(/^sha256=/i, '');
+    if (!safeEqual(expected, provided.toLowerCase())) {
+        throw new AuthError('Invalid request signature', 'HMAC');
+    }
+
+    // Reject replays of a signature we've already accepted
+    for (const [sig, seenAt] of seenHmacSignatures) {
+        if (now - seenAt > tolerance) seenHmacSignatures.delete(sig);
+    }
+    if (seenHmacSignatures.has(expected)) {
+        throw new AuthError('Request signature has already been used', 'HMAC');
+    }
+    seenHmacSignatures.set(expected, now);
+
+    return { id: clientId || 'hmac', method: 'hmac', roles: [] };
+}
+
+function loadJwks() {
+    if (cachedJwks) return cachedJwks;
+    const jwksPath = process.env.PROXY_JWKS_PATH;
+    if (!jwksPath) throw new ConfigurationError('PROXY_JWKS_PATH is not configured', { code: 'AUTH_NOT_CONFIGURED' });
+    try {
+        const jwks = JSON.parse(fs.readFileSync(path.resolve(jwksPath), 'utf8'));
+        cachedJwks = Array.isArray(jwks.keys) ? jwks.keys : [];
+    } catch (e) {
+        log.error('[AUTH] Failed to load JWKS from', jwksPath, e.message);
+        throw new ConfigurationError('Unable to load JWKS', { code: 'AUTH_NOT_CONFIGURED' });
+    }
+    return cachedJwks;
+}
+
+function decodeBase64UrlJson(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify an asymmetric JWT from our identity provider against the local JWKS file
+ */
+function authenticateJwt(event) {
+    const token = getBearerToken(event);
+    if (!token) throw new AuthError('Missing bearer token', 'Bearer');
+
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new AuthError('Malformed JWT', 'Bearer error="invalid_token"');
+
+    let header;
+    let claims;
+    try {
+        header = decodeBase64UrlJson(parts[0]);
+        claims = decodeBase64UrlJson(parts[1]);
+    } catch (e) {
+        throw new AuthError('Malformed JWT', 'Bearer error="invalid_token"');
+    }
+
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm) throw new AuthError(`Unsupported JWT algorithm: ${header.alg}`, 'Bearer error="invalid_token"');
+
+    const keys = loadJwks();
+    const jwk = header.kid ? keys.find(k => k.kid === header.kid) : (keys.length === 1 ? keys[0] : null);
+    if (!jwk || (jwk.alg && jwk.alg !== header.alg)) {
+        throw new AuthError('No matching signing key for JWT', 'Bearer error="invalid_token"');
+    }
+
+    let valid = false;
+    try {
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        valid = crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+            Buffer.from(parts[2], 'base64url')
+        );
+    } catch (e) {
+        log.warn('[AUTH] JWT verification error:', e.message);
+    }
+    if (!valid) throw new AuthError('Invalid JWT signature', 'Bearer error="invalid_token"');
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number') {
+        throw new AuthError('JWT has no expiry', 'Bearer error="invalid_token"');
+    }
+    if (now > claims.exp + JWT_CLOCK_SKEW_SECONDS) {
+        throw new AuthError('JWT has expired', 'Bearer error="invalid_token"');
+    }
+    if (typeof claims.nbf === 'number' && now + JWT_CLOCK_SKEW_SECONDS < claims.nbf) {
+        throw new AuthError('JWT is not yet valid', 'Bearer error="invalid_token"');
+    }
+    if (process.env.PROXY_JWT_ISSUER && claims.iss !== process.env.PROXY_JWT_ISSUER) {
+        throw new AuthError('JWT issuer mismatch', 'Bearer error="invalid_token"');
+    }
+    if (process.env.PROXY_JWT_AUDIENCE) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(process.env.PROXY_JWT_AUDIENCE)) {
+            throw new AuthError('JWT audience mismatch', 'Bearer error="invalid_token"');
+        }
+    }
+
+    const roles = claims.roles || claims.groups || [];
+    return {
+        id: String(claims.sub || claims.email || 'jwt'),
+        method: 'jwt',
+        roles: Array.isArray(roles) ? roles : [roles]
+    };
+}
+
+// ---- Authorization ----
+// Policy JSON is read from PROXY_POLICY_PATH (or inline PROXY_POLICY). Without a policy every
+// authenticated caller may run every action. Example:
+// {
+//   "defaultEffect": "deny",
+//   "defaultRoles": ["guest"],
+//   "users": { "alice": ["kids"] },
+//   "roles": {
+//     "admin": [{ "effect": "allow", "service": "*", "action": "*" }],
+//     "kids": [
+//       { "effect": "allow", "service": "radarr", "action": "get_movies" },
+//       { "effect": "allow", "service": "overseerr", "action": "request_movie" },
+//       { "id": "kids-no-search", "effect": "deny", "service": "radarr", "action": "add_movie",
+//         "when": { "searchOnAdd": { "ne": false } } }
+//     ],
+//     "guest": [{ "effect": "allow", "service": "overseerr", "action": "request_*" }]
+//   }
+// }
+class ForbiddenError extends ProxyError {
+    constructor(message, rule) {
+        super(message, { statusCode: 403, code: 'FORBIDDEN' });
+        this.rule = rule;
+    }
+}
+
+let cachedPolicy;
+
+function loadPolicy() {
+    if (cachedPolicy !== undefined) return cachedPolicy;
+    const policyPath = process.env.PROXY_POLICY_PATH;
+    try {
+        if (policyPath) {
+            cachedPolicy = JSON.parse(fs.readFileSync(path.resolve(policyPath), 'utf8'));
+        } else if (process.env.PROXY_POLICY) {
+            cachedPolicy = JSON.parse(process.env.PROXY_POLICY);
+        } else {
+            cachedPolicy = null;
+        }
+    } catch (e) {
+        // Fail closed: a broken policy must not silently allow everything
+        log.error('[AUTHZ] Failed to load policy:', e.message);
+        throw new ForbiddenError('Authorization policy could not be loaded', { id: 'policy-load-error' });
+    }
+    return cachedPolicy;
+}
+
+function matchesPattern(pattern, value) {
+    if (pattern === undefined || pattern === '*') return true;
+    const patterns = Array.isArray(pattern) ? pattern : [pattern];
+    return patterns.some(p => {
+        const re = new RegExp('^' + String(p).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+        return re.test(String(value));
+    });
+}
+
+function matchesCondition(when, data) {
+    if (!when) return true;
+    return Object.entries(when).every(([field, expected]) => {
+        const actual = data ? data[field] : undefined;
+        if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+            if ('eq' in expected && actual !== expected.eq) return false;
+            if ('ne' in expected && actual === expected.ne) return false;
+            if ('in' in expected && !(Array.isArray(expected.in) && expected.in.includes(actual))) return false;
+            if ('exists' in expected && (actual !== undefined) !== !!expected.exists) return false;
+            return true;
+        }
+        return actual === expected;
+    });
+}
+
+function resolveRoles(identity, policy) {
+    const roles = new Set(identity.roles || []);
+    const userRoles = policy.users && policy.users[identity.id];
+    (Array.isArray(userRoles) ? userRoles : (userRoles ? [userRoles] : [])).forEach(r => roles.add(r));
+    if (roles.size === 0) {
+        (policy.defaultRoles || []).forEach(r => roles.add(r));
+    }
+    return Array.from(roles);
+}
+
+/**
+ * Evaluate the policy for a service/action call. Deny rules win over allow rules;
+ * when nothing matches the policy's defaultEffect (deny unless set) applies.
+ */
+function evaluatePolicy(policy, identity, service, action, data) {
+    const roles = resolveRoles(identity, policy);
+    let allowedBy = null;
+
+    for (const role of roles) {
+        const rules = (policy.roles && policy.roles[role]) || [];
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            if (!matchesPattern(rule.service, service) || !matchesPattern(rule.action, action)) continue;
+            if (!matchesCondition(rule.when, data)) continue;
+
+            const ruleRef = { id: rule.id || `${role}[${i}]`, role, effect: rule.effect || 'allow', service: rule.service, action: rule.action, when: rule.when };
+            if (ruleRef.effect === 'deny') {
+                return { allowed: false, roles, rule: ruleRef };
+            }
+            if (!allowedBy) allowedBy = ruleRef;
+        }
+    }
+
+    if (allowedBy) return { allowed: true, roles, rule: allowedBy };
+    const defaultEffect = policy.defaultEffect || 'deny';
+    return { allowed: defaultEffect === 'allow', roles, rule: { id: 'default', effect: defaultEffect } };
+}
+
+function isRestrictedAction(service, action) {
+    const schema = ACTION_SCHEMAS[service] && ACTION_SCHEMAS[service][action];
+    return Boolean(schema && schema.restricted);
+}
+
+/**
+ * Check the caller against the policy and audit-log the decision; throws ForbiddenError when denied.
+ * Restricted actions need an allow rule from one of the caller's roles, even without a policy.
+ */
+function authorizeRequest(identity, service, action, data) {
+    const policy = loadPolicy();
+    const restricted = isRestrictedAction(service, action);
+    if (!policy && !restricted) return;
+
+    let decision = policy
+        ? evaluatePolicy(policy, identity, service, action, data)
+        : { allowed: false, roles: identity.roles || [], rule: { id: 'default', effect: 'deny' } };
+    if (restricted && decision.allowed && !decision.rule.role) {
+        decision = { ...decision, allowed: false, rule: { id: 'restricted', effect: 'deny' } };
+    }
+    logEvent(decision.allowed ? 'info' : 'warn', `${decision.allowed ? 'Allowed' : 'Denied'} ${identity.id} ${service}/${action}`, {
+        tag: 'AUTHZ',
+        caller: identity.id,
+        roles: decision.roles,
+        service,
+        action,
+        decision: decision.allowed ? 'allow' : 'deny',
+        rule: decision.rule.id
+    });
+
+    if (!decision.allowed) {
+        throw new ForbiddenError(`${identity.id} is not allowed to run ${service}/${action}`, decision.rule);
+    }
+}
+
+// ---- Rate limiting ----
+// Token buckets per caller: the authenticated identity, or the client IP for anonymous requests.
+// add_* and request_* actions draw from a small "add" budget, everything else from "read". Fan-out
+// actions pay per upstream call: batch and import operations, import lookups and the instances of a
+// multi-instance add are charged one by one, and a search is charged for every service call it makes.
+// Failed authentication attempts and anonymous requests also draw from the client IP's
+// "unauthenticated" budget, and an IP that has spent it is rejected before credentials are checked.
+// PROXY_RATE_LIMITS overrides the budgets with a JSON map, e.g.
+// { "add": { "capacity": 5, "refillPerMinute": 5 } } (capacity 0 disables a budget).
+// PROXY_RATE_LIMIT_STORE may point to a module exporting a shared store with
+// async take(key, cost, { capacity, refillPerMinute }) resolving to { allowed, remaining, retryAfterMs }.
+const DEFAULT_RATE_LIMITS = {
+    unauthenticated: { capacity: 240, refillPerMinute: 240 },
+    read: { capacity: 120, refillPerMinute: 120 },
+    add: { capacity: 10, refillPerMinute: 10 }
+};
+const MEMORY_RATE_LIMIT_MAX_KEYS = 5000;
+
+class RateLimitError extends ProxyError {
+    constructor(message, options = {}) {
+        super(message, { code: 'RATE_LIMITED', ...options, statusCode: 429 });
+    }
+}
+
+let rateLimits;
+let rateLimitStore;
+
+function getRateLimits() {
+    if (!rateLimits) {
+        let overrides = {};
+        try {
+            overrides = process.env.PROXY_RATE_LIMITS ? JSON.parse(process.env.PROXY_RATE_LIMITS) : {};
+        } catch (e) {
+            log.error('[RATELIMIT] PROXY_RATE_LIMITS is not valid JSON, using defaults:', e.message);
+        }
+        rateLimits = {};
+        for (const [bucket, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+            rateLimits[bucket] = { ...defaults, ...(overrides[bucket] || {}) };
+        }
+    }
+    return rateLimits;
+}
+
+// Survives warm invocations of the same function instance
+function createMemoryRateLimitStore() {
+    const buckets = new Map();
+    return {
+        async take(key, cost, { capacity, refillPerMinute }) {
+            const now = Date.now();
+            const refillPerMs = refillPerMinute / 60000;
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = now;
+
+            const allowed = bucket.tokens >= cost;
+            if (allowed) bucket.tokens -= cost;
+            buckets.delete(key);
+            if (buckets.size >= MEMORY_RATE_LIMIT_MAX_KEYS) buckets.delete(buckets.keys().next().value);
+            buckets.set(key, bucket);
+            return {
+                allowed,
+                remaining: Math.floor(bucket.tokens),
+                retryAfterMs: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerMs)
+            };
+        }
+    };
+}
+
+function getRateLimitStore() {
+    if (!rateLimitStore) {
+        const storePath = process.env.PROXY_RATE_LIMIT_STORE;
+        rateLimitStore = storePath ? require(path.resolve(storePath)) : createMemoryRateLimitStore();
+    }
+    return rateLimitStore;
+}
+
+function rateLimitBucket(action) {
+    return /^(add|request)_/.test(String(action)) ? 'add' : 'read';
+}
+
+/**
+ * Whether an action charges its own upstream calls instead of paying once up front
+ */
+function isChargedPerUpstreamCall(service, action, data) {
+    return isMultiInstanceAdd(service, action, data) || (service === 'proxy' && action === 'search');
+}
+
+// Netlify sets this from the connection itself; X-Forwarded-For is whatever the client sent
+function getClientIp(event) {
+    return getHeader(event, 'X-Nf-Client-Connection-Ip') || 'unknown';
+}
+
+/**
+ * The key a caller's budgets are tracked under: their identity, or the client IP when unauthenticated
+ */
+function getRateLimitClient(identity, event) {
+    if (identity && identity.method !== 'none') return `id:${identity.id}`;
+    return `ip:${getClientIp(event)}`;
+}
+
+/**
+ * Take `cost` tokens from the caller's budget for this action, throwing a RateLimitError when there
+ * aren't enough. A cost of 0 only checks that a token is left. Store failures are logged and let the
+ * request through.
+ */
+async function enforceRateLimit(client, service, action, { bucket = rateLimitBucket(action), cost = 1 } = {}) {
+    const limit = getRateLimits()[bucket];
+    if (!client || !limit || !(limit.capacity > 0)) return;
+
+    let outcome;
+    try {
+        outcome = await getRateLimitStore().take(`${client}:${bucket}`, cost, limit);
+    } catch (e) {
+        log.warn('[RATELIMIT] Store failed, allowing request:', e.message);
+        return;
+    }
+    if (!outcome.allowed || (cost === 0 && outcome.remaining < 1)) {
+        const retryAfterMs = outcome.retryAfterMs || 60000 / limit.refillPerMinute;
+        const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        log.warn(`[RATELIMIT] ${client} exhausted the ${bucket} budget on ${service}/${action}`);
+        throw new RateLimitError(`Rate limit exceeded for ${bucket} requests; retry in ${retryAfterSeconds}s`, {
+            service,
+            action,
+            details: { bucket, capacity: limit.capacity, refillPerMinute: limit.refillPerMinute, retryAfterSeconds }
+        });
+    }
+}
+
+// ---- Request schemas ----
+// Declarative payload schema per service/action, checked in exports.handler before dispatch.
+// Field options: type (string|integer|number|boolean|array|object), required, default, enum,
+// min/max, aliases (alternate input names folded into the canonical field) and description.
+// A schema's requireOneOf lists field groups where at least one field must be present, `mutating`
+// marks actions that change upstream state (audited, and they invalidate cached listings) and
+// `restricted` marks actions that only run for callers a policy rule explicitly allows.
+const MONITOR_OPTIONS = ['all', 'future', 'missing', 'existing', 'first', 'latest', 'none'];
+const OVERSEERR_REQUEST_FILTERS = ['all', 'approved', 'available', 'pending', 'processing', 'unavailable', 'failed', 'deleted', 'completed'];
+
+const HISTORY_EVENT_TYPES = ['grabbed', 'imported', 'failed', 'deleted', 'renamed', 'ignored'];
+const AUDIT_OUTCOMES = ['added', 'exists', 'success', 'partial', 'failed'];
+
+// Commands accepted by run_command, with the body fields each one takes ('integer' or 'array' of ids).
+// Fields listed under `required` must be supplied by the caller.
+const ARR_COMMANDS = {
+    radarr: {
+        commands: {
+            MoviesSearch: { fields: { movieIds: 'array' }, required: ['movieIds'] },
+            RefreshMovie: { fields: { movieIds: 'array' } },
+            RescanMovie: { fields: { movieId: 'integer' } },
+            MissingMoviesSearch: { fields: {} },
+            CutOffUnmetMoviesSearch: { fields: {} },
+            RssSync: { fields: {} }
+        }
+    },
+    sonarr: {
+        commands: {
+            SeriesSearch: { fields: { seriesId: 'integer' }, required: ['seriesId'] },
+            SeasonSearch: { fields: { seriesId: 'integer', seasonNumber: 'integer' }, required: ['seriesId', 'seasonNumber'] },
+            EpisodeSearch: { fields: { episodeIds: 'array' }, required: ['episodeIds'] },
+            RefreshSeries: { fields: { seriesId: 'integer' } },
+            RescanSeries: { fields: { seriesId: 'integer' } },
+            MissingEpisodeSearch: { fields: {} },
+            CutoffUnmetEpisodeSearch: { fields: {} },
+            RssSync: { fields: {} }
+        }
+    },
+    readarr: {
+        commands: {
+            BookSearch: { fields: { bookIds: 'array' }, required: ['bookIds'] },
+            AuthorSearch: { fields: { authorId: 'integer' }, required: ['authorId'] },
+            RefreshAuthor: { fields: { authorId: 'integer' } },
+            RefreshBook: { fields: { bookId: 'integer' }, required: ['bookId'] },
+            RescanFolders: { fields: {} },
+            MissingBookSearch: { fields: {} },
+            CutoffUnmetBookSearch: { fields: {} },
+            RssSync: { fields: {} }
+        }
+    },
+    lidarr: {
+        commands: {
+            AlbumSearch: { fields: { albumIds: 'array' }, required: ['albumIds'] },
+            ArtistSearch: { fields: { artistId: 'integer' }, required: ['artistId'] },
+            RefreshArtist: { fields: { artistId: 'integer' } },
+            RescanFolders: { fields: {} },
+            MissingAlbumSearch: { fields: {} },
+            CutoffUnmetAlbumSearch: { fields: {} },
+            RssSync: { fields: {} }
+        }
+    }
+};
+
+function commandSchemas(service) {
+    const label = serviceLabel(service);
+    return {
+        run_command: {
+            description: `Queue a ${label} command; poll get_command with the returned commandId`,
+            mutating: true,
+            fields: {
+                name: { type: 'string', required: true, aliases: ['command'], enum: Object.keys(ARR_COMMANDS[service].commands) }
+            }
+        },
+        get_command: {
+            description: `Get the status of a queued ${label} command`,
+            fields: { commandId: { type: 'integer', required: true, min: 1, aliases: ['id'] } }
+        }
+    };
+}
+
+function activitySchemas(service) {
+    const label = serviceLabel(service);
+    const paging = {
+        page: { type: 'integer', min: 1, default: 1 },
+        pageSize: { type: 'integer', min: 1, max: 250, default: 50 }
+    };
+    return {
+        get_queue: { description: `Download queue for ${label} with progress and ETA`, fields: { ...paging } },
+        get_history: {
+            description: `${label} history, newest first`,
+            fields: {
+                ...paging,
+                eventType: { type: 'string', enum: HISTORY_EVENT_TYPES, description: 'Filters the fetched page, so pages can come back short' }
+            }
+        },
+        get_calendar: {
+            description: `${label} releases between two dates`,
+            fields: {
+                start: { type: 'string', description: 'ISO date; defaults to today' },
+                end: { type: 'string', description: 'ISO date; defaults to start + 7 days' },
+                unmonitored: { type: 'boolean', default: false }
+            }
+        },
+        get_wanted: {
+            description: `Monitored ${label} items that are missing or below the quality cutoff`,
+            fields: { ...paging, type: { type: 'string', enum: ['missing', 'cutoff'], default: 'missing' } }
+        }
+    };
+}
+
+// Sort keys and filter accessors for library listings, per collection
+const LIBRARY_LISTINGS = {
+    movies: {
+        sort: {
+            title: m => (m.sortTitle || m.title || '').toLowerCase(),
+            year: m => m.year,
+            added: m => m.added,
+            sizeOnDisk: m => m.sizeOnDisk ?? m.statistics?.sizeOnDisk
+        },
+        hasFile: m => !!m.hasFile
+    },
+    series: {
+        sort: {
+            title: s => (s.sortTitle || s.title || '').toLowerCase(),
+            year: s => s.year,
+            added: s => s.added,
+            sizeOnDisk: s => s.statistics?.sizeOnDisk
+        },
+        hasFile: s => (s.statistics?.episodeFileCount || 0) > 0
+    },
+    books: {
+        sort: {
+            title: b => (b.title || '').toLowerCase(),
+            year: b => deriveYear(b.releaseDate),
+            added: b => b.added,
+            releaseDate: b => b.releaseDate
+        },
+        hasFile: b => (b.statistics?.bookFileCount || 0) > 0
+    },
+    authors: {
+        sort: {
+            title: a => (a.sortName || a.authorName || '').toLowerCase(),
+            added: a => a.added,
+            sizeOnDisk: a => a.statistics?.sizeOnDisk
+        },
+        hasFile: a => (a.statistics?.bookFileCount || 0) > 0
+    }
+};
+
+function librarySchema(collection, description) {
+    return {
+        description: `${description}. Returns a plain array unless page or pageSize is given, then { page, pageSize, totalRecords, records }`,
+        fields: {
+            page: { type: 'integer', min: 1 },
+            pageSize: { type: 'integer', min: 1, max: 1000 },
+            sortKey: { type: 'string', enum: Object.keys(LIBRARY_LISTINGS[collection].sort) },
+            sortDirection: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+            monitored: { type: 'boolean' },
+            hasFile: { type: 'boolean' },
+            tag: { type: 'integer', description: 'Tag id' },
+            qualityProfileId: { type: 'integer', min: 1 },
+            addedSince: { type: 'string', description: 'ISO date' },
+            fields: { description: 'Comma-separated list or array of fields to return, e.g. "id,title,year"; dotted paths allowed' }
+        }
+    };
+}
+
+const ACTION_SCHEMAS = {
+    proxy: {
+        describe: {
+            description: 'Return the payload schemas for every service, or for one service',
+            fields: {
+                service: { type: 'string', description: 'Only describe this service' }
+            }
+        },
+        health: {
+            description: 'Check reachability, version, latency and API key of every configured service; also served on GET. Answers 503 when a required service is down',
+            fields: {
+                services: { type: 'array', description: 'Only check these services' },
+                timeoutMs: { type: 'integer', min: 500, max: 20000, default: 5000, description: 'Per-service timeout' }
+            }
+        },
+        get_audit_log: {
+            description: 'Audit events for every mutating action, newest first. Denied unless a policy rule allows it',
+            restricted: true,
+            fields: {
+                service: { type: 'string' },
+                action: { type: 'string', description: 'Action name; * wildcards allowed' },
+                caller: { type: 'string', description: 'Caller identity' },
+                outcome: { type: 'string', enum: AUDIT_OUTCOMES },
+                keyId: { type: 'string', description: 'Matches any key id (tmdbId, tvdbId, mbId, foreignBookId, ...)' },
+                since: { type: 'string', description: 'ISO date' },
+                until: { type: 'string', description: 'ISO date' },
+                limit: { type: 'integer', min: 1, max: 1000, default: 100 }
+            }
+        },
+        get_config: {
+            description: 'Report which services are enabled, their instances, defaults and config errors (never API keys)',
+            fields: {}
+        },
+        search: {
+            description: 'Search every configured service and return one normalized result list',
+            fields: {
+                term: { type: 'string', required: true, aliases: ['query'] },
+                mediaTypes: { type: 'array', description: `Subset of: ${['movie', 'series', 'book', 'artist', 'album'].join(', ')}` },
+                limit: { type: 'integer', min: 1, max: 50, default: 10, description: 'Maximum results per service' },
+                timeoutMs: { type: 'integer', min: 500, max: 20000, default: 8000, description: 'Per-service timeout' }
+            }
+        },
+        batch: {
+            description: 'Run many {service, action, data} operations in one request',
+            fields: {
+                operations: { type: 'array', required: true, description: 'Array of { service, action, data } objects' },
+                concurrency: { type: 'integer', min: 1, max: 10, default: 4 },
+                stopOnError: { type: 'boolean', default: false, description: 'Skip remaining operations after the first failure' }
+            }
+        }
+    },
+    import: {
+        import_list: {
+            description: 'Import a Letterboxd/IMDb CSV or Trakt/JSON watchlist into Radarr and Sonarr',
+            fields: {
+                content: { type: 'string', required: true, description: 'Raw CSV or JSON export' },
+                format: { type: 'string', enum: ['auto', 'csv', 'json'], default: 'auto' },
+                source: { type: 'string', enum: ['auto', 'letterboxd', 'imdb', 'trakt', 'generic'], default: 'auto' },
+                mediaType: { type: 'string', enum: ['auto', 'movie', 'series'], default: 'auto', description: 'Force every row to this media type' },
+                dryRun: { type: 'boolean', default: true, description: 'Only report matched/ambiguous/unmatched rows' },
+                offset: { type: 'integer', min: 0, default: 0, description: 'First row to process, for chunked imports' },
+                limit: { type: 'integer', min: 1, max: 200, default: 50, description: 'Rows to process in this call' },
+                concurrency: { type: 'integer', min: 1, max: 5, default: 3 },
+                radarr: { type: 'object', description: 'add_movie options: qualityProfileId, rootFolderPath, monitored, searchOnAdd' },
+                sonarr: { type: 'object', description: 'add_series options: qualityProfileId, rootFolderPath, monitored, searchOnAdd' }
+            }
+        }
+    },
+    radarr: {
+        add_movie: {
+            description: 'Add a movie to Radarr by TMDB id',
+            mutating: true,
+            fields: {
+                tmdbId: { type: 'integer', required: true, min: 1 },
+                qualityProfileId: { type: 'integer', required: true, min: 1 },
+                rootFolderPath: { type: 'string', required: true },
+                tags: { type: 'array', description: 'Tag ids to apply' },
+                monitored: { type: 'boolean', default: true },
+                searchOnAdd: { type: 'boolean', default: true },
+                updateMonitoring: { type: 'boolean', default: false, description: 'Apply `monitored` when the movie is already in the library' },
+                is4k: { type: 'boolean', description: 'Available to RADARR_ROUTES rules, e.g. to pick a 4K instance' },
+                instances: { type: 'array', description: 'Add to each of these named instances and return per-instance results' },
+                instanceOptions: { type: 'object', description: 'Per-instance overrides, e.g. { "4k": { "qualityProfileId": 5, "rootFolderPath": "/movies-4k" } }' }
+            }
+        },
+        lookup_movie: {
+            description: 'Look up movies by title, "tmdb:<id>" or "imdb:<id>"',
+            fields: {
+                term: { type: 'string', aliases: ['query'] },
+                tmdbId: { type: 'integer', min: 1 },
+                imdbId: { type: 'string' },
+                limit: { type: 'integer', min: 1, max: 100, default: 20 }
+            },
+            requireOneOf: [['term', 'tmdbId', 'imdbId']]
+        },
+        update_movie: {
+            description: 'Change an existing movie; only the supplied fields are updated',
+            mutating: true,
+            fields: {
+                movieId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                monitored: { type: 'boolean' },
+                qualityProfileId: { type: 'integer', min: 1 },
+                minimumAvailability: { type: 'string', enum: ['announced', 'inCinemas', 'released'] },
+                path: { type: 'string' },
+                tags: { type: 'array' },
+                moveFiles: { type: 'boolean', default: false, description: 'Move existing files when `path` changes' }
+            }
+        },
+        delete_movie: {
+            description: 'Remove a movie from Radarr',
+            mutating: true,
+            fields: {
+                movieId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                deleteFiles: { type: 'boolean', default: false },
+                addImportExclusion: { type: 'boolean', default: false }
+            }
+        },
+        set_monitored: {
+            description: 'Monitor or unmonitor one or more movies',
+            mutating: true,
+            fields: {
+                movieId: { type: 'integer', min: 1, aliases: ['id'] },
+                movieIds: { type: 'array' },
+                monitored: { type: 'boolean', required: true }
+            },
+            requireOneOf: [['movieId', 'movieIds']]
+        },
+        get_movies: librarySchema('movies', 'List movies in the Radarr library'),
+        get_quality_profiles: { description: 'List Radarr quality profiles', fields: {} },
+        get_root_folders: { description: 'List Radarr root folders', fields: {} },
+        ...commandSchemas('radarr'),
+        ...activitySchemas('radarr')
+    },
+    sonarr: {
+        add_series: {
+            description: 'Add a series to Sonarr by TVDB id',
+            mutating: true,
+            fields: {
+                tvdbId: { type: 'integer', required: true, min: 1 },
+                qualityProfileId: { type: 'integer', required: true, min: 1 },
+                rootFolderPath: { type: 'string', required: true },
+                tags: { type: 'array', description: 'Tag ids to apply' },
+                monitored: { type: 'boolean', default: true },
+                searchOnAdd: { type: 'boolean', default: true },
+                seasons: { type: 'array', description: 'Seasons to monitor, as [{ seasonNumber, monitored }]' },
+                seriesType: { type: 'string', enum: ['standard', 'daily', 'anime'], description: 'Defaults to the lookup result; SONARR_ROUTES rules only see it when the caller sends it' },
+                updateMonitoring: { type: 'boolean', default: false, description: 'Apply `monitored`/`seasons` when the series is already in the library' }
+            }
+        },
+        lookup_series: {
+            description: 'Look up series by title or "tvdb:<id>"',
+            fields: {
+                term: { type: 'string', aliases: ['query'] },
+                tvdbId: { type: 'integer', min: 1 },
+                limit: { type: 'integer', min: 1, max: 100, default: 20 }
+            },
+            requireOneOf: [['term', 'tvdbId']]
+        },
+        update_series: {
+            description: 'Change an existing series; only the supplied fields are updated',
+            mutating: true,
+            fields: {
+                seriesId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                monitored: { type: 'boolean' },
+                qualityProfileId: { type: 'integer', min: 1 },
+                seriesType: { type: 'string', enum: ['standard', 'daily', 'anime'] },
+                seasonFolder: { type: 'boolean' },
+                path: { type: 'string' },
+                tags: { type: 'array' },
+                moveFiles: { type: 'boolean', default: false, description: 'Move existing files when `path` changes' }
+            }
+        },
+        delete_series: {
+            description: 'Remove a series from Sonarr',
+            mutating: true,
+            fields: {
+                seriesId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                deleteFiles: { type: 'boolean', default: false },
+                addImportExclusion: { type: 'boolean', default: false }
+            }
+        },
+        set_monitored: {
+            description: 'Monitor or unmonitor a series, one of its seasons, or individual episodes',
+            mutating: true,
+            fields: {
+                target: { type: 'string', enum: ['series', 'season', 'episode'], default: 'series' },
+                seriesId: { type: 'integer', min: 1 },
+                seasonNumber: { type: 'integer', min: 0 },
+                episodeIds: { type: 'array' },
+                monitored: { type: 'boolean', required: true }
+            }
+        },
+        get_series: librarySchema('series', 'List series in the Sonarr library'),
+        get_quality_profiles: { description: 'List Sonarr quality profiles', fields: {} },
+        get_root_folders: { description: 'List Sonarr root folders', fields: {} },
+        ...commandSchemas('sonarr'),
+        ...activitySchemas('sonarr')
+    },
+    readarr: {
+        add_book: {
+            description: 'Add a book (and its author when needed) to Readarr from a lookup result',
+            mutating: true,
+            fields: {
+                book: { type: 'object', required: true, description: 'A book object from lookup_book' },
+                term: { type: 'string', description: 'Author search term; derived from the book when omitted' },
+                qualityProfileId: { type: 'integer', min: 1, description: 'Defaults to the configured profile, then the first Readarr profile' },
+                metadataProfileId: { type: 'integer', min: 1, description: 'Defaults to the configured profile, then the first Readarr profile' },
+                rootFolderPath: { type: 'string', description: 'Defaults to the configured root folder, then the first Readarr root folder' },
+                tags: { type: 'array', description: 'Tag ids to apply' },
+                monitored: { type: 'boolean', default: true },
+                searchForNewBook: { type: 'boolean', default: true },
+                foreignEditionId: { type: 'string' },
+                updateMonitoring: { type: 'boolean', default: false, description: 'Apply `monitored` when the book is already in the library' }
+            }
+        },
+        add_author: {
+            description: 'Add an author to Readarr from a search term',
+            mutating: true,
+            fields: {
+                term: { type: 'string', required: true },
+                rootFolderPath: { type: 'string', required: true },
+                tags: { type: 'array', description: 'Tag ids to apply' },
+                qualityProfileId: { type: 'integer', min: 1 },
+                metadataProfileId: { type: 'integer', min: 1 },
+                monitored: { type: 'boolean', default: true },
+                authorMonitor: { type: 'string', enum: MONITOR_OPTIONS, default: 'none' },
+                authorSearchForMissingBooks: { type: 'boolean', default: false },
+                updateMonitoring: { type: 'boolean', default: false, description: 'Apply `monitored` when the author is already in the library' }
+            }
+        },
+        lookup_book: { description: 'Search Readarr for books', fields: { term: { type: 'string', required: true } } },
+        lookup_author: { description: 'Search Readarr for authors', fields: { term: { type: 'string', required: true } } },
+        lookup_edition: { description: 'Search Readarr for editions', fields: { term: { type: 'string', required: true } } },
+        lookup_book_bookinfo: {
+            description: 'Search BookInfo.pro for books',
+            fields: { term: { type: 'string', required: true, aliases: ['search'] } }
+        },
+        lookup_author_bookinfo: {
+            description: 'Search BookInfo.pro for authors',
+            fields: { term: { type: 'string', required: true, aliases: ['search'] } }
+        },
+        update_author: {
+            description: 'Change an existing author; only the supplied fields are updated',
+            mutating: true,
+            fields: {
+                authorId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                monitored: { type: 'boolean' },
+                monitorNewItems: { type: 'string', enum: ['all', 'none', 'new'] },
+                qualityProfileId: { type: 'integer', min: 1 },
+                metadataProfileId: { type: 'integer', min: 1 },
+                path: { type: 'string' },
+                tags: { type: 'array' },
+                moveFiles: { type: 'boolean', default: false, description: 'Move existing files when `path` changes' }
+            }
+        },
+        delete_book: {
+            description: 'Remove a book from Readarr',
+            mutating: true,
+            fields: {
+                bookId: { type: 'integer', required: true, min: 1, aliases: ['id'] },
+                deleteFiles: { type: 'boolean', default: false },
+                addImportExclusion: { type: 'boolean', default: false }
+            }
+        },
+        set_monitored: {
+            description: 'Monitor or unmonitor books or an author',
+            mutating: true,
+            fields: {
+                target: { type: 'string', enum: ['book', 'author'], default: 'book' },
+                bookId: { type: 'integer', min: 1 },
+                bookIds: { type: 'array' },
+                authorId: { type: 'integer', min: 1 },
+                monitored: { type: 'boolean', required: true }
+            },
+            requireOneOf: [['bookId', 'bookIds', 'authorId']]
+        },
+        get_books: librarySchema('books', 'List books in the Readarr library'),
+        get_authors: librarySchema('authors', 'List authors in the Readarr library'),
+        get_quality_profiles: { description: 'List Readarr quality profiles', fields: {} },
+        get_metadata_profiles: { description: 'List Readarr metadata profiles', fields: {} },
+        get_root_folders: { description: 'List Readarr root folders', fields: {} },
+        ...commandSchemas('readarr'),
+        ...activitySchemas('readarr')
+    },
+    headphones: {
+        search_artist: {
+            description: 'Search Headphones for artists',
+            fields: { term: { type: 'string', required: true, aliases: ['name', 'query'] } }
+        },
+        add_artist: {
+            description: 'Add an artist to Headphones by MusicBrainz id',
+            mutating: true,
+            fields: {
+                mbid: { type: 'string', required: true, aliases: ['mbId', 'id', 'foreignArtistId'] },
+                artistName: { type: 'string', aliases: ['name'] }
+            }
+        },
+        search_album: {
+            description: 'Search Headphones for albums by title and/or artist',
+            requireOneOf: [['term', 'artist']],
+            fields: {
+                term: { type: 'string', aliases: ['album', 'query'] },
+                artist: { type: 'string', aliases: ['artistName'] }
+            }
+        },
+        add_album: {
+            description: 'Add an album to Headphones by MusicBrainz id',
+            mutating: true,
+            fields: {
+                mbid: { type: 'string', required: true, aliases: ['mbId', 'id', 'foreignAlbumId', 'albumId'] },
+                albumTitle: { type: 'string', aliases: ['title', 'name'] }
+            }
+        },
+        get_quality_profiles: { description: 'List Headphones quality profiles', fields: {} },
+        get_root_folders: { description: 'List Headphones root folders', fields: {} },
+        get_metadata_profiles: { description: 'Always empty; kept for frontend compatibility', fields: {} }
+    },
+    lidarr: {
+        add_artist: {
+            description: 'Add an artist to Lidarr by MusicBrainz id',
+            mutating: true,
+            fields: {
+                mbId: { type: 'string', required: true, aliases: ['foreignArtistId'] },
+                qualityProfileId: { type: 'integer', required: true, min: 1 },
+                rootFolderPath: { type: 'string', required: true },
+                tags: { type: 'array', description: 'Tag ids to apply' },
+                metadataProfileId: { type: 'integer', min: 1, description: 'Defaults to the first Lidarr profile' },
+                monitored: { type: 'boolean', default: true },
+                searchOnAdd: { type: 'boolean', default: true },
+                artistMonitor: { type: 'string', enum: MONITOR_OPTIONS, default: 'all' },
+                updateMonitoring: { type: 'boolean', default: false, description: 'Apply `monitored` when the artist is already in the library' }
+            }
+        },
+        add_album: {
+            description: 'Add an album to Lidarr by MusicBrainz id, adding its artist when missing; an album already listed is monitored instead',
+            mutating: true,
+            fields: {
+                mbId: { type: 'string', required: true, aliases: ['foreignAlbumId'] },
+                qualityProfileId: { type: 'integer', required: true, min: 1 },
+                rootFolderPath: { type: 'string', required: true },
+                metadataProfileId: { type: 'integer', min: 1, description: 'Defaults to the first Lidarr profile' },
+                monitored: { type: 'boolean', default: true },
+                searchOnAdd: { type: 'boolean', default: true }
+            }
+        },
+        lookup_artist: { description: 'Search Lidarr for artists', fields: { term: { type: 'string', required: true } } },
+        lookup_album: { description: 'Search Lidarr for albums', fields: { term: { type: 'string', required: true } } },
+        get_artists: { description: 'List artists in the Lidarr library', fields: {} },
+        get_albums: { description: 'List albums in the Lidarr library', fields: {} },
+        get_quality_profiles: { description: 'List Lidarr quality profiles', fields: {} },
+        get_metadata_profiles: { description: 'List Lidarr metadata profiles', fields: {} },
+        get_root_folders: { description: 'List Lidarr root folders', fields: {} },
+        ...commandSchemas('lidarr'),
+        ...activitySchemas('lidarr')
+    },
+    overseerr: {
+        request_movie: {
+            description: 'Request a movie through Overseerr',
+            mutating: true,
+            fields: {
+                tmdbId: { type: 'integer', required: true, min: 1 },
+                is4k: { type: 'boolean', default: false }
+            }
+        },
+        request_series: {
+            description: 'Request a series (optionally specific seasons) through Overseerr',
+            mutating: true,
+            fields: {
+                tmdbId: { type: 'integer', required: true, min: 1, description: 'Overseerr keys TV requests by TMDB id' },
+                tvdbId: { type: 'integer', min: 1 },
+                seasons: { type: 'array', description: 'Season numbers to request; all seasons when omitted' },
+                is4k: { type: 'boolean', default: false }
+            }
+        },
+        list_requests: {
+            description: 'List Overseerr requests',
+            fields: {
+                filter: { type: 'string', enum: OVERSEERR_REQUEST_FILTERS, default: 'all' },
+                sort: { type: 'string', enum: ['added', 'modified'], default: 'added' },
+                take: { type: 'integer', min: 1, max: 100, default: 20 },
+                skip: { type: 'integer', min: 0, default: 0 },
+                requestedBy: { type: 'integer', min: 1 }
+            }
+        },
+        approve_request: {
+            description: 'Approve a pending Overseerr request',
+            mutating: true,
+            fields: { requestId: { type: 'integer', required: true, min: 1, aliases: ['id'] } }
+        },
+        decline_request: {
+            description: 'Decline a pending Overseerr request',
+            mutating: true,
+            fields: { requestId: { type: 'integer', required: true, min: 1, aliases: ['id'] } }
+        },
+        delete_request: {
+            description: 'Delete an Overseerr request',
+            mutating: true,
+            fields: { requestId: { type: 'integer', required: true, min: 1, aliases: ['id'] } }
+        },
+        get_media_status: {
+            description: 'Get availability and requests for a movie or series',
+            fields: {
+                tmdbId: { type: 'integer', required: true, min: 1 },
+                mediaType: { type: 'string', enum: ['movie', 'tv'], default: 'movie' }
+            }
+        },
+        search: {
+            description: 'Search Overseerr for movies and series',
+            fields: {
+                term: { type: 'string', required: true, aliases: ['query'] },
+                page: { type: 'integer', min: 1, default: 1 }
+            }
+        }
+    }
+};
+
+function coerceField(value, field) {
+    switch (field.type) {
+        case 'integer': {
+            const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return Number.isInteger(n) ? { value: n } : { error: 'must be an integer' };
+        }
+        case 'number': {
+            const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof n === 'number' && !isNaN(n) ? { value: n } : { error: 'must be a number' };
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 1 || value === '1') return { value: true };
+            if (value === 'false' || value === 0 || value === '0') return { value: false };
+            return { error: 'must be a boolean' };
+        case 'string':
+            if (typeof value === 'string') return { value: value.trim() };
+            if (typeof value === 'number') return { value: String(value) };
+            return { error: 'must be a string' };
+        case 'array':
+            return Array.isArray(value) ? { value } : { error: 'must be an array' };
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'must be an object' };
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Validate a payload against a schema, collecting every error rather than stopping at the first
+ */
+function validatePayload(schema, data) {
+    const input = data && typeof data === 'object' ? data : {};
+    const value = { ...input };
+    const errors = [];
+
+    for (const [name, field] of Object.entries(schema.fields || {})) {
+        let raw = input[name];
+        for (const alias of field.aliases || []) {
+            if ((raw === undefined || raw === null || raw === '') && input[alias] !== undefined) {
+                raw = input[alias];
+            }
+            delete value[alias];
+        }
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (field.required) {
+                errors.push({ field: name, message: 'is required' });
+            } else if (field.default !== undefined) {
+                value[name] = field.default;
+            } else {
+                delete value[name];
+            }
+            continue;
+        }
+
+        const coerced = coerceField(raw, field);
+        if (coerced.error) {
+            errors.push({ field: name, message: coerced.error, value: raw });
+            continue;
+        }
+        if (field.enum && !field.enum.includes(coerced.value)) {
+            errors.push({ field: name, message: `must be one of: ${field.enum.join(', ')}`, value: raw });
+            continue;
+        }
+        if (field.min !== undefined && coerced.value < field.min) {
+            errors.push({ field: name, message: `must be at least ${field.min}`, value: raw });
+            continue;
+        }
+        if (field.max !== undefined && coerced.value > field.max) {
+            errors.push({ field: name, message: `must be at most ${field.max}`, value: raw });
+            continue;
+        }
+        value[name] = coerced.value;
+    }
+
+    for (const group of schema.requireOneOf || []) {
+        if (!group.some(name => value[name] !== undefined)) {
+            errors.push({ fields: group, message: `one of ${group.join(', ')} is required` });
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Validate and coerce request data for a service/action, filling instance defaults; unknown pairs are
+ * left to the dispatcher
+ */
+function validateRequestData(service, action, data) {
+    const schema = ACTION_SCHEMAS[service] && ACTION_SCHEMAS[service][action];
+    if (!schema) return data;
+
+    // Defaults are picked from the coerced payload so they come from the instance routing will use
+    // (is4k: "true" must select the 4k instance's root folder, not the default one's). They're filled
+    // even when other fields fail to coerce, so those errors aren't joined by spurious "is required" ones.
+    const coerced = validatePayload(schema, data);
+    const { value, errors } = validatePayload(schema, applyServiceDefaults(service, action, coerced.value));
+    if (errors.length > 0) {
+        throw new ValidationError(
+            `Invalid ${service}/${action} payload: ` + errors.map(e => e.field ? `${e.field} ${e.message}` : e.message).join('; '),
+            { service, action, details: { errors } }
+        );
+    }
+    return value;
+}
+
+function describeSchemas(service) {
+    if (service) {
+        if (!ACTION_SCHEMAS[service]) {
+            throw new ValidationError(`Unknown service: ${service}`, { code: 'UNKNOWN_SERVICE' });
+        }
+        return { [service]: ACTION_SCHEMAS[service] };
+    }
+    return ACTION_SCHEMAS;
+}
+
+/**
+ * Route a validated, authorized request to its service handler
+ */
+async function dispatchRequest(service, action, data, context) {
+    const ttl = getCacheTtl(service, action);
+    if (ttl > 0) {
+        return await withResponseCache(service, action, data, ttl, () => routeRequest(service, action, data, context));
+    }
+    const result = isMutatingAction(service, action)
+        ? await withAudit(service, action, data, context, () => routeRequest(service, action, data, context))
+        : await routeRequest(service, action, data, context);
+    if (isMutatingAction(service, action)) {
+        await invalidateServiceCache(service);
+    }
+    return result;
+}
+
+async function routeRequest(service, action, data, context) {
+    switch (service) {
+        case 'radarr':
+            return await handleRadarrRequest(action, data, context);
+        case 'sonarr':
+            return await handleSonarrRequest(action, data);
+        case 'readarr':
+            return await handleReadarrRequest(action, data);
+        case 'overseerr':
+            return await handleOverseerrRequest(action, data);
+        case 'headphones':
+            return await handleHeadphonesRequest(action, data);
+        case 'lidarr':
+            return await handleLidarrRequest(action, data);
+        case 'import':
+            return await handleImportRequest(action, data, context);
+        case 'proxy':
+            return await handleProxyRequest(action, data, context);
+        default:
+            throw new ValidationError(`Unknown service: ${service}`, { code: 'UNKNOWN_SERVICE' });
+    }
+}
+
+/**
+ * Handle proxy-level requests that aren't tied to a single upstream service
+ */
+async function handleProxyRequest(action, data, context) {
+    switch (action) {
+        case 'describe':
+            return describeSchemas(data.service);
+        case 'batch':
+            return await runBatch(data, context);
+        case 'search':
+            return await searchAllServices(data, context);
+        case 'get_config':
+            return describeServiceConfig();
+        case 'health':
+            return await checkHealth(data);
+        case 'get_audit_log':
+            return await getAuditLog(data);
+        default:
+            throw unknownActionError('proxy', action);
+    }
+}
+
+// ---- Response cache ----
+// Read-only actions are cached per service/action/payload; any successful write to a service
+// drops that service's cached library listings. PROXY_CACHE_TTLS overrides the defaults with a JSON map
+// keyed by "action" or "service/action" (seconds, 0 disables). PROXY_CACHE_STORE may point to a
+// module exporting an alternative store with async get(key), set(key, value, ttlSeconds) and
+// deleteByPrefix(prefix); values are JSON strings.
+const DEFAULT_CACHE_TTLS_SECONDS = {
+    get_quality_profiles: 600,
+    get_metadata_profiles: 600,
+    get_root_folders: 300,
+    get_movies: 60,
+    get_series: 60,
+    get_books: 60,
+    get_authors: 60,
+    get_artists: 60,
+    get_albums: 60
+};
+// Profiles and root folders can't be changed through the proxy, so writes leave them cached
+const WRITE_INVALIDATED_ACTIONS = ['get_movies', 'get_series', 'get_books', 'get_authors', 'get_artists', 'get_albums'];
+const MEMORY_CACHE_MAX_ENTRIES = 500;
+const CACHEABLE_SERVICES = ['radarr', 'sonarr', 'readarr', 'lidarr', 'headphones'];
+
+let cacheTtlOverrides;
+let cacheStore;
+
+function getCacheTtlOverrides() {
+    if (cacheTtlOverrides === undefined) {
+        cacheTtlOverrides = {};
+        try {
+            const parsed = process.env.PROXY_CACHE_TTLS ? JSON.parse(process.env.PROXY_CACHE_TTLS) : {};
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                cacheTtlOverrides = parsed;
+            } else {
+                log.error('[CACHE] PROXY_CACHE_TTLS must be a JSON object, using defaults');
+            }
+        } catch (e) {
+            log.error('[CACHE] PROXY_CACHE_TTLS is not valid JSON, using defaults:', e.message);
+        }
+    }
+    return cacheTtlOverrides;
+}
+
+function getCacheTtl(service, action) {
+    if (!CACHEABLE_SERVICES.includes(service)) return 0;
+    const overrides = getCacheTtlOverrides();
+    const ttl = overrides[`${service}/${action}`] ?? overrides[action] ?? DEFAULT_CACHE_TTLS_SECONDS[action] ?? 0;
+    return Math.max(0, Number(ttl) || 0);
+}
+
+// Survives warm invocations of the same function instance
+function createMemoryCacheStore() {
+    const entries = new Map();
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            if (entries.size >= MEMORY_CACHE_MAX_ENTRIES) {
+                const now = Date.now();
+                for (const [k, e] of entries) {
+                    if (e.expiresAt <= now) entries.delete(k);
+                }
+                // Still full: evict the oldest insertion
+                if (entries.size >= MEMORY_CACHE_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+        async deleteByPrefix(prefix) {
+            for (const key of entries.keys()) {
+                if (key.startsWith(prefix)) entries.delete(key);
+            }
+        }
+    };
+}
+
+function getCacheStore() {
+    if (!cacheStore) {
+        const storePath = process.env.PROXY_CACHE_STORE;
+        cacheStore = storePath ? require(path.resolve(storePath)) : createMemoryCacheStore();
+    }
+    return cacheStore;
+}
+
+// JSON.stringify with sorted keys so equivalent payloads share a cache entry
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Serve a read from the cache, or run the loader and store its result for ttlSeconds.
+ * Store failures are logged and fall through to the upstream call.
+ */
+async function withResponseCache(service, action, data, ttlSeconds, loader) {
+    if (!(ttlSeconds > 0)) return await loader();
+    const key = `${service}:${action}:${stableStringify(data || {})}`;
+    const store = getCacheStore();
+    try {
+        const cached = await store.get(key);
+        if (cached !== undefined && cached !== null) {
+            log.info(`[CACHE] Hit ${service}/${action}`);
+            return JSON.parse(cached);
+        }
+    } catch (error) {
+        log.warn(`[CACHE] Read failed for ${service}/${action}:`, error.message);
+    }
+
+    const result = await loader();
+    try {
+        await store.set(key, JSON.stringify(result), ttlSeconds);
+    } catch (error) {
+        log.warn(`[CACHE] Write failed for ${service}/${action}:`, error.message);
+    }
+    return result;
+}
+
+async function invalidateServiceCache(service) {
+    try {
+        const store = getCacheStore();
+        await Promise.all(WRITE_INVALIDATED_ACTIONS.map(action => store.deleteByPrefix(`${service}:${action}:`)));
+        log.info(`[CACHE] Invalidated ${service} library listings`);
+    } catch (error) {
+        log.warn(`[CACHE] Invalidation failed for ${service}:`, error.message);
+    }
+}
+
+function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    return ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === etag || t === '*');
+}
+
+// ---- Batch ----
+const BATCH_MAX_OPERATIONS = 500;
+
+/**
+ * Run one batch operation through the same validation, policy and dispatch as a single request.
+ * Never throws; failures are reported in the item result.
+ */
+async function runBatchOperation(operation, index, context) {
+    const { service, action } = operation || {};
+    // Log lines from inside the operation carry its own service/action
+    return await requestContext.run({ ...getRequestContext(), service, action }, () => executeBatchOperation(operation, index, context));
+}
+
+async function executeBatchOperation(operation, index, context) {
+    const { service, action } = operation || {};
+    const started = Date.now();
+    try {
+        if (service === 'proxy' && action === 'batch') {
+            throw new ValidationError('Batches cannot be nested', { code: 'NESTED_BATCH' });
+        }
+        const data = validateRequestData(service, action, operation?.data);
+        authorizeRequest(context.identity, service, action, data);
+        if (!isChargedPerUpstreamCall(service, action, data)) {
+            await enforceRateLimit(context.rateLimitClient, service, action);
+        }
+        const result = await dispatchRequest(service, action, data, context);
+        return {
+            index,
+            service,
+            action,
+            status: result && result.status === 'exists' ? 'exists' : 'success',
+            durationMs: Date.now() - started,
+            data: result
+        };
+    } catch (error) {
+        const proxyError = normalizeError(error, service, action);
+        log.warn(`[BATCH] Operation ${index} (${service}/${action}) failed:`, proxyError.message);
+        const { success, ...errorFields } = serializeError(proxyError);
+        return {
+            index,
+            service,
+            action,
+            status: 'failed',
+            durationMs: Date.now() - started,
+            statusCode: proxyError.statusCode,
+            ...errorFields
+        };
+    }
+}
+
+/**
+ * Run a list of {service, action, data} operations with bounded concurrency
+ */
+async function runBatch(data, context) {
+    const { operations, concurrency, stopOnError } = data;
+    if (operations.length > BATCH_MAX_OPERATIONS) {
+        throw new ValidationError(`Batch exceeds ${BATCH_MAX_OPERATIONS} operations`, {
+            details: { operations: operations.length, max: BATCH_MAX_OPERATIONS }
+        });
+    }
+
+    log.info(`[BATCH] Running ${operations.length} operations with concurrency ${concurrency}${stopOnError ? ' (stop on error)' : ''}`);
+    const results = new Array(operations.length);
+    let next = 0;
+    let stopped = false;
+
+    const worker = async () => {
+        while (next < operations.length) {
+            const index = next++;
+            if (stopped) {
+                results[index] = { index, service: operations[index]?.service, action: operations[index]?.action, status: 'skipped' };
+                continue;
+            }
+            results[index] = await runBatchOperation(operations[index], index, context);
+            if (stopOnError && results[index].status === 'failed') stopped = true;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, operations.length) }, worker));
+
+    const count = status => results.filter(r => r.status === status).length;
+    return {
+        total: results.length,
+        succeeded: count('success'),
+        exists: count('exists'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        results
+    };
+}
+
+// ---- *arr commands ----
+const COMMAND_TERMINAL_STATES = ['completed', 'failed', 'aborted', 'cancelled', 'orphaned'];
+
+function normalizeArrCommand(service, command) {
+    const state = String(command?.status || 'queued').toLowerCase();
+    return {
+        commandId: command?.id,
+        service,
+        name: command?.name || command?.body?.name,
+        state,
+        done: COMMAND_TERMINAL_STATES.includes(state),
+        succeeded: state === 'completed' && command?.result !== 'unsuccessful',
+        message: command?.message,
+        queued: command?.queued,
+        started: command?.started,
+        ended: command?.ended,
+        duration: command?.duration
+    };
+}
+
+/**
+ * POST an *arr command built from the caller's data and return its id and initial state
+ */
+async function runArrCommand(service, baseUrl, apiKey, data) {
+    const { commands } = ARR_COMMANDS[service];
+    const apiVersion = getServiceApiVersion(service);
+    const spec = commands[data.name];
+    if (!spec) {
+        throw new ValidationError(`Unknown ${serviceLabel(service)} command: ${data.name}`, {
+            service,
+            details: { allowed: Object.keys(commands) }
+        });
+    }
+
+    const body = { name: data.name };
+    const errors = [];
+    for (const [field, type] of Object.entries(spec.fields)) {
+        const value = data[field];
+        if (value === undefined || value === null || value === '') {
+            if ((spec.required || []).includes(field)) errors.push({ field, message: 'is required' });
+            continue;
+        }
+        if (type === 'array') {
+            const ids = (Array.isArray(value) ? value : [value]).map(id => parseInt(id));
+            if (ids.length === 0 || ids.some(isNaN)) errors.push({ field, message: 'must be an array of integer ids' });
+            else body[field] = ids;
+        } else {
+            const id = parseInt(value);
+            if (isNaN(id)) errors.push({ field, message: 'must be an integer' });
+            else body[field] = id;
+        }
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid ${data.name} command: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, {
+            service,
+            details: { errors }
+        });
+    }
+
+    const response = await upstreamFetch(service, `${baseUrl}/api/${apiVersion}/command`, {
+        apiKey,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) throw await upstreamError(service, response, `Failed to run ${data.name}`, { command: body });
+    const command = normalizeArrCommand(service, await response.json());
+    log.info(`[${service.toUpperCase()}] Queued ${data.name} as command ${command.commandId}`);
+    return command;
+}
+
+async function getArrCommand(service, baseUrl, apiKey, commandId) {
+    const apiVersion = getServiceApiVersion(service);
+    const response = await upstreamFetch(service, `${baseUrl}/api/${apiVersion}/command/${encodeURIComponent(commandId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError(service, response, `Command ${commandId} not found`, { commandId });
+    return normalizeArrCommand(service, await response.json());
+}
+
+// ---- Queue, history, calendar and wanted ----
+// Extra query flags so each endpoint embeds the parent media we need for titles
+const ARR_ACTIVITY_INCLUDES = {
+    radarr: { queue: 'includeMovie=true', history: 'includeMovie=true', calendar: '', wanted: '' },
+    sonarr: {
+        queue: 'includeSeries=true&includeEpisode=true',
+        history: 'includeSeries=true&includeEpisode=true',
+        calendar: 'includeSeries=true',
+        wanted: 'includeSeries=true'
+    },
+    readarr: {
+        queue: 'includeAuthor=true&includeBook=true',
+        history: 'includeAuthor=true&includeBook=true',
+        calendar: 'includeAuthor=true',
+        wanted: 'includeAuthor=true'
+    },
+    lidarr: {
+        queue: 'includeArtist=true&includeAlbum=true',
+        history: 'includeArtist=true&includeAlbum=true',
+        calendar: 'includeArtist=true',
+        wanted: 'includeArtist=true'
+    }
+};
+
+function historyEventCategory(eventType) {
+    const type = String(eventType || '').toLowerCase();
+    if (type.includes('grabbed')) return 'grabbed';
+    if (type.includes('failed')) return 'failed';
+    if (type.includes('imported')) return 'imported';
+    if (type.includes('deleted')) return 'deleted';
+    if (type.includes('renamed') || type.includes('retagged')) return 'renamed';
+    if (type.includes('ignored')) return 'ignored';
+    return 'other';
+}
+
+function padNumber(n) {
+    return String(n ?? 0).padStart(2, '0');
+}
+
+// Pull the media item and its parent out of a queue/history/calendar/wanted record
+function extractActivityMedia(service, record) {
+    switch (service) {
+        case 'radarr': {
+            const movie = record.movie || record;
+            return {
+                mediaType: 'movie',
+                title: movie.title,
+                subtitle: movie.year ? String(movie.year) : undefined,
+                ids: { movieId: record.movieId || movie.id },
+                date: movie.digitalRelease || movie.physicalRelease || movie.inCinemas
+            };
+        }
+        case 'sonarr': {
+            const episode = record.episode || record;
+            const series = record.series || episode.series || {};
+            return {
+                mediaType: 'episode',
+                title: series.title,
+                subtitle: `S${padNumber(episode.seasonNumber)}E${padNumber(episode.episodeNumber)}${episode.title ? ` - ${episode.title}` : ''}`,
+                ids: { seriesId: record.seriesId || episode.seriesId || series.id, episodeId: record.episodeId || episode.id },
+                date: episode.airDateUtc
+            };
+        }
+        case 'readarr': {
+            const book = record.book || record;
+            const author = record.author || book.author || {};
+            return {
+                mediaType: 'book',
+                title: book.title,
+                subtitle: author.authorName,
+                ids: { bookId: record.bookId || book.id, authorId: record.authorId || book.authorId || author.id },
+                date: book.releaseDate
+            };
+        }
+        case 'lidarr': {
+            const album = record.album || record;
+            const artist = record.artist || album.artist || {};
+            return {
+                mediaType: 'album',
+                title: album.title,
+                subtitle: artist.artistName,
+                ids: { albumId: record.albumId || album.id, artistId: record.artistId || album.artistId || artist.id },
+                date: album.releaseDate
+            };
+        }
+        default:
+            return { ids: {} };
+    }
+}
+
+/**
+ * One item shape for every *arr service so a single dashboard widget can render them all
+ */
+function normalizeActivityItem(service, kind, record) {
+    const media = extractActivityMedia(service, record);
+    const item = {
+        service,
+        kind,
+        id: record.id,
+        mediaType: media.mediaType,
+        title: media.title || record.title || record.sourceTitle,
+        subtitle: media.subtitle,
+        ids: Object.fromEntries(Object.entries(media.ids).filter(([, v]) => v !== undefined)),
+        date: kind === 'queue' || kind === 'history' ? record.date || record.added : media.date,
+        quality: record.quality?.quality?.name
+    };
+
+    if (kind === 'queue') {
+        const size = Number(record.size) || 0;
+        const sizeLeft = Number(record.sizeleft) || 0;
+        Object.assign(item, {
+            status: record.trackedDownloadState || record.status,
+            progress: size > 0 ? Math.round(((size - sizeLeft) / size) * 1000) / 10 : 0,
+            size,
+            sizeLeft,
+            timeLeft: record.timeleft,
+            eta: record.estimatedCompletionTime,
+            protocol: record.protocol,
+            downloadClient: record.downloadClient,
+            indexer: record.indexer,
+            messages: (record.statusMessages || []).flatMap(m => [m.title, ...(m.messages || [])]).filter(Boolean),
+            errorMessage: record.errorMessage
+        });
+    } else if (kind === 'history') {
+        Object.assign(item, {
+            status: historyEventCategory(record.eventType),
+            eventType: record.eventType,
+            sourceTitle: record.sourceTitle,
+            downloadClient: record.data?.downloadClient || record.data?.downloadClientName,
+            indexer: record.data?.indexer,
+            message: record.data?.message
+        });
+    } else {
+        const hasFile = record.hasFile ?? (record.statistics ? record.statistics.bookFileCount > 0 || record.statistics.trackFileCount > 0 : undefined);
+        Object.assign(item, {
+            status: hasFile ? 'downloaded' : 'missing',
+            monitored: record.monitored,
+            hasFile
+        });
+    }
+    return item;
+}
+
+function parseCalendarRange(data) {
+    const start = data.start ? new Date(data.start) : new Date(new Date().toISOString().slice(0, 10));
+    const end = data.end ? new Date(data.end) : new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(start) || isNaN(end)) {
+        throw new ValidationError('start and end must be ISO dates', { details: { start: data.start, end: data.end } });
+    }
+    if (end < start) throw new ValidationError('end must not be before start', { details: { start: data.start, end: data.end } });
+    return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Read queue, history, calendar or wanted data from an *arr service as normalized items
+ */
+async function getArrActivity(service, kind, baseUrl, apiKey, data) {
+    const include = ARR_ACTIVITY_INCLUDES[service][kind];
+    const base = `${baseUrl}/api/${getServiceApiVersion(service)}`;
+    const paging = `page=${data.page}&pageSize=${data.pageSize}`;
+
+    let url;
+    let range;
+    switch (kind) {
+        case 'queue':
+            url = `${base}/queue?${paging}`;
+            break;
+        case 'history':
+            url = `${base}/history?${paging}&sortKey=date&sortDirection=descending`;
+            break;
+        case 'calendar':
+            range = parseCalendarRange(data);
+            url = `${base}/calendar?start=${encodeURIComponent(range.start)}&end=${encodeURIComponent(range.end)}&unmonitored=${data.unmonitored}`;
+            break;
+        case 'wanted':
+            url = `${base}/wanted/${data.type}?${paging}&monitored=true`;
+            break;
+    }
+    if (include) url += `&${include}`;
+
+    const response = await upstreamFetch(service, url, { apiKey });
+    if (!response.ok) throw await upstreamError(service, response, `Failed to get ${kind}`);
+    const json = await response.json();
+
+    if (kind === 'calendar') {
+        const records = (Array.isArray(json) ? json : []).map(r => normalizeActivityItem(service, kind, r));
+        return { ...range, total: records.length, records };
+    }
+
+    // Paged endpoints return { page, pageSize, totalRecords, records }
+    let records = (Array.isArray(json) ? json : json.records || []).map(r => normalizeActivityItem(service, kind, r));
+    if (kind === 'history' && data.eventType) records = records.filter(r => r.status === data.eventType);
+    return {
+        page: json.page ?? data.page,
+        pageSize: json.pageSize ?? data.pageSize,
+        totalRecords: json.totalRecords ?? records.length,
+        records
+    };
+}
+
+// ---- Library listings ----
+const LIBRARY_DEFAULT_PAGE_SIZE = 100;
+
+function parseFieldList(fields) {
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    return list.map(f => String(f).trim()).filter(Boolean);
+}
+
+function projectFields(item, paths) {
+    const projected = {};
+    for (const path of paths) {
+        const keys = path.split('.');
+        let value = item;
+        for (const key of keys) value = value == null ? undefined : value[key];
+        if (value === undefined) continue;
+        let target = projected;
+        keys.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+        target[keys[keys.length - 1]] = value;
+    }
+    return projected;
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Filter, sort, page and project a full library listing fetched from an *arr service
+ */
+function listLibrary(collection, items, query = {}) {
+    const listing = LIBRARY_LISTINGS[collection];
+    let records = Array.isArray(items) ? items : [];
+
+    if (query.addedSince !== undefined) {
+        const since = new Date(query.addedSince);
+        if (isNaN(since)) throw new ValidationError('addedSince must be an ISO date', { details: { addedSince: query.addedSince } });
+        records = records.filter(item => item.added && new Date(item.added) >= since);
+    }
+    if (query.monitored !== undefined) records = records.filter(item => !!item.monitored === query.monitored);
+    if (query.hasFile !== undefined) records = records.filter(item => listing.hasFile(item) === query.hasFile);
+    if (query.tag !== undefined) records = records.filter(item => (item.tags || []).includes(query.tag));
+    if (query.qualityProfileId !== undefined) records = records.filter(item => item.qualityProfileId === query.qualityProfileId);
+
+    if (query.sortKey) {
+        const accessor = listing.sort[query.sortKey];
+        const direction = query.sortDirection === 'desc' ? -1 : 1;
+        // Items without a value sort last in either direction
+        records = [...records].sort((a, b) => {
+            const x = accessor(a);
+            const y = accessor(b);
+            if (x == null || y == null) return compareValues(x, y);
+            return compareValues(x, y) * direction;
+        });
+    }
+
+    const totalRecords = records.length;
+    const paged = query.page !== undefined || query.pageSize !== undefined;
+    const page = query.page || 1;
+    const pageSize = query.pageSize || LIBRARY_DEFAULT_PAGE_SIZE;
+    if (paged) records = records.slice((page - 1) * pageSize, page * pageSize);
+
+    if (query.fields) {
+        const paths = parseFieldList(query.fields);
+        records = records.map(item => projectFields(item, paths));
+    }
+
+    return paged ? { page, pageSize, totalRecords, records } : records;
+}
+
+// ---- Unified search ----
+const SEARCH_MEDIA_TYPES = ['movie', 'series', 'book', 'artist', 'album'];
+
+function withTimeout(promise, ms, service) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new UpstreamTimeoutError(`${serviceLabel(service)} search timed out after ${ms}ms`, { service })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function getHeadphonesLibraryArtistIds(baseUrl, apiKey) {
+    const res = await upstreamFetch('headphones', `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getIndex`);
+    if (!res.ok) return new Set();
+    const json = await res.json().catch(() => []);
+    return new Set((Array.isArray(json) ? json : []).map(a => a.ArtistID || a.artistId).filter(Boolean));
+}
+
+/**
+ * Fan a search term out to every configured service and merge the normalized results.
+ * A failing or slow service is reported in `errors` instead of failing the whole search.
+ */
+async function searchAllServices(data, context = {}) {
+    const { term, limit, timeoutMs } = data;
+    const mediaTypes = Array.isArray(data.mediaTypes) && data.mediaTypes.length > 0 ? data.mediaTypes : SEARCH_MEDIA_TYPES;
+    const invalid = mediaTypes.filter(t => !SEARCH_MEDIA_TYPES.includes(t));
+    if (invalid.length > 0) {
+        throw new ValidationError(`Unknown media types: ${invalid.join(', ')}`, { details: { allowed: SEARCH_MEDIA_TYPES } });
+    }
+
+    const searches = [];
+    const radarr = getConfiguredService('radarr');
+    const sonarr = getConfiguredService('sonarr');
+    const readarr = getConfiguredService('readarr');
+    const headphones = getConfiguredService('headphones');
+
+    if (radarr && mediaTypes.includes('movie')) {
+        searches.push({
+            service: 'radarr',
+            calls: 1,
+            run: async () => (await lookupRadarrMovies(radarr.baseUrl, radarr.apiKey, term)).map(normalizeRadarrMovie)
+        });
+    }
+    if (sonarr && mediaTypes.includes('series')) {
+        searches.push({
+            service: 'sonarr',
+            calls: 1,
+            run: async () => (await lookupSonarrSeries(sonarr.baseUrl, sonarr.apiKey, term)).map(normalizeSonarrSeries)
+        });
+    }
+    if (readarr && mediaTypes.includes('book')) {
+        searches.push({
+            service: 'readarr',
+            calls: 1,
+            run: async () => {
+                const books = await lookupReadarrBook(readarr.baseUrl, readarr.apiKey, { term });
+                return (Array.isArray(books) ? books : []).map(normalizeReadarrBook);
+            }
+        });
+    }
+    if (headphones && (mediaTypes.includes('artist') || mediaTypes.includes('album'))) {
+        searches.push({
+            service: 'headphones',
+            calls: 1 + ['artist', 'album'].filter(t => mediaTypes.includes(t)).length,
+            run: async () => {
+                const [artists, albums, libraryIds] = await Promise.all([
+                    mediaTypes.includes('artist') ? searchHeadphonesArtist(headphones.baseUrl, headphones.apiKey, { term }) : [],
+                    mediaTypes.includes('album') ? searchHeadphonesAlbum(headphones.baseUrl, headphones.apiKey, { term }) : [],
+                    getHeadphonesLibraryArtistIds(headphones.baseUrl, headphones.apiKey)
+                ]);
+                return [
+                    ...artists.map(a => ({ ...a, inLibrary: libraryIds.has(a.mbid) })),
+                    // Headphones can't cheaply tell whether a single album is in the library
+                    ...albums.map(a => ({ ...a, inLibrary: null }))
+                ];
+            }
+        });
+    }
+
+    const calls = searches.reduce((sum, s) => sum + s.calls, 0);
+    await enforceRateLimit(context.rateLimitClient, 'proxy', 'search', { cost: Math.max(1, calls) });
+
+    log.info(`[SEARCH] "${term}" across: ${searches.map(s => s.service).join(', ') || 'no configured services'}`);
+    const settled = await Promise.allSettled(searches.map(s => withTimeout(s.run(), timeoutMs, s.service)));
+
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+        const { service } = searches[i];
+        if (outcome.status === 'fulfilled') {
+            results.push(...outcome.value.slice(0, limit).map(withoutRaw));
+        } else {
+            const proxyError = normalizeError(outcome.reason, service);
+            errors.push({ service, code: proxyError.code, error: proxyError.message });
+        }
+    });
+
+    return {
+        term,
+        services: searches.map(s => s.service),
+        total: results.length,
+        results,
+        errors
+    };
+}
+
+// ---- Health ----
+// proxy/health (also served on GET) checks every configured service instance in parallel: reachability,
+// version, latency and whether the API key is accepted, plus *arr health warnings and root folder disk
+// space. The response is 503 when a required service is down, so it can back an uptime monitor.
+// PROXY_HEALTH_REQUIRED lists the required services ("radarr,sonarr"); by default every configured one is.
+function getRequiredHealthServices() {
+    const raw = process.env.PROXY_HEALTH_REQUIRED;
+    return raw ? raw.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
+}
+
+async function readHealthJson(service, response) {
+    if (response.status === 401 || response.status === 403) return { authValid: false };
+    if (!response.ok) throw await upstreamError(service, response, `${serviceLabel(service)} status check failed`);
+    return { authValid: true, body: await response.json().catch(() => null) };
+}
+
+async function checkArrHealth(service, baseUrl, apiKey, timeoutMs) {
+    const base = `${baseUrl}/api/${getServiceApiVersion(service)}`;
+    const fetchJson = async path => readHealthJson(service, await upstreamFetch(service, `${base}${path}`, { apiKey, timeoutMs, retries: 0 }));
+
+    const startedAt = Date.now();
+    const status = await fetchJson('/system/status');
+    const report = { latencyMs: Date.now() - startedAt, authValid: status.authValid };
+    if (!status.authValid) return report;
+    report.version = status.body?.version;
+
+    const [health, rootFolders] = await Promise.allSettled([fetchJson('/health'), fetchJson('/rootfolder')]);
+    if (health.status === 'fulfilled' && Array.isArray(health.value.body)) {
+        report.warnings = health.value.body.map(h => ({ type: h.type, source: h.source, message: h.message }));
+    }
+    if (rootFolders.status === 'fulfilled' && Array.isArray(rootFolders.value.body)) {
+        report.diskSpace = rootFolders.value.body.map(f => ({
+            path: f.path,
+            accessible: f.accessible,
+            freeSpace: f.freeSpace,
+            totalSpace: f.totalSpace
+        }));
+    }
+    return report;
+}
+
+async function checkHeadphonesHealth(baseUrl, apiKey, timeoutMs) {
+    const startedAt = Date.now();
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getVersion`;
+    const { authValid, body } = await readHealthJson('headphones', await upstreamFetch('headphones', url, { timeoutMs, retries: 0 }));
+    const latencyMs = Date.now() - startedAt;
+    // Headphones answers a bad key with 200 and an error message
+    const errorMessage = body?.error?.message || (typeof body?.error === 'string' ? body.error : '');
+    if (!authValid || /api ?key/i.test(errorMessage)) return { latencyMs, authValid: false };
+    return { latencyMs, authValid: true, version: body?.current_version };
+}
+
+async function checkOverseerrHealth(baseUrl, apiKey, timeoutMs) {
+    const base = `${baseUrl}/api/${getServiceApiVersion('overseerr')}`;
+    const startedAt = Date.now();
+    // /status is public, so the key is checked separately against /auth/me
+    const status = await readHealthJson('overseerr', await upstreamFetch('overseerr', `${base}/status`, { timeoutMs, retries: 0 }));
+    const latencyMs = Date.now() - startedAt;
+    const me = await readHealthJson('overseerr', await upstreamFetch('overseerr', `${base}/auth/me`, { apiKey, timeoutMs, retries: 0 }));
+    return { latencyMs, authValid: me.authValid, version: status.body?.version };
+}
+
+async function checkInstanceHealth(service, instance, timeoutMs) {
+    const { baseUrl, apiKey } = getServiceInstance(service, instance);
+    if (service === 'headphones') return await checkHeadphonesHealth(baseUrl, apiKey, timeoutMs);
+    if (service === 'overseerr') return await checkOverseerrHealth(baseUrl, apiKey, timeoutMs);
+    return await checkArrHealth(service, baseUrl, apiKey, timeoutMs);
+}
+
+/**
+ * Check every configured service (or data.services) and summarize the result as ok, degraded or down
+ */
+async function checkHealth(data) {
+    const { timeoutMs } = data;
+    const registry = getServiceRegistry();
+    const requested = Array.isArray(data.services) && data.services.length > 0 ? data.services : Object.keys(registry.services);
+    const unknown = requested.filter(s => !registry.services[s]);
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown services: ${unknown.join(', ')}`, { details: { allowed: Object.keys(registry.services) } });
+    }
+    const required = getRequiredHealthServices();
+
+    // Services with no settings at all are skipped; half-configured ones are reported as down
+    const checks = [];
+    for (const service of requested) {
+        const entry = registry.services[service];
+        for (const [name, instance] of Object.entries(entry.instances)) {
+            const touched = instance.baseUrl || instance.apiKey || instance.errors.length > 0;
+            if (name === 'default' && !touched && entry.errors.length === 0) continue;
+            checks.push({ service, instance: name, key: name === 'default' ? service : `${service}:${name}` });
+        }
+    }
+
+    const settled = await Promise.allSettled(checks.map(c => checkInstanceHealth(c.service, c.instance, timeoutMs)));
+    const services = {};
+    settled.forEach((outcome, i) => {
+        const { service, instance, key } = checks[i];
+        const isRequired = required ? required.includes(service) : true;
+        if (outcome.status === 'rejected') {
+            const proxyError = normalizeError(outcome.reason, service);
+            services[key] = { service, instance, required: isRequired, status: 'down', code: proxyError.code, error: proxyError.message };
+            return;
+        }
+        const report = outcome.value;
+        const hasErrors = (report.warnings || []).some(w => w.type === 'error');
+        const status = !report.authValid ? 'down' : hasErrors ? 'degraded' : 'up';
+        services[key] = { service, instance, required: isRequired, status, ...report };
+    });
+
+    const reports = Object.values(services);
+    // A required service that isn't configured at all still counts as down
+    const missing = (required || []).filter(s => registry.services[s] && requested.includes(s) && !reports.some(r => r.service === s));
+    for (const service of missing) {
+        services[service] = { service, instance: 'default', required: true, status: 'down', code: 'SERVICE_NOT_CONFIGURED', error: `${serviceLabel(service)} is not configured` };
+    }
+
+    const all = Object.values(services);
+    const status = all.some(r => r.required && r.status === 'down')
+        ? 'down'
+        : all.some(r => r.status !== 'up') ? 'degraded' : 'ok';
+    log.info(`[HEALTH] ${status}: ${all.map(r => `${r.service}${r.instance === 'default' ? '' : `:${r.instance}`}=${r.status}`).join(', ') || 'no services configured'}`);
+    return {
+        status,
+        checkedAt: new Date().toISOString(),
+        services,
+        upstream: getUpstreamMetrics()
+    };
+}
+
+// ---- Audit log ----
+// Every mutating action (see ACTION_SCHEMAS), including those run inside batches and imports, produces an audit
+// event with the caller, key ids, outcome and upstream record id. PROXY_AUDIT_SINK picks where events go:
+// "stdout" (default, an info log line tagged AUDIT with the event under `audit`, so LOG_LEVEL=warn drops
+// it), "file" (JSON lines appended to PROXY_AUDIT_FILE), "webhook" (POSTed to PROXY_AUDIT_WEBHOOK_URL) or
+// a path to a module exporting async write(event) and, optionally, async query(filters). get_audit_log reads from the sink when it can be queried (the file sink can) and
+// otherwise from the events this function instance recorded since its cold start.
+const AUDIT_KEY_FIELDS = [
+    'tmdbId', 'tvdbId', 'imdbId', 'mbId', 'foreignBookId', 'foreignEditionId', 'foreignAuthorId', 'foreignArtistId', 'foreignAlbumId',
+    'movieId', 'movieIds', 'seriesId', 'bookId', 'bookIds', 'authorId', 'requestId'
+];
+const AUDIT_MEMORY_MAX_EVENTS = 1000;
+
+const recentAuditEvents = [];
+let auditSink;
+
+function createFileAuditSink(filePath) {
+    if (!filePath) throw new ConfigurationError('PROXY_AUDIT_SINK=file needs PROXY_AUDIT_FILE');
+    const resolved = path.resolve(filePath);
+    return {
+        name: 'file',
+        async write(event) {
+            await fs.promises.appendFile(resolved, JSON.stringify(event) + '\n');
+        },
+        async query(filters) {
+            let text = '';
+            try {
+                text = await fs.promises.readFile(resolved, 'utf8');
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+            const events = text.split('\n').filter(Boolean).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return null;
+                }
+            }).filter(Boolean);
+            return filterAuditEvents(events, filters);
+        }
+    };
+}
+
+function createWebhookAuditSink(url) {
+    if (!url) throw new ConfigurationError('PROXY_AUDIT_SINK=webhook needs PROXY_AUDIT_WEBHOOK_URL');
+    return {
+        name: 'webhook',
+        async write(event) {
+            const response = await upstreamFetch('audit', url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event)
+            });
+            if (!response.ok) throw new Error(`webhook answered ${response.status}`);
+        }
+    };
+}
+
+function getAuditSink() {
+    if (!auditSink) {
+        const sink = process.env.PROXY_AUDIT_SINK || 'stdout';
+        if (sink === 'stdout') {
+            auditSink = {
+                name: 'stdout',
+                async write(event) {
+                    logEvent('info', `${event.service}/${event.action} ${event.outcome}`, { tag: 'AUDIT', audit: event });
+                }
+            };
+        } else if (sink === 'file') {
+            auditSink = createFileAuditSink(process.env.PROXY_AUDIT_FILE);
+        } else if (sink === 'webhook') {
+            auditSink = createWebhookAuditSink(process.env.PROXY_AUDIT_WEBHOOK_URL);
+        } else {
+            auditSink = { name: 'custom', ...require(path.resolve(sink)) };
+        }
+    }
+    return auditSink;
+}
+
+function isMutatingAction(service, action) {
+    const schema = ACTION_SCHEMAS[service] && ACTION_SCHEMAS[service][action];
+    return Boolean(schema && schema.mutating);
+}
+
+function auditKeyIds(data, record) {
+    const ids = {};
+    const sources = [data, data && data.book, record];
+    for (const field of AUDIT_KEY_FIELDS) {
+        const source = sources.find(s => s && s[field] !== undefined && s[field] !== null && s[field] !== '');
+        if (source) ids[field] = source[field];
+    }
+    // Headphones takes the MBID under a few names
+    if (!ids.mbId && data && (data.mbid || data.id)) ids.mbId = data.mbid || data.id;
+    return ids;
+}
 
-    // Handle CORS preflight
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS'
-            },
-            body: ''
-        };
+function auditRecord(result) {
+    if (!result || typeof result !== 'object') return {};
+    return result.movie || result.series || result.book || result.author || result.artist || result.album || result.request || result;
+}
+
+function buildAuditEvent(service, action, data, context, result, error) {
+    const { requestId } = getRequestContext();
+    const record = auditRecord(result);
+    const event = {
+        timestamp: new Date().toISOString(),
+        requestId,
+        caller: context && context.identity ? context.identity.id : 'anonymous',
+        authMethod: context && context.identity ? context.identity.method : undefined,
+        service,
+        action,
+        keyIds: auditKeyIds(data, record)
+    };
+    if (error) {
+        const proxyError = normalizeError(error, service, action);
+        return { ...event, outcome: 'failed', errorCode: proxyError.code, error: proxyError.message };
+    }
+    if (Array.isArray(result && result.instances)) {
+        const instances = result.instances.map(r => ({
+            instance: r.instance,
+            outcome: r.status === 'failed' ? 'failed' : r.status || 'success',
+            upstreamId: auditRecord(r).id,
+            errorCode: r.code
+        }));
+        const failed = instances.filter(i => i.outcome === 'failed').length;
+        return { ...event, outcome: failed === 0 ? 'success' : failed === instances.length ? 'failed' : 'partial', instances };
     }
+    return {
+        ...event,
+        instance: pickServiceInstanceName(service, data).name,
+        outcome: result && AUDIT_OUTCOMES.includes(result.status) ? result.status : 'success',
+        upstreamId: record.id ?? record.commandId,
+        // Commands are identified by name, e.g. "MoviesSearch"
+        title: record.title || record.authorName || record.artistName || record.name
+    };
+}
 
+/**
+ * Record an audit event. Sink failures are logged and never fail the request they describe.
+ */
+async function writeAuditEvent(event) {
+    recentAuditEvents.push(event);
+    if (recentAuditEvents.length > AUDIT_MEMORY_MAX_EVENTS) recentAuditEvents.shift();
     try {
-        // Parse request body with error handling
-        let parsedBody;
-        try {
-            parsedBody = JSON.parse(event.body);
-        } catch (parseError) {
-            console.error('[PROXY] JSON parse error:', parseError);
-            throw new Error(`Invalid JSON in request body: ${parseError.message}`);
+        await getAuditSink().write(event);
+    } catch (e) {
+        log.error('[AUDIT] Failed to write audit event:', e.message);
+    }
+}
+
+/**
+ * Run an audited action and record its outcome, rethrowing any failure
+ */
+async function withAudit(service, action, data, context, run) {
+    let result;
+    try {
+        result = await run();
+    } catch (error) {
+        await writeAuditEvent(buildAuditEvent(service, action, data, context, null, error));
+        throw error;
+    }
+    await writeAuditEvent(buildAuditEvent(service, action, data, context, result));
+    return result;
+}
+
+function filterAuditEvents(events, filters = {}) {
+    const { service, action, caller, outcome, keyId, since, until, limit = 100 } = filters;
+    const range = {};
+    for (const [name, value] of Object.entries({ since, until })) {
+        if (value === undefined) continue;
+        range[name] = new Date(value);
+        if (isNaN(range[name])) throw new ValidationError(`${name} must be an ISO date`, { details: { [name]: value } });
+    }
+    const matches = events.filter(e =>
+        (!service || e.service === service) &&
+        (!action || matchesPattern(action, e.action)) &&
+        (!caller || e.caller === caller) &&
+        (!outcome || e.outcome === outcome) &&
+        (keyId === undefined || Object.values(e.keyIds || {}).flat().some(v => String(v) === String(keyId))) &&
+        (!range.since || new Date(e.timestamp) >= range.since) &&
+        (!range.until || new Date(e.timestamp) <= range.until)
+    );
+    return matches.reverse().slice(0, limit);
+}
+
+/**
+ * Return audit events newest first, from the sink when it can be queried
+ */
+async function getAuditLog(data) {
+    const sink = getAuditSink();
+    const events = typeof sink.query === 'function'
+        ? await sink.query(data)
+        : filterAuditEvents([...recentAuditEvents], data);
+    return {
+        source: typeof sink.query === 'function' ? sink.name : 'memory',
+        count: events.length,
+        events
+    };
+}
+
+// ---- Idempotency ----
+// Completed responses are kept per caller + Idempotency-Key for IDEMPOTENCY_TTL_MS.
+// The store lives in module scope, so it only spans warm invocations of one function instance.
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const idempotencyStore = new Map();
+
+function pruneIdempotencyStore(now) {
+    for (const [key, entry] of idempotencyStore) {
+        if (entry.expiresAt <= now) idempotencyStore.delete(key);
+    }
+}
+
+/**
+ * Claim an Idempotency-Key for this request, or return the stored response to replay
+ */
+function beginIdempotentRequest(identity, idempotencyKey, rawBody) {
+    const now = Date.now();
+    pruneIdempotencyStore(now);
+
+    const storeKey = `${identity.id}:${idempotencyKey}`;
+    const fingerprint = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+    const entry = idempotencyStore.get(storeKey);
+
+    if (entry) {
+        if (entry.fingerprint !== fingerprint) {
+            throw new ConflictError('Idempotency-Key was already used with a different request body', {
+                code: 'IDEMPOTENCY_KEY_REUSED',
+                details: { idempotencyKey }
+            });
         }
-        
-        const { service, action, data } = parsedBody;
-        
-        console.log(`[PROXY] ${service}/${action} request:`, data);
-
-        let result;
-        switch (service) {
-            case 'radarr':
-                result = await handleRadarrRequest(action, data);
-                break;
-            case 'sonarr':
-                result = await handleSonarrRequest(action, data);
-                break;
-            case 'readarr':
-                result = await handleReadarrRequest(action, data);
-                break;
-            case 'overseerr':
-                result = await handleOverseerrRequest(action, data);
-                break;
-            case 'headphones':
-                result = await handleHeadphonesRequest(action, data);
-                break;
-            default:
-                throw new Error(`Unknown service: ${service}`);
+        if (entry.state === 'pending') {
+            throw new ConflictError('A request with this Idempotency-Key is still in progress', {
+                code: 'IDEMPOTENCY_IN_PROGRESS',
+                details: { idempotencyKey }
+            });
         }
+        return { storeKey, replay: entry.response };
+    }
 
-        return {
-            statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            },
-            body: JSON.stringify({
-                success: true,
-                data: result
-            })
-        };
+    idempotencyStore.set(storeKey, { state: 'pending', fingerprint, expiresAt: now + IDEMPOTENCY_TTL_MS });
+    return { storeKey, replay: null };
+}
 
-    } catch (error) {
-        console.error('[PROXY] Error:', error);
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            },
-            body: JSON.stringify({
-                success: false,
-                error: error.message
-            })
-        };
-    }
-};
+function completeIdempotentRequest(idempotency, statusCode, body) {
+    const entry = idempotencyStore.get(idempotency.storeKey);
+    if (!entry) return;
+    entry.state = 'done';
+    entry.response = { statusCode, body };
+}
+
+function releaseIdempotentRequest(idempotency) {
+    const entry = idempotencyStore.get(idempotency.storeKey);
+    if (entry && entry.state === 'pending') idempotencyStore.delete(idempotency.storeKey);
+}
 
 /**
  * Handle Radarr API requests
  */
-async function handleRadarrRequest(action, data) {
-    const baseUrl = process.env.RADARR_URL;
-    const apiKey = process.env.RADARR_API_KEY;
-    
-    console.log('[PROXY] Radarr environment check - URL exists:', !!baseUrl, 'API Key exists:', !!apiKey);
-    
-    if (!baseUrl || !apiKey) {
-        console.error('[PROXY] Missing Radarr config - URL:', baseUrl, 'API Key:', apiKey ? '[REDACTED]' : 'MISSING');
-        throw new Error('Radarr configuration missing: ' + (!baseUrl ? 'RADARR_URL' : '') + (!apiKey ? ' RADARR_API_KEY' : ''));
+async function handleRadarrRequest(action, data, context) {
+    if (isMultiInstanceAdd('radarr', action, data)) {
+        return await addMovieToRadarrInstances(data, context);
     }
 
+    const { baseUrl, apiKey } = resolveServiceInstance('radarr', data);
+
     switch (action) {
         case 'add_movie':
-            console.log('[PROXY] Calling addMovieToRadarr with data:', data);
+            log.debug('[PROXY] Calling addMovieToRadarr with data:', data);
             try {
                 const result = await addMovieToRadarr(baseUrl, apiKey, data);
-                console.log('[PROXY] addMovieToRadarr completed successfully');
+                log.info('[PROXY] addMovieToRadarr completed successfully');
                 return result;
             } catch (error) {
-                console.error('[PROXY] addMovieToRadarr failed:', error);
+                log.error('[PROXY] addMovieToRadarr failed:', error);
                 throw error;
             }
+        case 'lookup_movie': {
+            const term = data.tmdbId ? `tmdb:${data.tmdbId}` : data.imdbId ? `imdb:${data.imdbId}` : data.term;
+            const movies = await lookupRadarrMovies(baseUrl, apiKey, term);
+            return movies.slice(0, data.limit).map(movie => withoutRaw(normalizeRadarrMovie(movie)));
+        }
+        case 'update_movie': {
+            const movie = await getRadarrMovie(baseUrl, apiKey, data.movieId);
+            const changes = pickDefined(data, ['monitored', 'qualityProfileId', 'minimumAvailability', 'path', 'tags']);
+            return await updateRadarrMovie(baseUrl, apiKey, { ...movie, ...changes }, { moveFiles: data.moveFiles });
+        }
+        case 'delete_movie':
+            return await deleteRadarrMovie(baseUrl, apiKey, data);
+        case 'set_monitored': {
+            const movieIds = data.movieIds ? data.movieIds.map(id => parseInt(id)) : [data.movieId];
+            return await setRadarrMoviesMonitored(baseUrl, apiKey, movieIds, data.monitored);
+        }
         case 'get_movies':
-            return await getRadarrMovies(baseUrl, apiKey);
+            return listLibrary('movies', await getRadarrMovies(baseUrl, apiKey), data);
         case 'get_quality_profiles':
             return await getRadarrQualityProfiles(baseUrl, apiKey);
         case 'get_root_folders':
             return await getRadarrRootFolders(baseUrl, apiKey);
+        case 'run_command':
+            return await runArrCommand('radarr', baseUrl, apiKey, data);
+        case 'get_command':
+            return await getArrCommand('radarr', baseUrl, apiKey, data.commandId);
+        case 'get_queue':
+        case 'get_history':
+        case 'get_calendar':
+        case 'get_wanted':
+            return await getArrActivity('radarr', action.slice(4), baseUrl, apiKey, data);
         default:
-            throw new Error(`Unknown Radarr action: ${action}`);
+            throw unknownActionError('radarr', action);
     }
 }
 
+/**
+ * Whether an add fans out to several instances; those are authorized and charged per instance
+ */
+function isMultiInstanceAdd(service, action, data) {
+    return service === 'radarr' && action === 'add_movie' && Array.isArray(data && data.instances) && data.instances.length > 0;
+}
+
+/**
+ * Add one movie to several Radarr instances at once. Each instance gets the request's options merged
+ * with its instanceOptions entry, and that merged payload goes through the policy and the add budget
+ * like a single add would; one instance failing doesn't stop the others.
+ */
+async function addMovieToRadarrInstances(data, context) {
+    const { instances, instanceOptions = {}, instance, ...shared } = data;
+    const names = [...new Set(instances.map(String))];
+    const results = await Promise.all(names.map(async name => {
+        try {
+            const { baseUrl, apiKey } = getServiceInstance('radarr', name);
+            const options = validateRequestData('radarr', 'add_movie', { ...shared, ...(instanceOptions[name] || {}), instance: name });
+            authorizeRequest(context.identity, 'radarr', 'add_movie', options);
+            await enforceRateLimit(context.rateLimitClient, 'radarr', 'add_movie');
+            const result = await addMovieToRadarr(baseUrl, apiKey, options);
+            return { instance: name, ...result };
+        } catch (error) {
+            const { success, ...errorFields } = serializeError(normalizeError(error, 'radarr', 'add_movie'));
+            return { instance: name, status: 'failed', ...errorFields };
+        }
+    }));
+
+    const failed = results.filter(r => r.status === 'failed').length;
+    return {
+        success: failed === 0,
+        instances: results,
+        message: failed === 0
+            ? `Movie processed on ${results.length} Radarr instance${results.length === 1 ? '' : 's'}`
+            : `Movie failed on ${failed} of ${results.length} Radarr instances`
+    };
+}
+
 /**
  * Add movie to Radarr using proper workflow
  */
 async function addMovieToRadarr(baseUrl, apiKey, data) {
-    console.log('[RADARR] addMovieToRadarr function called with:', data);
+    log.debug('[RADARR] addMovieToRadarr function called with:', data);
     
-    const { tmdbId, qualityProfileId, rootFolderPath, monitored = true, searchOnAdd = true } = data;
+    const { tmdbId, qualityProfileId, rootFolderPath, monitored = true, searchOnAdd = true, updateMonitoring = false } = data;
     
-    console.log('[RADARR] Extracted parameters - TMDB:', tmdbId, 'Quality:', qualityProfileId, 'Root:', rootFolderPath);
+    log.info('[RADARR] Extracted parameters - TMDB:', tmdbId, 'Quality:', qualityProfileId, 'Root:', rootFolderPath);
     
     if (!tmdbId || !qualityProfileId || !rootFolderPath) {
         const error = `Missing required fields - tmdbId: ${tmdbId}, qualityProfileId: ${qualityProfileId}, rootFolderPath: ${rootFolderPath}`;
-        console.error('[RADARR]', error);
-        throw new Error(error);
+        log.error('[RADARR]', error);
+        throw new ValidationError(error, {
+            service: 'radarr',
+            details: { missing: Object.entries({ tmdbId, qualityProfileId, rootFolderPath }).filter(([, v]) => !v).map(([k]) => k) }
+        });
+    }
+
+    // Step 0: Return the existing record instead of letting Radarr reject a duplicate
+    const existingMovie = await findRadarrMovieByTmdbId(baseUrl, apiKey, tmdbId);
+    if (existingMovie) {
+        log.info(`[RADARR] Movie TMDB:${tmdbId} already in library as ID ${existingMovie.id}`);
+        let movie = existingMovie;
+        if (updateMonitoring && existingMovie.monitored !== monitored) {
+            movie = await updateRadarrMovie(baseUrl, apiKey, { ...existingMovie, monitored });
+        }
+        return {
+            success: true,
+            status: 'exists',
+            movie,
+            message: `"${movie.title}" is already in Radarr${movie !== existingMovie ? ` (monitoring ${monitored ? 'enabled' : 'disabled'})` : ''}`
+        };
     }
 
     // Step 1: Lookup movie details from TMDB
-    console.log(`[RADARR] Looking up movie TMDB:${tmdbId}`);
-    const lookupUrl = `${baseUrl}/api/v3/movie/lookup/tmdb?apikey=${apiKey}&tmdbid=${tmdbId}`;
+    log.info(`[RADARR] Looking up movie TMDB:${tmdbId}`);
+    const lookupUrl = `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/lookup/tmdb?tmdbid=${tmdbId}`;
     
-    const lookupResponse = await fetch(lookupUrl);
+    const lookupResponse = await upstreamFetch('radarr', lookupUrl, { apiKey });
     if (!lookupResponse.ok) {
-        throw new Error(`Movie lookup failed: ${lookupResponse.status} ${lookupResponse.statusText}`);
+        throw await upstreamError('radarr', lookupResponse, 'Movie lookup failed', { tmdbId });
     }
     
     const movieDetails = await lookupResponse.json();
     if (!movieDetails) {
-        throw new Error(`Movie not found in TMDB: ${tmdbId}`);
+        throw new NotFoundError(`Movie not found in TMDB: ${tmdbId}`, { service: 'radarr', details: { tmdbId } });
     }
 
-    console.log(`[RADARR] Found movie: ${movieDetails.title} (${movieDetails.year})`);
+    log.info(`[RADARR] Found movie: ${movieDetails.title} (${movieDetails.year})`);
 
     // Step 2: Add movie to Radarr
     const addPayload = {
@@ -179,15 +3661,17 @@ async function addMovieToRadarr(baseUrl, apiKey, data) {
         qualityProfileId: parseInt(qualityProfileId),
         rootFolderPath: rootFolderPath,
         monitored: monitored,
+        tags: data.tags || [],
         addOptions: {
             searchForMovie: searchOnAdd
         }
     };
 
-    console.log('[RADARR] Adding movie with payload:', JSON.stringify(addPayload, null, 2));
+    log.debug('[RADARR] Adding movie with payload:', JSON.stringify(addPayload, null, 2));
 
-    const addUrl = `${baseUrl}/api/v3/movie?apikey=${apiKey}`;
-    const addResponse = await fetch(addUrl, {
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie`;
+    const addResponse = await upstreamFetch('radarr', addUrl, {
+        apiKey,
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
@@ -196,39 +3680,39 @@ async function addMovieToRadarr(baseUrl, apiKey, data) {
     });
 
     if (!addResponse.ok) {
-        const errorText = await addResponse.text();
-        throw new Error(`Failed to add movie: ${addResponse.status} ${addResponse.statusText} - ${errorText}`);
+        throw await upstreamError('radarr', addResponse, 'Failed to add movie', { tmdbId });
     }
 
     const radarrResponse = await addResponse.json();
     
     // Debug: Log the full response structure
-    console.log('[RADARR] Full response from Radarr:', JSON.stringify(radarrResponse, null, 2));
+    log.debug('[RADARR] Full response from Radarr:', JSON.stringify(radarrResponse, null, 2));
     
     let addedMovie;
     let movieTitle;
     
     // Handle Radarr's response - it often returns an array of all movies instead of just the added one
     if (Array.isArray(radarrResponse)) {
-        console.log('[RADARR] Radarr returned array of movies, searching for TMDB ID:', tmdbId);
+        log.info('[RADARR] Radarr returned array of movies, searching for TMDB ID:', tmdbId);
         // Find the movie we just added by TMDB ID
         addedMovie = radarrResponse.find(movie => movie.tmdbId === parseInt(tmdbId));
         
         if (!addedMovie) {
-            throw new Error(`Movie with TMDB ID ${tmdbId} was not found in Radarr library after addition attempt`);
+            throw new UpstreamError(`Movie with TMDB ID ${tmdbId} was not found in Radarr library after addition attempt`, { service: 'radarr', details: { tmdbId } });
         }
         
         movieTitle = addedMovie.title || addedMovie.originalTitle || 'Unknown Movie';
-        console.log('[RADARR] Found added movie in response array:', movieTitle);
+        log.info('[RADARR] Found added movie in response array:', movieTitle);
     } else {
         // Single movie object (ideal case)
         addedMovie = radarrResponse;
         movieTitle = addedMovie.title || addedMovie.originalTitle || 'Unknown Movie';
-        console.log('[RADARR] Radarr returned single movie object:', movieTitle);
+        log.info('[RADARR] Radarr returned single movie object:', movieTitle);
     }
     
     return {
         success: true,
+        status: 'added',
         movie: addedMovie,
         message: `Successfully added "${movieTitle}" to Radarr${searchOnAdd ? ' and triggered search' : ''}`
     };
@@ -238,24 +3722,42 @@ async function addMovieToRadarr(baseUrl, apiKey, data) {
  * Handle Sonarr API requests
  */
 async function handleSonarrRequest(action, data) {
-    const baseUrl = process.env.SONARR_URL;
-    const apiKey = process.env.SONARR_API_KEY;
-    
-    if (!baseUrl || !apiKey) {
-        throw new Error('Sonarr configuration missing');
-    }
+    const { baseUrl, apiKey } = resolveServiceInstance('sonarr', data);
 
     switch (action) {
         case 'add_series':
             return await addSeriesToSonarr(baseUrl, apiKey, data);
+        case 'lookup_series': {
+            const term = data.tvdbId ? `tvdb:${data.tvdbId}` : data.term;
+            const series = await lookupSonarrSeries(baseUrl, apiKey, term);
+            return series.slice(0, data.limit).map(item => withoutRaw(normalizeSonarrSeries(item)));
+        }
+        case 'update_series': {
+            const series = await getSonarrSeriesById(baseUrl, apiKey, data.seriesId);
+            const changes = pickDefined(data, ['monitored', 'qualityProfileId', 'seriesType', 'seasonFolder', 'path', 'tags']);
+            return await updateSonarrSeries(baseUrl, apiKey, { ...series, ...changes }, { moveFiles: data.moveFiles });
+        }
+        case 'delete_series':
+            return await deleteSonarrSeries(baseUrl, apiKey, data);
+        case 'set_monitored':
+            return await setSonarrMonitored(baseUrl, apiKey, data);
         case 'get_series':
-            return await getSonarrSeries(baseUrl, apiKey);
+            return listLibrary('series', await getSonarrSeries(baseUrl, apiKey), data);
         case 'get_quality_profiles':
             return await getSonarrQualityProfiles(baseUrl, apiKey);
         case 'get_root_folders':
             return await getSonarrRootFolders(baseUrl, apiKey);
+        case 'run_command':
+            return await runArrCommand('sonarr', baseUrl, apiKey, data);
+        case 'get_command':
+            return await getArrCommand('sonarr', baseUrl, apiKey, data.commandId);
+        case 'get_queue':
+        case 'get_history':
+        case 'get_calendar':
+        case 'get_wanted':
+            return await getArrActivity('sonarr', action.slice(4), baseUrl, apiKey, data);
         default:
-            throw new Error(`Unknown Sonarr action: ${action}`);
+            throw unknownActionError('sonarr', action);
     }
 }
 
@@ -263,28 +3765,53 @@ async function handleSonarrRequest(action, data) {
  * Add series to Sonarr using proper workflow
  */
 async function addSeriesToSonarr(baseUrl, apiKey, data) {
-    const { tvdbId, qualityProfileId, rootFolderPath, monitored = true, searchOnAdd = true } = data;
+    const { tvdbId, qualityProfileId, rootFolderPath, monitored = true, searchOnAdd = true, updateMonitoring = false } = data;
     
     if (!tvdbId || !qualityProfileId || !rootFolderPath) {
-        throw new Error('Missing required fields: tvdbId, qualityProfileId, rootFolderPath');
+        throw new ValidationError('Missing required fields: tvdbId, qualityProfileId, rootFolderPath', {
+            service: 'sonarr',
+            details: { missing: Object.entries({ tvdbId, qualityProfileId, rootFolderPath }).filter(([, v]) => !v).map(([k]) => k) }
+        });
+    }
+
+    // Step 0: Return the existing record instead of letting Sonarr reject a duplicate
+    const existingSeries = await findSonarrSeriesByTvdbId(baseUrl, apiKey, tvdbId);
+    if (existingSeries) {
+        log.info(`[SONARR] Series TVDB:${tvdbId} already in library as ID ${existingSeries.id}`);
+        let series = existingSeries;
+        if (updateMonitoring) {
+            const seasons = Array.isArray(data.seasons) && data.seasons.length > 0
+                ? (existingSeries.seasons || []).map(season => ({
+                    ...season,
+                    monitored: data.seasons.some(s => parseInt(s.seasonNumber) === season.seasonNumber && s.monitored !== false)
+                }))
+                : existingSeries.seasons;
+            series = await updateSonarrSeries(baseUrl, apiKey, { ...existingSeries, monitored, seasons });
+        }
+        return {
+            success: true,
+            status: 'exists',
+            series,
+            message: `"${series.title}" is already in Sonarr${series !== existingSeries ? ' (monitoring updated)' : ''}`
+        };
     }
 
     // Step 1: Lookup series details from TVDB
-    console.log(`[SONARR] Looking up series TVDB:${tvdbId}`);
-    const lookupUrl = `${baseUrl}/api/v3/series/lookup?apikey=${apiKey}&term=tvdb:${tvdbId}`;
+    log.info(`[SONARR] Looking up series TVDB:${tvdbId}`);
+    const lookupUrl = `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series/lookup?term=tvdb:${tvdbId}`;
     
-    const lookupResponse = await fetch(lookupUrl);
+    const lookupResponse = await upstreamFetch('sonarr', lookupUrl, { apiKey });
     if (!lookupResponse.ok) {
-        throw new Error(`Series lookup failed: ${lookupResponse.status} ${lookupResponse.statusText}`);
+        throw await upstreamError('sonarr', lookupResponse, 'Series lookup failed', { tvdbId });
     }
     
     const lookupResults = await lookupResponse.json();
     if (!lookupResults || lookupResults.length === 0) {
-        throw new Error(`Series not found in TVDB: ${tvdbId}`);
+        throw new NotFoundError(`Series not found in TVDB: ${tvdbId}`, { service: 'sonarr', details: { tvdbId } });
     }
 
     const seriesDetails = lookupResults[0]; // Take first match
-    console.log(`[SONARR] Found series: ${seriesDetails.title} (${seriesDetails.year})`);
+    log.info(`[SONARR] Found series: ${seriesDetails.title} (${seriesDetails.year})`);
 
     // Step 2: Prepare series payload with proper monitoring settings
     const addPayload = {
@@ -297,6 +3824,7 @@ async function addSeriesToSonarr(baseUrl, apiKey, data) {
         rootFolderPath: rootFolderPath,
         monitored: monitored,
         seasonFolder: true,
+        tags: data.tags || [],
         // Use provided seasons array if available, otherwise default to all seasons
         seasons: data.seasons && data.seasons.length > 0 
             ? seriesDetails.seasons.map(season => ({
@@ -318,20 +3846,21 @@ async function addSeriesToSonarr(baseUrl, apiKey, data) {
             ignoreEpisodesWithFiles: false,
             ignoreEpisodesWithoutFiles: false
         },
-        seriesType: seriesDetails.seriesType || 'standard',
+        seriesType: data.seriesType || seriesDetails.seriesType || 'standard',
         seasonCount: seriesDetails.seasonCount || 1,
         monitored: true,
         useSceneNumbering: false
     };
     
-    console.log('[SONARR] Seasons monitoring configuration:', 
+    log.debug('[SONARR] Seasons monitoring configuration:', 
         addPayload.seasons.map(s => `S${s.seasonNumber}: ${s.monitored ? 'monitored' : 'not monitored'}`).join(', ')
     );
 
-    console.log('[SONARR] Adding series with payload:', JSON.stringify(addPayload, null, 2));
+    log.debug('[SONARR] Adding series with payload:', JSON.stringify(addPayload, null, 2));
 
-    const addUrl = `${baseUrl}/api/v3/series?apikey=${apiKey}`;
-    const addResponse = await fetch(addUrl, {
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series`;
+    const addResponse = await upstreamFetch('sonarr', addUrl, {
+        apiKey,
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
@@ -340,71 +3869,61 @@ async function addSeriesToSonarr(baseUrl, apiKey, data) {
     });
 
     if (!addResponse.ok) {
-        const errorText = await addResponse.text();
-        throw new Error(`Failed to add series: ${addResponse.status} ${addResponse.statusText} - ${errorText}`);
+        throw await upstreamError('sonarr', addResponse, 'Failed to add series', { tvdbId });
     }
 
     const sonarrResponse = await addResponse.json();
     
     // Debug: Log the full response structure
-    console.log('[SONARR] Full response from Sonarr:', JSON.stringify(sonarrResponse, null, 2));
+    log.debug('[SONARR] Full response from Sonarr:', JSON.stringify(sonarrResponse, null, 2));
     
     let addedSeries;
     let seriesTitle;
     
     // Handle Sonarr's response - it might return an array of all series instead of just the added one
     if (Array.isArray(sonarrResponse)) {
-        console.log('[SONARR] Sonarr returned array of series, searching for TVDB ID:', tvdbId);
+        log.info('[SONARR] Sonarr returned array of series, searching for TVDB ID:', tvdbId);
         // Find the series we just added by TVDB ID
         addedSeries = sonarrResponse.find(series => series.tvdbId === parseInt(tvdbId));
         
         if (!addedSeries) {
-            throw new Error(`Series with TVDB ID ${tvdbId} was not found in Sonarr library after addition attempt`);
+            throw new UpstreamError(`Series with TVDB ID ${tvdbId} was not found in Sonarr library after addition attempt`, { service: 'sonarr', details: { tvdbId } });
         }
         
         seriesTitle = addedSeries.title || addedSeries.sortTitle || 'Unknown Series';
-        console.log('[SONARR] Found added series in response array:', seriesTitle);
+        log.info('[SONARR] Found added series in response array:', seriesTitle);
     } else {
         // Single series object (ideal case)
         addedSeries = sonarrResponse;
         seriesTitle = addedSeries.title || addedSeries.sortTitle || 'Unknown Series';
-        console.log('[SONARR] Sonarr returned single series object:', seriesTitle);
+        log.info('[SONARR] Sonarr returned single series object:', seriesTitle);
     }
     
     // If searchOnAdd is true, trigger a search for the series
+    // The series is already in Sonarr at this point, so a failed search is
+    // reported alongside the add rather than failing the whole request
+    let searchCommand = null;
+    let searchWarning;
     if (searchOnAdd && addedSeries.id) {
-        console.log(`[SONARR] Triggering search for series ID: ${addedSeries.id}`);
-        const searchUrl = `${baseUrl}/api/v3/command?apikey=${apiKey}`;
-        const searchPayload = {
-            name: 'SeriesSearch',
-            seriesId: addedSeries.id
-        };
-        
+        log.info(`[SONARR] Triggering search for series ID: ${addedSeries.id}`);
         try {
-            const searchResponse = await fetch(searchUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(searchPayload)
-            });
-
-            if (!searchResponse.ok) {
-                console.error('[SONARR] Failed to trigger search:', await searchResponse.text());
-                throw new Error('Series was added, but search could not be triggered');
-            }
-            
-            console.log('[SONARR] Search triggered successfully');
+            searchCommand = await runArrCommand('sonarr', baseUrl, apiKey, { name: 'SeriesSearch', seriesId: addedSeries.id });
+            log.info('[SONARR] Search triggered successfully');
         } catch (searchError) {
-            console.error('[SONARR] Error triggering search:', searchError);
-            throw new Error(`Series was added, but search could not be triggered: ${searchError.message}`);
+            log.error('[SONARR] Error triggering search:', searchError);
+            searchWarning = `Series was added, but search could not be triggered: ${searchError.message}`;
         }
     }
     
     return {
         success: true,
+        status: 'added',
         series: addedSeries,
-        message: `Successfully added "${seriesTitle}" to Sonarr${searchOnAdd ? ' and triggered search' : ''}`
+        searchCommandId: searchCommand?.commandId,
+        ...(searchWarning && { searchWarning }),
+        message: searchWarning
+            ? `Added "${seriesTitle}" to Sonarr, but the search could not be triggered`
+            : `Successfully added "${seriesTitle}" to Sonarr${searchOnAdd ? ' and triggered search' : ''}`
     };
 }
 
@@ -412,15 +3931,7 @@ async function addSeriesToSonarr(baseUrl, apiKey, data) {
  * Handle Readarr API requests
  */
 async function handleReadarrRequest(action, data) {
-    const baseUrl = process.env.READARR_URL;
-    const apiKey = process.env.READARR_API_KEY;
-
-    console.log('[PROXY] Readarr environment check - URL exists:', !!baseUrl, 'API Key exists:', !!apiKey);
-
-    if (!baseUrl || !apiKey) {
-        console.error('[PROXY] Missing Readarr config - URL:', baseUrl, 'API Key:', apiKey ? '[REDACTED]' : 'MISSING');
-        throw new Error('Readarr configuration missing: ' + (!baseUrl ? 'READARR_URL' : '') + (!apiKey ? ' READARR_API_KEY' : ''));
-    }
+    const { baseUrl, apiKey } = resolveServiceInstance('readarr', data);
 
     switch (action) {
         case 'add_book':
@@ -437,18 +3948,43 @@ async function handleReadarrRequest(action, data) {
             return await lookupReadarrAuthor(baseUrl, apiKey, data);
         case 'lookup_edition':
             return await lookupReadarrEdition(baseUrl, apiKey, data);
+        case 'update_author': {
+            const author = await getReadarrAuthor(baseUrl, apiKey, data.authorId);
+            const changes = pickDefined(data, ['monitored', 'monitorNewItems', 'qualityProfileId', 'metadataProfileId', 'path', 'tags']);
+            return await updateReadarrAuthor(baseUrl, apiKey, { ...author, ...changes }, { moveFiles: data.moveFiles });
+        }
+        case 'delete_book':
+            return await deleteReadarrBook(baseUrl, apiKey, data);
+        case 'set_monitored':
+            if (data.target === 'author') {
+                if (!data.authorId) throw new ValidationError('set_monitored on an author requires "authorId"', { service: 'readarr' });
+                const author = await getReadarrAuthor(baseUrl, apiKey, data.authorId);
+                return await updateReadarrAuthor(baseUrl, apiKey, { ...author, monitored: data.monitored });
+            }
+            if (!data.bookId && !data.bookIds) throw new ValidationError('set_monitored on books requires "bookId" or "bookIds"', { service: 'readarr' });
+            await setReadarrBooksMonitored(baseUrl, apiKey, data.bookIds ? data.bookIds.map(id => parseInt(id)) : [data.bookId], data.monitored);
+            return { bookIds: data.bookIds || [data.bookId], monitored: data.monitored };
         case 'get_books':
-            return await getReadarrBooks(baseUrl, apiKey);
+            return listLibrary('books', await getReadarrBooks(baseUrl, apiKey), data);
         case 'get_authors':
-            return await getReadarrAuthors(baseUrl, apiKey);
+            return listLibrary('authors', await getReadarrAuthors(baseUrl, apiKey), data);
         case 'get_quality_profiles':
             return await getReadarrQualityProfiles(baseUrl, apiKey);
         case 'get_metadata_profiles':
             return await getReadarrMetadataProfiles(baseUrl, apiKey);
         case 'get_root_folders':
             return await getReadarrRootFolders(baseUrl, apiKey);
+        case 'run_command':
+            return await runArrCommand('readarr', baseUrl, apiKey, data);
+        case 'get_command':
+            return await getArrCommand('readarr', baseUrl, apiKey, data.commandId);
+        case 'get_queue':
+        case 'get_history':
+        case 'get_calendar':
+        case 'get_wanted':
+            return await getArrActivity('readarr', action.slice(4), baseUrl, apiKey, data);
         default:
-            throw new Error(`Unknown Readarr action: ${action}`);
+            throw unknownActionError('readarr', action);
     }
 }
 
@@ -456,15 +3992,7 @@ async function handleReadarrRequest(action, data) {
  * Handle Headphones API requests
  */
 async function handleHeadphonesRequest(action, data) {
-    const baseUrl = process.env.HEADPHONES_URL;
-    const apiKey = process.env.HEADPHONES_API_KEY;
-
-    console.log('[PROXY] Headphones environment check - URL exists:', !!baseUrl, 'API Key exists:', !!apiKey);
-
-    if (!baseUrl || !apiKey) {
-        console.error('[PROXY] Missing Headphones config - URL:', baseUrl, 'API Key:', apiKey ? '[REDACTED]' : 'MISSING');
-        throw new Error('Headphones configuration missing: ' + (!baseUrl ? 'HEADPHONES_URL' : '') + (!apiKey ? ' HEADPHONES_API_KEY' : ''));
-    }
+    const { baseUrl, apiKey } = resolveServiceInstance('headphones', data);
 
     switch (action) {
         case 'search_artist':
@@ -483,7 +4011,7 @@ async function handleHeadphonesRequest(action, data) {
             // Not typically applicable for Headphones; return empty array for compatibility
             return [];
         default:
-            throw new Error(`Unknown Headphones action: ${action}`);
+            throw unknownActionError('headphones', action);
     }
 }
 
@@ -525,6 +4053,11 @@ function normalizeHeadphonesArtist(item) {
         disambiguation,
         genres,
         albumCount: typeof albumCount === 'number' ? albumCount : undefined,
+        mediaType: 'artist',
+        externalIds: { mbid },
+        posterUrl: undefined,
+        service: 'headphones',
+        addAction: 'add_artist',
         origin: 'headphones',
         raw: item
     };
@@ -555,18 +4088,103 @@ function normalizeHeadphonesAlbum(item) {
         albumType,
         coverUrl: caa.coverUrl,
         coverUrlFallbacks: caa.fallbacks,
+        mediaType: 'album',
+        externalIds: { mbid, artistMbid },
+        posterUrl: caa.coverUrl,
+        service: 'headphones',
+        addAction: 'add_album',
         origin: 'headphones',
         raw: item
     };
 }
+// Radarr/Sonarr/Readarr lookup results normalized to the same shape as the Headphones ones
+function pickImageUrl(images, coverTypes) {
+    if (!Array.isArray(images)) return undefined;
+    for (const coverType of coverTypes) {
+        const image = images.find(i => i?.coverType === coverType);
+        if (image) return image.remoteUrl || image.url;
+    }
+    return undefined;
+}
+
+function normalizeRadarrMovie(item) {
+    const title = item?.title || item?.originalTitle || 'Unknown Movie';
+    return {
+        type: 'movie',
+        mediaType: 'movie',
+        title,
+        year: item?.year || deriveYear(item?.inCinemas || item?.releaseDate),
+        overview: item?.overview,
+        externalIds: { tmdbId: item?.tmdbId, imdbId: item?.imdbId },
+        tmdbId: item?.tmdbId,
+        posterUrl: item?.remotePoster || pickImageUrl(item?.images, ['poster', 'fanart']),
+        inLibrary: !!(item?.id && item.id > 0),
+        libraryId: item?.id > 0 ? item.id : undefined,
+        service: 'radarr',
+        addAction: 'add_movie',
+        origin: 'radarr',
+        raw: item
+    };
+}
+
+function normalizeSonarrSeries(item) {
+    const title = item?.title || item?.sortTitle || 'Unknown Series';
+    return {
+        type: 'series',
+        mediaType: 'series',
+        title,
+        year: item?.year || deriveYear(item?.firstAired),
+        overview: item?.overview,
+        externalIds: { tvdbId: item?.tvdbId, tmdbId: item?.tmdbId, imdbId: item?.imdbId },
+        tvdbId: item?.tvdbId,
+        posterUrl: item?.remotePoster || pickImageUrl(item?.images, ['poster', 'banner']),
+        inLibrary: !!(item?.id && item.id > 0),
+        libraryId: item?.id > 0 ? item.id : undefined,
+        service: 'sonarr',
+        addAction: 'add_series',
+        origin: 'sonarr',
+        raw: item
+    };
+}
+
+function normalizeReadarrBook(item) {
+    const title = item?.title || 'Unknown Book';
+    return {
+        type: 'book',
+        mediaType: 'book',
+        title,
+        author: item?.authorTitle || item?.author?.authorName || item?.author?.name,
+        year: deriveYear(item?.releaseDate),
+        overview: item?.overview,
+        externalIds: { foreignBookId: item?.foreignBookId, foreignAuthorId: item?.author?.foreignAuthorId },
+        foreignBookId: item?.foreignBookId,
+        posterUrl: item?.remoteCover || pickImageUrl(item?.images, ['cover', 'poster']),
+        inLibrary: !!(item?.id && item.id > 0),
+        libraryId: item?.id > 0 ? item.id : undefined,
+        service: 'readarr',
+        addAction: 'add_book',
+        origin: 'readarr',
+        raw: item
+    };
+}
+
+// Copy only the keys the caller actually sent, so partial updates don't clobber upstream fields
+function pickDefined(data, keys) {
+    return Object.fromEntries(keys.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+}
+
+function withoutRaw({ raw, ...result }) {
+    return result;
+}
+
 async function searchHeadphonesArtist(baseUrl, apiKey, data) {
     const term = data?.term || data?.name || data?.query;
-    if (!term) throw new Error('Search term is required');
+    if (!term) throw new ValidationError('Search term is required', { service: 'headphones' });
 
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=findArtist&name=${encodeURIComponent(term)}`;
-    console.log('[HEADPHONES] Searching artists:', term);
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Headphones findArtist failed: ${res.status} ${res.statusText}`);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=findArtist&name=${encodeURIComponent(term)}`;
+    log.info('[HEADPHONES] Searching artists:', term);
+    const res = await upstreamFetch('headphones', url);
+    if (!res.ok) throw await upstreamError('headphones', res, 'Headphones findArtist failed');
     const json = await res.json();
     // Some Headphones builds return object with 'artists' or direct array; normalize to array
     const list = Array.isArray(json) ? json : (json?.artists || json?.results || []);
@@ -577,14 +4195,13 @@ async function searchHeadphonesArtist(baseUrl, apiKey, data) {
 async function addHeadphonesArtist(baseUrl, apiKey, data) {
     const mbid = data?.mbid || data?.mbId || data?.id || data?.foreignArtistId;
     const name = data?.artistName || data?.name;
-    if (!mbid) throw new Error('MBID is required to add artist');
+    if (!mbid) throw new ValidationError('MBID is required to add artist', { service: 'headphones' });
 
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=addArtist&id=${encodeURIComponent(mbid)}`;
-    console.log('[HEADPHONES] Adding artist MBID:', mbid, 'Name:', name || '[unknown]');
-    const res = await fetch(url);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=addArtist&id=${encodeURIComponent(mbid)}`;
+    log.info('[HEADPHONES] Adding artist MBID:', mbid, 'Name:', name || '[unknown]');
+    const res = await upstreamFetch('headphones', url);
     if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(`Headphones addArtist failed: ${res.status} ${res.statusText} - ${txt}`);
+        throw await upstreamError('headphones', res, 'Headphones addArtist failed', { mbid });
     }
     const json = await res.json().catch(() => ({}));
     return {
@@ -597,15 +4214,15 @@ async function addHeadphonesArtist(baseUrl, apiKey, data) {
 async function searchHeadphonesAlbum(baseUrl, apiKey, data) {
     const term = data?.term || data?.album || data?.query;
     const artist = data?.artist || data?.artistName;
-    if (!term && !artist) throw new Error('Album search requires a term or artist');
+    if (!term && !artist) throw new ValidationError('Album search requires a term or artist', { service: 'headphones' });
 
     // Headphones commonly supports findAlbum by name; optionally include artist name in term for better results
     const search = term ? term : '';
     const combined = artist && term ? `${artist} ${term}` : (artist || search);
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=findAlbum&name=${encodeURIComponent(combined)}`;
-    console.log('[HEADPHONES] Searching albums:', combined);
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Headphones findAlbum failed: ${res.status} ${res.statusText}`);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=findAlbum&name=${encodeURIComponent(combined)}`;
+    log.info('[HEADPHONES] Searching albums:', combined);
+    const res = await upstreamFetch('headphones', url);
+    if (!res.ok) throw await upstreamError('headphones', res, 'Headphones findAlbum failed');
     const json = await res.json();
     // Some Headphones builds return object with 'albums' or direct array; normalize to array
     const list = Array.isArray(json) ? json : (json?.albums || json?.results || []);
@@ -616,14 +4233,13 @@ async function searchHeadphonesAlbum(baseUrl, apiKey, data) {
 async function addHeadphonesAlbum(baseUrl, apiKey, data) {
     const mbid = data?.mbid || data?.mbId || data?.id || data?.foreignAlbumId || data?.albumId;
     const title = data?.albumTitle || data?.title || data?.name;
-    if (!mbid) throw new Error('MBID is required to add album');
+    if (!mbid) throw new ValidationError('MBID is required to add album', { service: 'headphones' });
 
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=addAlbum&id=${encodeURIComponent(mbid)}`;
-    console.log('[HEADPHONES] Adding album MBID:', mbid, 'Title:', title || '[unknown]');
-    const res = await fetch(url);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=addAlbum&id=${encodeURIComponent(mbid)}`;
+    log.info('[HEADPHONES] Adding album MBID:', mbid, 'Title:', title || '[unknown]');
+    const res = await upstreamFetch('headphones', url);
     if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(`Headphones addAlbum failed: ${res.status} ${res.statusText} - ${txt}`);
+        throw await upstreamError('headphones', res, 'Headphones addAlbum failed', { mbid });
     }
     const json = await res.json().catch(() => ({}));
     return {
@@ -634,17 +4250,17 @@ async function addHeadphonesAlbum(baseUrl, apiKey, data) {
 }
 
 async function getHeadphonesQualityProfiles(baseUrl, apiKey) {
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getQualityProfiles`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Headphones getQualityProfiles failed: ${res.status} ${res.statusText}`);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getQualityProfiles`;
+    const res = await upstreamFetch('headphones', url);
+    if (!res.ok) throw await upstreamError('headphones', res, 'Headphones getQualityProfiles failed');
     const json = await res.json();
     return json;
 }
 
 async function getHeadphonesRootFolders(baseUrl, apiKey) {
-    const url = `${baseUrl.replace(/\/$/, '')}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getRootFolders`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Headphones getRootFolders failed: ${res.status} ${res.statusText}`);
+    const url = `${baseUrl}/api?apikey=${encodeURIComponent(apiKey)}&cmd=getRootFolders`;
+    const res = await upstreamFetch('headphones', url);
+    if (!res.ok) throw await upstreamError('headphones', res, 'Headphones getRootFolders failed');
     const json = await res.json();
     return json;
 }
@@ -664,10 +4280,30 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         authorMonitor = 'all',
         authorSearchForMissingBooks = false,
         // Optional: allow caller to provide a specific edition foreign ID directly
-        foreignEditionId: incomingForeignEditionId
+        foreignEditionId: incomingForeignEditionId,
+        updateMonitoring = false
     } = data || {};
 
-    console.log('[READARR] addBookToReadarr called with:', data);
+    log.debug('[READARR] addBookToReadarr called with:', data);
+
+    // Return the existing record before running the (expensive) author resolution
+    if (incomingBook?.foreignBookId) {
+        const existingBook = await findReadarrBookByForeignId(baseUrl, apiKey, incomingBook.foreignBookId);
+        if (existingBook) {
+            log.info(`[READARR] Book ${incomingBook.foreignBookId} already in library as ID ${existingBook.id}`);
+            let bookRecord = existingBook;
+            if (updateMonitoring && existingBook.monitored !== !!monitored) {
+                await setReadarrBooksMonitored(baseUrl, apiKey, [existingBook.id], !!monitored);
+                bookRecord = { ...existingBook, monitored: !!monitored };
+            }
+            return {
+                success: true,
+                status: 'exists',
+                book: bookRecord,
+                message: `Book "${existingBook.title}" is already in Readarr${bookRecord !== existingBook ? ` (monitoring ${monitored ? 'enabled' : 'disabled'})` : ''}`
+            };
+        }
+    }
 
     // Step 1: Lookup author
     // If no explicit term provided, try to extract from book data
@@ -679,38 +4315,38 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                     incomingBook.title;
     }
     
-    console.log(`[READARR] Looking up author: ${searchTerm}`);
+    log.info(`[READARR] Looking up author: ${searchTerm}`);
     let lookup = await lookupReadarrAuthor(baseUrl, apiKey, { term: searchTerm });
-    console.log(`[READARR] Readarr author lookup returned ${lookup?.length || 0} results`);
+    log.info(`[READARR] Readarr author lookup returned ${lookup?.length || 0} results`);
     
     // Fallback to BookInfo.pro if Readarr lookup fails
     if (!lookup || lookup.length === 0) {
-        console.log(`[READARR] Falling back to BookInfo.pro author lookup: ${searchTerm}`);
+        log.info(`[READARR] Falling back to BookInfo.pro author lookup: ${searchTerm}`);
         try {
             lookup = await lookupBookInfoProAuthor(searchTerm);
-            console.log(`[READARR] BookInfo.pro author lookup returned ${lookup?.length || 0} results`);
+            log.info(`[READARR] BookInfo.pro author lookup returned ${lookup?.length || 0} results`);
         } catch (error) {
-            console.log(`[READARR] BookInfo.pro author lookup failed: ${error.message}`);
+            log.info(`[READARR] BookInfo.pro author lookup failed: ${error.message}`);
         }
     }
     
     if (!lookup || lookup.length === 0) {
-        throw new Error(`Author lookup failed for term: ${searchTerm}`);
+        throw new NotFoundError(`Author lookup failed for term: ${searchTerm}`, { service: 'readarr' });
     }
     
     const authorData = lookup[0];
 
     // Use incomingBook as the book data
     const book = incomingBook;
-    console.log('[READARR] Using book result:', book?.title || '[no title]', 'by', book?.author?.name || '[unknown author]');
+    log.info('[READARR] Using book result:', book?.title || '[no title]', 'by', book?.author?.name || '[unknown author]');
 
     // Comprehensive author resolution with 5-layer fallback system
     if (!book.author || !book.author.authorName) {
-        console.log('[READARR] Author missing from book data, implementing comprehensive resolution...');
+        log.info('[READARR] Author missing from book data, implementing comprehensive resolution...');
         
         // Layer 1: Extract author candidates from multiple sources
         const authorCandidates = extractAuthorNameCandidates(book, searchTerm);
-        console.log('[READARR] Author candidates extracted:', authorCandidates);
+        log.debug('[READARR] Author candidates extracted:', authorCandidates);
         
         let resolvedAuthor = null;
         let usedStrategy = null;
@@ -719,7 +4355,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         if (authorCandidates.length > 0) {
             for (const cand of authorCandidates) {
                 try {
-                    console.log('[READARR] Strategy 1: Readarr author lookup for:', cand);
+                    log.info('[READARR] Strategy 1: Readarr author lookup for:', cand);
                     const authorResults = await lookupReadarrAuthor(baseUrl, apiKey, { term: cand });
                     
                     if (authorResults && authorResults.length > 0) {
@@ -731,14 +4367,14 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                         }
                     }
                 } catch (e) {
-                    console.warn('[READARR] Readarr author lookup failed for:', cand, e?.message || e);
+                    log.warn('[READARR] Readarr author lookup failed for:', cand, e?.message || e);
                 }
             }
         }
         
         // Layer 3: BookInfo.pro author lookup fallback
         if (!resolvedAuthor && authorCandidates.length > 0) {
-            console.log('[READARR] Strategy 2: BookInfo.pro author lookup');
+            log.info('[READARR] Strategy 2: BookInfo.pro author lookup');
             try {
                 for (const cand of authorCandidates) {
                     const bookInfoAuthors = await lookupBookInfoProAuthor(cand);
@@ -749,13 +4385,13 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                     }
                 }
             } catch (e) {
-                console.warn('[READARR] BookInfo.pro author lookup failed:', e?.message || e);
+                log.warn('[READARR] BookInfo.pro author lookup failed:', e?.message || e);
             }
         }
         
         // Layer 4: Direct Goodreads author search using book's foreignBookId
         if (!resolvedAuthor && book.foreignBookId) {
-            console.log('[READARR] Strategy 3: Direct Goodreads author search');
+            log.info('[READARR] Strategy 3: Direct Goodreads author search');
             try {
                 // Try to get author from book metadata using the book ID
                 const bookDetails = await lookupReadarrBook(baseUrl, apiKey, { 
@@ -767,13 +4403,13 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                     usedStrategy = 'Book metadata lookup';
                 }
             } catch (e) {
-                console.warn('[READARR] Direct book metadata lookup failed:', e?.message || e);
+                log.warn('[READARR] Direct book metadata lookup failed:', e?.message || e);
             }
         }
         
         // Layer 5: Enhanced name parsing from book title patterns
         if (!resolvedAuthor) {
-            console.log('[READARR] Strategy 4: Enhanced name parsing from book data');
+            log.info('[READARR] Strategy 4: Enhanced name parsing from book data');
             
             // Try to extract author from book title patterns
             const title = book.title || '';
@@ -817,7 +4453,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         
         // Final fallback: Use a generic author if we have book data
         if (!resolvedAuthor && (book.title || book.foreignBookId)) {
-            console.log('[READARR] Strategy 5: Generic fallback author');
+            log.info('[READARR] Strategy 5: Generic fallback author');
             const fallbackName = book.authorTitle || 'Unknown Author';
             resolvedAuthor = {
                 authorName: fallbackName,
@@ -832,12 +4468,12 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         
         if (resolvedAuthor) {
             book.author = resolvedAuthor;
-            console.log(`[READARR] Author resolved via ${usedStrategy}:`, resolvedAuthor.authorName);
+            log.info(`[READARR] Author resolved via ${usedStrategy}:`, resolvedAuthor.authorName);
         } else {
-            throw new Error('Unable to resolve author for book addition. All resolution strategies failed.');
+            throw new NotFoundError('Unable to resolve author for book addition. All resolution strategies failed.', { service: 'readarr' });
         }
     } else {
-        console.log(`[READARR] Using provided author: ${book.author.name || book.author}`);
+        log.info(`[READARR] Using provided author: ${book.author.name || book.author}`);
     }
 
     // Ensure default profiles when not provided
@@ -851,7 +4487,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
 
     // Construct payload per Readarr expectations
     if (!book.author) {
-        throw new Error('Lookup did not return author information required by Readarr');
+        throw new ValidationError('Lookup did not return author information required by Readarr', { service: 'readarr' });
     }
 
     // Determine root folder path
@@ -861,11 +4497,11 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
             const roots = await getReadarrRootFolders(baseUrl, apiKey);
             rootFolderPath = (Array.isArray(roots) && roots.length > 0) ? (roots[0].path || roots[0].Path || roots[0].name) : undefined;
         } catch (e) {
-            console.warn('[READARR] Failed to fetch root folders for defaulting:', e?.message || e);
+            log.warn('[READARR] Failed to fetch root folders for defaulting:', e?.message || e);
         }
     }
     if (!rootFolderPath) {
-        throw new Error('No root folder path provided and no defaults available from Readarr');
+        throw new ValidationError('No root folder path provided and no defaults available from Readarr', { service: 'readarr' });
     }
 
     // Build minimal add payload rather than posting the full lookup object
@@ -882,24 +4518,24 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         if (book.authorTitle) candidateNames.push(book.authorTitle);
         for (const cand of candidateNames) {
             try {
-                const url = `${baseUrl}/api/v1/author/lookup?apikey=${apiKey}&term=${encodeURIComponent(cand)}`;
-                console.log('[READARR] Resolving foreignAuthorId via author lookup:', cand);
-                const r = await fetch(url);
+                const url = `${baseUrl}/api/${getServiceApiVersion('readarr')}/author/lookup?term=${encodeURIComponent(cand)}`;
+                log.info('[READARR] Resolving foreignAuthorId via author lookup:', cand);
+                const r = await upstreamFetch('readarr', url, { apiKey });
                 if (!r.ok) continue;
                 const arr = await r.json();
                 const best = Array.isArray(arr) && arr.length > 0 ? arr[0] : null;
                 if (best?.foreignAuthorId) {
                     foreignAuthorId = best.foreignAuthorId;
-                    console.log('[READARR] Found foreignAuthorId from lookup for', cand, '->', foreignAuthorId);
+                    log.info('[READARR] Found foreignAuthorId from lookup for', cand, '->', foreignAuthorId);
                     break;
                 }
             } catch (e) {
-                console.warn('[READARR] Author lookup for foreignAuthorId failed:', e?.message || e);
+                log.warn('[READARR] Author lookup for foreignAuthorId failed:', e?.message || e);
             }
         }
     }
     if (!foreignAuthorId) {
-        throw new Error('Readarr add requires author.foreignAuthorId; author lookup did not provide it');
+        throw new NotFoundError('Readarr add requires author.foreignAuthorId; author lookup did not provide it', { service: 'readarr' });
     }
 
     // Normalize author name for logging / compatibility
@@ -910,7 +4546,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
     // Ensure editions array is present; if missing, try to resolve via edition lookup
     // This avoids Readarr server error: "Value cannot be null. (Parameter 'source')" when mapping editions
     if (!Array.isArray(book.editions) || book.editions.length === 0) {
-        console.warn('[READARR] Book has no editions; attempting edition lookup');
+        log.warn('[READARR] Book has no editions; attempting edition lookup');
         const editionTerms = [];
         
         // Build comprehensive search terms
@@ -937,9 +4573,9 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         
         for (const et of editionTerms) {
             try {
-                const url = `${baseUrl}/api/v1/edition/lookup?apikey=${apiKey}&term=${encodeURIComponent(et)}`;
-                console.log('[READARR] Edition lookup with term:', et);
-                const r = await fetch(url);
+                const url = `${baseUrl}/api/${getServiceApiVersion('readarr')}/edition/lookup?term=${encodeURIComponent(et)}`;
+                log.info('[READARR] Edition lookup with term:', et);
+                const r = await upstreamFetch('readarr', url, { apiKey });
                 if (!r.ok) continue;
                 const arr = await r.json();
                 if (Array.isArray(arr) && arr.length > 0) {
@@ -951,17 +4587,17 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                     book.editions = [bestEdition];
                     if (book.editions[0]) book.editions[0].monitored = true;
                     foundEdition = bestEdition;
-                    console.log('[READARR] Edition resolved via term:', et, '->', bestEdition?.title || bestEdition?.foreignEditionId || '[unknown]');
+                    log.info('[READARR] Edition resolved via term:', et, '->', bestEdition?.title || bestEdition?.foreignEditionId || '[unknown]');
                     break;
                 }
             } catch (e) {
-                console.warn('[READARR] Edition lookup error for term', et, ':', e?.message || e);
+                log.warn('[READARR] Edition lookup error for term', et, ':', e?.message || e);
             }
         }
         
         // If still no editions found, create a synthetic edition from book data
         if (!foundEdition && book.title) {
-            console.warn('[READARR] Creating synthetic edition from book data');
+            log.warn('[READARR] Creating synthetic edition from book data');
             book.editions = [{
                 title: book.title || '',
                 titleSlug: book.titleSlug || '',
@@ -980,7 +4616,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
     let hasForeignEditionIdentifier = (book.editions || []).some(e => e && (e.foreignEditionId || e.foreignId || e.foreign_id || e.goodreadsId || e.editionId));
     
     if (!hasForeignEditionIdentifier) {
-        console.warn('[READARR] No foreignEditionId found in existing editions, attempting enhanced lookup');
+        log.warn('[READARR] No foreignEditionId found in existing editions, attempting enhanced lookup');
         const extraTerms = [];
         
         // Use all available identifiers
@@ -1002,9 +4638,9 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         
         for (const et2 of extraTerms) {
             try {
-                const url2 = `${baseUrl}/api/v1/edition/lookup?apikey=${apiKey}&term=${encodeURIComponent(et2)}`;
-                console.log('[READARR] Enhanced edition lookup. Term:', et2);
-                const r2 = await fetch(url2);
+                const url2 = `${baseUrl}/api/${getServiceApiVersion('readarr')}/edition/lookup?term=${encodeURIComponent(et2)}`;
+                log.info('[READARR] Enhanced edition lookup. Term:', et2);
+                const r2 = await upstreamFetch('readarr', url2, { apiKey });
                 if (!r2.ok) continue;
                 const arr2 = await r2.json();
                 if (Array.isArray(arr2) && arr2.length > 0) {
@@ -1017,22 +4653,22 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                     if (book.editions[0]) book.editions[0].monitored = true;
                     hasForeignEditionIdentifier = !!(validEdition.foreignEditionId || validEdition.foreignId || validEdition.goodreadsId);
                     foundEdition = true;
-                    console.log('[READARR] Enhanced edition lookup resolved:', validEdition?.title || validEdition?.foreignEditionId || '[unknown]');
+                    log.info('[READARR] Enhanced edition lookup resolved:', validEdition?.title || validEdition?.foreignEditionId || '[unknown]');
                     break;
                 }
             } catch (e) {
-                console.warn('[READARR] Enhanced edition lookup error:', e?.message || e);
+                log.warn('[READARR] Enhanced edition lookup error:', e?.message || e);
             }
         }
         
         // If still no valid edition, use book data to create minimal edition
         if (!foundEdition) {
-            console.warn('[READARR] Using fallback edition creation from book data');
+            log.warn('[READARR] Using fallback edition creation from book data');
             const fallbackId = book.foreignBookId || book.foreignEditionId || 
                               book.isbn13 || book.isbn10 || 
                               `syn-${book.title?.toLowerCase().replace(/[^a-z0-9]/g, '')}-${Date.now()}`;
             
-            console.warn('[READARR] Creating synthetic edition ID:', fallbackId);
+            log.warn('[READARR] Creating synthetic edition ID:', fallbackId);
             book.editions = [{
                 title: book.title || '',
                 titleSlug: book.titleSlug || '',
@@ -1055,7 +4691,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
             isbn13: e?.isbn13,
             asin: e?.asin
         }));
-        console.log('[READARR] Edition candidates summary:', summary);
+        log.debug('[READARR] Edition candidates summary:', summary);
     } catch {}
 
     // Transform editions to AddBookEdition model
@@ -1100,7 +4736,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         ].filter(id => id && String(id).trim() !== '');
         
         if (possibleIds.length > 0) {
-            console.warn('[READARR] Using book identifiers as edition fallback');
+            log.warn('[READARR] Using book identifiers as edition fallback');
             editionsPayload = [{
                 title: book.title || '',
                 titleSlug: book.titleSlug || '',
@@ -1118,7 +4754,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
                           book.isbn13 || book.isbn10 || 
                           `fallback-${Date.now()}`;
         
-        console.warn('[READARR] Creating synthetic edition ID:', syntheticId);
+        log.warn('[READARR] Creating synthetic edition ID:', syntheticId);
         editionsPayload = [{
             title: book.title || '',
             titleSlug: book.titleSlug || '',
@@ -1140,7 +4776,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
             title: book?.title || null,
             author: book?.author?.name || null
         };
-        throw new Error('Unable to create valid edition for Readarr add. Diagnostics: ' + JSON.stringify(diag));
+        throw new ValidationError('Unable to create valid edition for Readarr add', { service: 'readarr', details: diag });
     }
 
     const addPayload = {
@@ -1153,7 +4789,8 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
             qualityProfileId: parseInt(qpId),
             metadataProfileId: parseInt(mpId),
             foreignAuthorId: String(foreignAuthorId),
-            rootFolderPath
+            rootFolderPath,
+            tags: data.tags || []
         },
         editions: editionsPayload
     };
@@ -1161,7 +4798,7 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         addPayload.foreignBookId = String(book.foreignBookId);
     }
 
-    console.log('[READARR] Adding book with payload (trimmed):', JSON.stringify({
+    log.debug('[READARR] Adding book with payload (trimmed):', JSON.stringify({
         title: book.title,
         foreignBookId: addPayload.foreignBookId,
         author: {
@@ -1175,23 +4812,24 @@ async function addBookToReadarr(baseUrl, apiKey, data) {
         addOptions: addPayload.addOptions
     }, null, 2));
 
-    const addUrl = `${baseUrl}/api/v1/book?apikey=${apiKey}`;
-    const addResponse = await fetch(addUrl, {
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('readarr')}/book`;
+    const addResponse = await upstreamFetch('readarr', addUrl, {
+        apiKey,
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(addPayload)
     });
 
     if (!addResponse.ok) {
-        const errorText = await addResponse.text();
-        throw new Error(`Failed to add book: ${addResponse.status} ${addResponse.statusText} - ${errorText}`);
+        throw await upstreamError('readarr', addResponse, 'Failed to add book', { foreignBookId: addPayload.foreignBookId });
     }
 
     const addResult = await addResponse.json();
-    console.log('[READARR] Add book response:', JSON.stringify(addResult, null, 2));
+    log.debug('[READARR] Add book response:', JSON.stringify(addResult, null, 2));
 
     return {
         success: true,
+        status: 'added',
         book: addResult,
         message: `Successfully added book "${book.title}" to Readarr${searchForNewBook ? ' and triggered search' : ''}`
     };
@@ -1208,31 +4846,49 @@ async function addAuthorToReadarr(baseUrl, apiKey, data) {
         rootFolderPath,
         monitored = true,
         authorMonitor = 'none',
-        authorSearchForMissingBooks = false
+        authorSearchForMissingBooks = false,
+        updateMonitoring = false
     } = data || {};
 
-    console.log('[READARR] addAuthorToReadarr called with:', data);
+    log.debug('[READARR] addAuthorToReadarr called with:', data);
 
     if (!term) {
-        throw new Error('Missing required field: term (author search term)');
+        throw new ValidationError('Missing required field: term (author search term)', { service: 'readarr' });
     }
     if (!rootFolderPath) {
-        throw new Error('Missing required field: rootFolderPath');
+        throw new ValidationError('Missing required field: rootFolderPath', { service: 'readarr' });
     }
 
-    const lookupUrl = `${baseUrl}/api/v1/author/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`;
-    console.log('[READARR] Looking up author with term:', term);
-    const lookupResponse = await fetch(lookupUrl);
+    const lookupUrl = `${baseUrl}/api/${getServiceApiVersion('readarr')}/author/lookup?term=${encodeURIComponent(term)}`;
+    log.info('[READARR] Looking up author with term:', term);
+    const lookupResponse = await upstreamFetch('readarr', lookupUrl, { apiKey });
     if (!lookupResponse.ok) {
-        throw new Error(`Author lookup failed: ${lookupResponse.status} ${lookupResponse.statusText}`);
+        throw await upstreamError('readarr', lookupResponse, 'Author lookup failed');
     }
     const lookupResults = await lookupResponse.json();
     if (!Array.isArray(lookupResults) || lookupResults.length === 0) {
-        throw new Error(`No author results for term: ${term}`);
+        throw new NotFoundError(`No author results for term: ${term}`, { service: 'readarr' });
     }
 
     const author = lookupResults[0];
-    console.log('[READARR] Using author result:', author?.authorName || author?.name || '[no name]');
+    log.info('[READARR] Using author result:', author?.authorName || author?.name || '[no name]');
+
+    const existingAuthor = author?.foreignAuthorId
+        ? await findReadarrAuthorByForeignId(baseUrl, apiKey, author.foreignAuthorId)
+        : null;
+    if (existingAuthor) {
+        log.info(`[READARR] Author ${author.foreignAuthorId} already in library as ID ${existingAuthor.id}`);
+        let authorRecord = existingAuthor;
+        if (updateMonitoring && existingAuthor.monitored !== !!monitored) {
+            authorRecord = await updateReadarrAuthor(baseUrl, apiKey, { ...existingAuthor, monitored: !!monitored });
+        }
+        return {
+            success: true,
+            status: 'exists',
+            author: authorRecord,
+            message: `Author "${existingAuthor.authorName}" is already in Readarr${authorRecord !== existingAuthor ? ` (monitoring ${monitored ? 'enabled' : 'disabled'})` : ''}`
+        };
+    }
 
     // Ensure default profiles when not provided
     let qpId = qualityProfileId;
@@ -1246,13 +4902,14 @@ async function addAuthorToReadarr(baseUrl, apiKey, data) {
     author.metadataProfileId = parseInt(mpId);
     author.qualityProfileId = parseInt(qpId);
     author.rootFolderPath = rootFolderPath;
+    author.tags = data.tags || [];
     author.addOptions = {
         monitor: authorMonitor,
         searchForMissingBooks: !!authorSearchForMissingBooks
     };
     author.monitored = !!monitored;
 
-    console.log('[READARR] Adding author with payload (trimmed):', JSON.stringify({
+    log.debug('[READARR] Adding author with payload (trimmed):', JSON.stringify({
         name: author?.authorName || author?.name,
         qualityProfileId: author.qualityProfileId,
         metadataProfileId: author.metadataProfileId,
@@ -1261,23 +4918,24 @@ async function addAuthorToReadarr(baseUrl, apiKey, data) {
         monitored: author.monitored
     }, null, 2));
 
-    const addUrl = `${baseUrl}/api/v1/author?apikey=${apiKey}`;
-    const addResponse = await fetch(addUrl, {
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('readarr')}/author`;
+    const addResponse = await upstreamFetch('readarr', addUrl, {
+        apiKey,
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(author)
     });
 
     if (!addResponse.ok) {
-        const errorText = await addResponse.text();
-        throw new Error(`Failed to add author: ${addResponse.status} ${addResponse.statusText} - ${errorText}`);
+        throw await upstreamError('readarr', addResponse, 'Failed to add author');
     }
 
     const addResult = await addResponse.json();
-    console.log('[READARR] Add author response:', JSON.stringify(addResult, null, 2));
+    log.debug('[READARR] Add author response:', JSON.stringify(addResult, null, 2));
 
     return {
         success: true,
+        status: 'added',
         author: addResult,
         message: `Successfully added author to Readarr`
     };
@@ -1285,64 +4943,114 @@ async function addAuthorToReadarr(baseUrl, apiKey, data) {
 
 // ---- Readarr helpers ----
 async function getReadarrDefaultProfileIds(baseUrl, apiKey) {
+    // Keyed by base URL so every Readarr instance caches its own profiles
     const [qps, mps] = await Promise.all([
-        getReadarrQualityProfiles(baseUrl, apiKey),
-        getReadarrMetadataProfiles(baseUrl, apiKey)
+        withResponseCache('readarr', 'get_quality_profiles', { baseUrl }, getCacheTtl('readarr', 'get_quality_profiles'), () => getReadarrQualityProfiles(baseUrl, apiKey)),
+        withResponseCache('readarr', 'get_metadata_profiles', { baseUrl }, getCacheTtl('readarr', 'get_metadata_profiles'), () => getReadarrMetadataProfiles(baseUrl, apiKey))
     ]);
     if (!Array.isArray(qps) || qps.length === 0) {
-        throw new Error('No Readarr quality profiles available');
+        throw new ConfigurationError('No Readarr quality profiles available', { service: 'readarr' });
     }
     if (!Array.isArray(mps) || mps.length === 0) {
-        throw new Error('No Readarr metadata profiles available');
+        throw new ConfigurationError('No Readarr metadata profiles available', { service: 'readarr' });
     }
     return { qualityProfileId: qps[0].id, metadataProfileId: mps[0].id };
 }
 
+async function findReadarrBookByForeignId(baseUrl, apiKey, foreignBookId) {
+    // Readarr's book endpoint can't filter by foreign id, so match against the library
+    const books = await getReadarrBooks(baseUrl, apiKey);
+    return (Array.isArray(books) ? books : []).find(b => String(b.foreignBookId) === String(foreignBookId)) || null;
+}
+
+async function findReadarrAuthorByForeignId(baseUrl, apiKey, foreignAuthorId) {
+    const authors = await getReadarrAuthors(baseUrl, apiKey);
+    return (Array.isArray(authors) ? authors : []).find(a => String(a.foreignAuthorId) === String(foreignAuthorId)) || null;
+}
+
+async function setReadarrBooksMonitored(baseUrl, apiKey, bookIds, monitored) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/book/monitor`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bookIds, monitored })
+    });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to update book monitoring', { bookIds });
+    return await response.json().catch(() => null);
+}
+
+async function getReadarrAuthor(baseUrl, apiKey, authorId) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/author/${encodeURIComponent(authorId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, `Author ${authorId} not found`, { authorId });
+    return await response.json();
+}
+
+async function updateReadarrAuthor(baseUrl, apiKey, author, { moveFiles = false } = {}) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/author/${author.id}?moveFiles=${moveFiles}`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(author)
+    });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to update author', { authorId: author.id });
+    return await response.json();
+}
+
+async function deleteReadarrBook(baseUrl, apiKey, { bookId, deleteFiles = false, addImportExclusion = false }) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/book/${encodeURIComponent(bookId)}?deleteFiles=${deleteFiles}&addImportListExclusion=${addImportExclusion}`, {
+        apiKey,
+        method: 'DELETE'
+    });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to delete book', { bookId });
+    log.info(`[READARR] Deleted book ${bookId} (deleteFiles: ${deleteFiles})`);
+    return { deleted: true, bookId, deleteFiles, addImportExclusion };
+}
+
 async function getReadarrBooks(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/book?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get books: ${response.statusText}`);
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/book`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to get books');
     return await response.json();
 }
 
 async function getReadarrAuthors(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/author?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get authors: ${response.statusText}`);
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/author`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to get authors');
     return await response.json();
 }
 
 async function lookupReadarrBook(baseUrl, apiKey, data) {
     const { term } = data || {};
-    if (!term) throw new Error('lookup_book requires "term"');
-    const response = await fetch(`${baseUrl}/api/v1/book/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`);
-    if (!response.ok) throw new Error(`Failed to lookup book: ${response.statusText}`);
+    if (!term) throw new ValidationError('lookup_book requires "term"', { service: 'readarr' });
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/book/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to lookup book');
     return await response.json();
 }
 
 async function lookupReadarrAuthor(baseUrl, apiKey, data) {
     const { term } = data || {};
-    if (!term) throw new Error('lookup_author requires "term"');
-    const response = await fetch(`${baseUrl}/api/v1/author/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`);
-    if (!response.ok) throw new Error(`Failed to lookup author: ${response.statusText}`);
+    if (!term) throw new ValidationError('lookup_author requires "term"', { service: 'readarr' });
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/author/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to lookup author');
     return await response.json();
 }
 
 async function lookupReadarrEdition(baseUrl, apiKey, data) {
     const { term } = data || {};
-    if (!term) throw new Error('lookup_edition requires "term"');
-    const response = await fetch(`${baseUrl}/api/v1/edition/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`);
-    if (!response.ok) throw new Error(`Failed to lookup edition: ${response.statusText}`);
+    if (!term) throw new ValidationError('lookup_edition requires "term"', { service: 'readarr' });
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/edition/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to lookup edition');
     return await response.json();
 }
 
 // ---- BookInfo.pro API Integration ----
 async function lookupBookInfoProBook(term) {
     try {
-        const response = await fetch(`https://api.bookinfo.pro/book?search=${encodeURIComponent(term)}`);
-        if (!response.ok) throw new Error(`BookInfo.pro API error: ${response.statusText}`);
+        const response = await upstreamFetch('bookinfo', `https://api.bookinfo.pro/book?search=${encodeURIComponent(term)}`);
+        if (!response.ok) throw await upstreamError('bookinfo', response, 'BookInfo.pro API error');
         
         const data = await response.json();
         if (!data || !data.results || data.results.length === 0) {
-            throw new Error('No results found in BookInfo.pro');
+            throw new NotFoundError('No results found in BookInfo.pro', { service: 'bookinfo' });
         }
         
         // Transform BookInfo.pro format to Readarr format
@@ -1367,19 +5075,19 @@ async function lookupBookInfoProBook(term) {
             }
         }));
     } catch (error) {
-        console.error('[BookInfo.pro] Error:', error);
+        log.error('[BookInfo.pro] Error:', error);
         throw error;
     }
 }
 
 async function lookupBookInfoProAuthor(term) {
     try {
-        const response = await fetch(`https://api.bookinfo.pro/author?search=${encodeURIComponent(term)}`);
-        if (!response.ok) throw new Error(`BookInfo.pro API error: ${response.statusText}`);
+        const response = await upstreamFetch('bookinfo', `https://api.bookinfo.pro/author?search=${encodeURIComponent(term)}`);
+        if (!response.ok) throw await upstreamError('bookinfo', response, 'BookInfo.pro API error');
         
         const data = await response.json();
         if (!data || !data.results || data.results.length === 0) {
-            throw new Error('No results found in BookInfo.pro');
+            throw new NotFoundError('No results found in BookInfo.pro', { service: 'bookinfo' });
         }
         
         // Transform BookInfo.pro format to Readarr format
@@ -1395,7 +5103,7 @@ async function lookupBookInfoProAuthor(term) {
             }
         }));
     } catch (error) {
-        console.error('[BookInfo.pro] Error:', error);
+        log.error('[BookInfo.pro] Error:', error);
         throw error;
     }
 }
@@ -1457,82 +5165,263 @@ function cleanupAuthorName(name, bookTitle) {
         const parts = s.split(',').map(x => x.trim()).filter(Boolean);
         if (parts.length >= 2) s = `${parts[1]} ${parts[0]}`.trim();
     }
-    return s;
-}
+    return s;
+}
+
+function pickBestAuthorMatch(results, candidate) {
+    const norm = v => String(v || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const cand = norm(candidate);
+    let best = null;
+    for (const r of results) {
+        const nm = r?.authorName || r?.name || '';
+        const n = norm(nm);
+        if (!n) continue;
+        if (n === cand) return r;
+        if (!best && (n.includes(cand) || cand.includes(n))) best = r;
+    }
+    return best || (Array.isArray(results) ? results[0] : null);
+}
+
+async function getReadarrQualityProfiles(baseUrl, apiKey) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/qualityprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to get quality profiles');
+    return await response.json();
+}
+
+async function getReadarrMetadataProfiles(baseUrl, apiKey) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/metadataprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to get metadata profiles');
+    return await response.json();
+}
+
+async function getReadarrRootFolders(baseUrl, apiKey) {
+    const response = await upstreamFetch('readarr', `${baseUrl}/api/${getServiceApiVersion('readarr')}/rootfolder`, { apiKey });
+    if (!response.ok) throw await upstreamError('readarr', response, 'Failed to get root folders');
+    return await response.json();
+}
+
+/**
+ * Handle Lidarr API requests
+ */
+async function handleLidarrRequest(action, data) {
+    const { baseUrl, apiKey } = resolveServiceInstance('lidarr', data);
+
+    switch (action) {
+        case 'add_artist':
+            return await addArtistToLidarr(baseUrl, apiKey, data);
+        case 'add_album':
+            return await addAlbumToLidarr(baseUrl, apiKey, data);
+        case 'lookup_artist':
+            return await lookupLidarrArtist(baseUrl, apiKey, data);
+        case 'lookup_album':
+            return await lookupLidarrAlbum(baseUrl, apiKey, data);
+        case 'get_artists':
+            return await getLidarrArtists(baseUrl, apiKey);
+        case 'get_albums':
+            return await getLidarrAlbums(baseUrl, apiKey);
+        case 'get_quality_profiles':
+            return await getLidarrQualityProfiles(baseUrl, apiKey);
+        case 'get_metadata_profiles':
+            return await getLidarrMetadataProfiles(baseUrl, apiKey);
+        case 'get_root_folders':
+            return await getLidarrRootFolders(baseUrl, apiKey);
+        case 'run_command':
+            return await runArrCommand('lidarr', baseUrl, apiKey, data);
+        case 'get_command':
+            return await getArrCommand('lidarr', baseUrl, apiKey, data.commandId);
+        case 'get_queue':
+        case 'get_history':
+        case 'get_calendar':
+        case 'get_wanted':
+            return await getArrActivity('lidarr', action.slice(4), baseUrl, apiKey, data);
+        default:
+            throw unknownActionError('lidarr', action);
+    }
+}
+
+/**
+ * Add artist to Lidarr using lookup workflow
+ */
+async function addArtistToLidarr(baseUrl, apiKey, data) {
+    const {
+        qualityProfileId,
+        metadataProfileId,
+        rootFolderPath,
+        monitored = true,
+        searchOnAdd = true,
+        artistMonitor = 'all',
+        updateMonitoring = false
+    } = data || {};
+    const mbId = data?.mbId || data?.foreignArtistId;
+
+    if (!mbId || !qualityProfileId || !rootFolderPath) {
+        throw new ValidationError('Missing required fields: mbId, qualityProfileId, rootFolderPath', { service: 'lidarr' });
+    }
+
+    // Step 0: Return the existing record instead of letting Lidarr reject a duplicate
+    const existingArtist = await findLidarrArtistByMbId(baseUrl, apiKey, mbId);
+    if (existingArtist) {
+        log.info(`[LIDARR] Artist ${mbId} already in library as ID ${existingArtist.id}`);
+        let artist = existingArtist;
+        if (updateMonitoring && existingArtist.monitored !== monitored) {
+            artist = await updateLidarrArtist(baseUrl, apiKey, { ...existingArtist, monitored });
+        }
+        return {
+            success: true,
+            status: 'exists',
+            artist,
+            message: `"${existingArtist.artistName}" is already in Lidarr${artist !== existingArtist ? ` (monitoring ${monitored ? 'enabled' : 'disabled'})` : ''}`
+        };
+    }
 
-function pickBestAuthorMatch(results, candidate) {
-    const norm = v => String(v || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
-    const cand = norm(candidate);
-    let best = null;
-    for (const r of results) {
-        const nm = r?.authorName || r?.name || '';
-        const n = norm(nm);
-        if (!n) continue;
-        if (n === cand) return r;
-        if (!best && (n.includes(cand) || cand.includes(n))) best = r;
+    // Step 1: Lookup artist details from MusicBrainz
+    log.info(`[LIDARR] Looking up artist MBID:${mbId}`);
+    const lookupResults = await lookupLidarrArtist(baseUrl, apiKey, { term: `lidarr:${mbId}` });
+    if (!Array.isArray(lookupResults) || lookupResults.length === 0) {
+        throw new NotFoundError(`Artist not found in MusicBrainz: ${mbId}`, { service: 'lidarr' });
     }
-    return best || (Array.isArray(results) ? results[0] : null);
-}
 
-async function getReadarrQualityProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/qualityprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get quality profiles: ${response.statusText}`);
-    return await response.json();
-}
+    const artistDetails = lookupResults.find(a => a.foreignArtistId === mbId) || lookupResults[0];
+    log.info(`[LIDARR] Found artist: ${artistDetails.artistName}`);
 
-async function getReadarrMetadataProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/metadataprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get metadata profiles: ${response.statusText}`);
-    return await response.json();
-}
+    let mpId = metadataProfileId;
+    if (!mpId) {
+        mpId = (await getLidarrDefaultProfileIds(baseUrl, apiKey)).metadataProfileId;
+    }
 
-async function getReadarrRootFolders(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/rootfolder?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get root folders: ${response.statusText}`);
-    return await response.json();
+    // Step 2: Add artist to Lidarr
+    const addPayload = {
+        artistName: artistDetails.artistName,
+        foreignArtistId: artistDetails.foreignArtistId,
+        images: artistDetails.images || [],
+        qualityProfileId: parseInt(qualityProfileId),
+        metadataProfileId: parseInt(mpId),
+        rootFolderPath: rootFolderPath,
+        monitored: monitored,
+        tags: data.tags || [],
+        addOptions: {
+            monitor: artistMonitor,
+            searchForMissingAlbums: searchOnAdd
+        }
+    };
+
+    log.debug('[LIDARR] Adding artist with payload:', JSON.stringify(addPayload, null, 2));
+
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('lidarr')}/artist`;
+    const addResponse = await upstreamFetch('lidarr', addUrl, {
+        apiKey,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(addPayload)
+    });
+
+    if (!addResponse.ok) {
+        throw await upstreamError('lidarr', addResponse, 'Failed to add artist', { mbId });
+    }
+
+    const addedArtist = await addResponse.json();
+    const artistName = addedArtist.artistName || artistDetails.artistName || 'Unknown Artist';
+
+    return {
+        success: true,
+        status: 'added',
+        artist: addedArtist,
+        message: `Successfully added "${artistName}" to Lidarr${searchOnAdd ? ' and triggered search' : ''}`
+    };
 }
 
 /**
+ * Add album to Lidarr, creating its parent artist first when it is not in the library
  */
 async function addAlbumToLidarr(baseUrl, apiKey, data) {
     const { mbId, qualityProfileId, metadataProfileId, rootFolderPath, monitored = true, searchOnAdd = true } = data;
     
     if (!mbId || !qualityProfileId || !rootFolderPath) {
-        throw new Error('Missing required fields: mbId, qualityProfileId, rootFolderPath');
+        throw new ValidationError('Missing required fields: mbId, qualityProfileId, rootFolderPath', { service: 'lidarr' });
     }
 
-    console.log(`[LIDARR] Looking up album MBID:${mbId}`);
-    const lookupUrl = `${baseUrl}/api/v1/album/lookup?apikey=${apiKey}&term=mbid:${mbId}`;
+    log.info(`[LIDARR] Looking up album MBID:${mbId}`);
+    const lookupUrl = `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album/lookup?term=mbid:${mbId}`;
     
-    const lookupResponse = await fetch(lookupUrl);
+    const lookupResponse = await upstreamFetch('lidarr', lookupUrl, { apiKey });
     if (!lookupResponse.ok) {
-        throw new Error(`Album lookup failed: ${lookupResponse.status} ${lookupResponse.statusText}`);
+        throw await upstreamError('lidarr', lookupResponse, 'Album lookup failed');
     }
     
     const lookupResults = await lookupResponse.json();
     if (!Array.isArray(lookupResults) || lookupResults.length === 0) {
-        throw new Error(`Album not found in MusicBrainz: ${mbId}`);
+        throw new NotFoundError(`Album not found in MusicBrainz: ${mbId}`, { service: 'lidarr' });
     }
 
     const albumDetails = lookupResults[0];
-    console.log(`[LIDARR] Found album: ${albumDetails.title}`);
+    log.info(`[LIDARR] Found album: ${albumDetails.title}`);
+
+    // Lidarr lists every album of a library artist, so the album may already be there unmonitored
+    const existingAlbum = await findLidarrAlbumByForeignId(baseUrl, apiKey, albumDetails.foreignAlbumId);
+    if (existingAlbum) {
+        log.info(`[LIDARR] Album ${mbId} already in library as ID ${existingAlbum.id}`);
+        return await monitorExistingLidarrAlbum(baseUrl, apiKey, existingAlbum, { monitored, searchOnAdd });
+    }
+
+    let mpId = metadataProfileId;
+    if (!mpId) {
+        mpId = (await getLidarrDefaultProfileIds(baseUrl, apiKey)).metadataProfileId;
+    }
+
+    // Lidarr rejects albums whose artist is not in the library, so add the artist first
+    const artistMbId = albumDetails.artist?.foreignArtistId || albumDetails.foreignArtistId;
+    if (!artistMbId) {
+        throw new NotFoundError(`Album lookup did not return an artist for MBID: ${mbId}`, { service: 'lidarr' });
+    }
+
+    let artist = await findLidarrArtistByMbId(baseUrl, apiKey, artistMbId);
+
+    if (!artist) {
+        log.info(`[LIDARR] Artist ${artistMbId} missing from library, adding it before the album`);
+        const artistResult = await addArtistToLidarr(baseUrl, apiKey, {
+            mbId: artistMbId,
+            qualityProfileId,
+            metadataProfileId: mpId,
+            rootFolderPath,
+            monitored,
+            // Only the requested album should be monitored and searched
+            artistMonitor: 'none',
+            searchOnAdd: false
+        });
+        artist = artistResult.artist;
+
+        // Adding the artist usually brings its albums with it; monitor ours instead of posting a duplicate
+        const addedWithArtist = await findLidarrAlbumByForeignId(baseUrl, apiKey, albumDetails.foreignAlbumId);
+        if (addedWithArtist) {
+            log.info(`[LIDARR] Album ${mbId} arrived with its artist as ID ${addedWithArtist.id}`);
+            const result = await monitorExistingLidarrAlbum(baseUrl, apiKey, addedWithArtist, { monitored, searchOnAdd });
+            return { ...result, status: 'added' };
+        }
+    } else {
+        log.info(`[LIDARR] Artist already in library: ${artist.artistName}`);
+    }
 
     const addPayload = {
         title: albumDetails.title,
         foreignAlbumId: albumDetails.foreignAlbumId,
+        artistId: artist.id,
+        artist: artist,
         qualityProfileId: parseInt(qualityProfileId),
-        metadataProfileId: parseInt(metadataProfileId),
+        metadataProfileId: parseInt(mpId),
         rootFolderPath: rootFolderPath,
         monitored: monitored,
         addOptions: {
-            searchForMissingAlbums: searchOnAdd
+            searchForNewAlbum: searchOnAdd
         }
     };
 
-    console.log('[LIDARR] Adding album with payload:', JSON.stringify(addPayload, null, 2));
+    log.debug('[LIDARR] Adding album with payload:', JSON.stringify(addPayload, null, 2));
 
-    const addUrl = `${baseUrl}/api/v1/album?apikey=${apiKey}`;
-    const addResponse = await fetch(addUrl, {
+    const addUrl = `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album`;
+    const addResponse = await upstreamFetch('lidarr', addUrl, {
+        apiKey,
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
@@ -1541,8 +5430,7 @@ async function addAlbumToLidarr(baseUrl, apiKey, data) {
     });
 
     if (!addResponse.ok) {
-        const errorText = await addResponse.text();
-        throw new Error(`Failed to add album: ${addResponse.status} ${addResponse.statusText} - ${errorText}`);
+        throw await upstreamError('lidarr', addResponse, 'Failed to add album', { mbId });
     }
 
     const lidarrResponse = await addResponse.json();
@@ -1553,7 +5441,7 @@ async function addAlbumToLidarr(baseUrl, apiKey, data) {
     if (Array.isArray(lidarrResponse)) {
         addedAlbum = lidarrResponse.find(album => album.foreignAlbumId === albumDetails.foreignAlbumId);
         if (!addedAlbum) {
-            throw new Error(`Album with MBID ${mbId} was not found in Lidarr library after addition attempt`);
+            throw new UpstreamError(`Album with MBID ${mbId} was not found in Lidarr library after addition attempt`, { service: 'lidarr' });
         }
         albumTitle = addedAlbum.title || 'Unknown Album';
     } else {
@@ -1563,15 +5451,103 @@ async function addAlbumToLidarr(baseUrl, apiKey, data) {
     
     return {
         success: true,
+        status: 'added',
         album: addedAlbum,
         message: `Successfully added "${albumTitle}" to Lidarr${searchOnAdd ? ' and triggered search' : ''}`
     };
 }
 
 /**
+ * Monitor (and optionally search for) an album already listed in the library. It counts as added
+ * when it wasn't monitored before; a failed search is reported as a warning since the album is kept.
+ */
+async function monitorExistingLidarrAlbum(baseUrl, apiKey, album, { monitored, searchOnAdd }) {
+    if (album.monitored || !monitored) {
+        return {
+            success: true,
+            status: 'exists',
+            album,
+            message: `"${album.title}" is already in Lidarr`
+        };
+    }
+
+    await setLidarrAlbumsMonitored(baseUrl, apiKey, [album.id], true);
+    let searchWarning;
+    if (searchOnAdd) {
+        try {
+            await runArrCommand('lidarr', baseUrl, apiKey, { name: 'AlbumSearch', albumIds: [album.id] });
+        } catch (searchError) {
+            log.error('[LIDARR] Error triggering album search:', searchError);
+            searchWarning = `Album is monitored, but search could not be triggered: ${searchError.message}`;
+        }
+    }
+    return {
+        success: true,
+        status: 'added',
+        album: { ...album, monitored: true },
+        ...(searchWarning && { searchWarning }),
+        message: `Monitored "${album.title}" in Lidarr${searchOnAdd && !searchWarning ? ' and triggered search' : ''}`
+    };
+}
+
+// ---- Lidarr helpers ----
+async function findLidarrArtistByMbId(baseUrl, apiKey, mbId) {
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/artist?mbId=${encodeURIComponent(mbId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to check library for artist', { mbId });
+    const artists = await response.json();
+    // Filter again in case the mbId parameter is ignored and the whole library comes back
+    return (Array.isArray(artists) ? artists : []).find(a => a.foreignArtistId === mbId) || null;
+}
+
+async function findLidarrAlbumByForeignId(baseUrl, apiKey, foreignAlbumId) {
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album?foreignAlbumId=${encodeURIComponent(foreignAlbumId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to check library for album', { foreignAlbumId });
+    const albums = await response.json();
+    return (Array.isArray(albums) ? albums : []).find(a => a.foreignAlbumId === foreignAlbumId) || null;
+}
+
+async function updateLidarrArtist(baseUrl, apiKey, artist) {
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/artist/${artist.id}`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(artist)
+    });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to update artist', { artistId: artist.id });
+    return await response.json();
+}
+
+async function setLidarrAlbumsMonitored(baseUrl, apiKey, albumIds, monitored) {
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album/monitor`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ albumIds, monitored })
+    });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to update album monitoring', { albumIds });
+    return await response.json().catch(() => null);
+}
+
+async function getLidarrDefaultProfileIds(baseUrl, apiKey) {
+    const [qps, mps] = await Promise.all([
+        getLidarrQualityProfiles(baseUrl, apiKey),
+        getLidarrMetadataProfiles(baseUrl, apiKey)
+    ]);
+    if (!Array.isArray(qps) || qps.length === 0) {
+        throw new ConfigurationError('No Lidarr quality profiles available', { service: 'lidarr' });
+    }
+    if (!Array.isArray(mps) || mps.length === 0) {
+        throw new ConfigurationError('No Lidarr metadata profiles available', { service: 'lidarr' });
+    }
+    return { qualityProfileId: qps[0].id, metadataProfileId: mps[0].id };
+}
+
+/**
+ * Get Lidarr artists
+ */
 async function getLidarrArtists(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/artist?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get artists: ${response.statusText}`);
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/artist`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to get artists');
     return await response.json();
 }
 
@@ -1579,8 +5555,8 @@ async function getLidarrArtists(baseUrl, apiKey) {
  * Get Lidarr albums
  */
 async function getLidarrAlbums(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/album?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get albums: ${response.statusText}`);
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to get albums');
     return await response.json();
 }
 
@@ -1588,8 +5564,8 @@ async function getLidarrAlbums(baseUrl, apiKey) {
  * Get Lidarr quality profiles
  */
 async function getLidarrQualityProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/qualityprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get quality profiles: ${response.statusText}`);
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/qualityprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to get quality profiles');
     return await response.json();
 }
 
@@ -1597,8 +5573,8 @@ async function getLidarrQualityProfiles(baseUrl, apiKey) {
  * Get Lidarr metadata profiles
  */
 async function getLidarrMetadataProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/metadataprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get metadata profiles: ${response.statusText}`);
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/metadataprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to get metadata profiles');
     return await response.json();
 }
 
@@ -1606,8 +5582,8 @@ async function getLidarrMetadataProfiles(baseUrl, apiKey) {
  * Get Lidarr root folders
  */
 async function getLidarrRootFolders(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v1/rootfolder?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get root folders: ${response.statusText}`);
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/rootfolder`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to get root folders');
     return await response.json();
 }
 
@@ -1616,9 +5592,9 @@ async function getLidarrRootFolders(baseUrl, apiKey) {
  */
 async function lookupLidarrArtist(baseUrl, apiKey, data) {
     const { term } = data || {};
-    if (!term) throw new Error('lookup_artist requires "term"');
-    const response = await fetch(`${baseUrl}/api/v1/artist/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`);
-    if (!response.ok) throw new Error(`Failed to lookup artist: ${response.statusText}`);
+    if (!term) throw new ValidationError('lookup_artist requires "term"', { service: 'lidarr' });
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/artist/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to lookup artist');
     return await response.json();
 }
 
@@ -1627,28 +5603,37 @@ async function lookupLidarrArtist(baseUrl, apiKey, data) {
  */
 async function lookupLidarrAlbum(baseUrl, apiKey, data) {
     const { term } = data || {};
-    if (!term) throw new Error('lookup_album requires "term"');
-    const response = await fetch(`${baseUrl}/api/v1/album/lookup?apikey=${apiKey}&term=${encodeURIComponent(term)}`);
-    if (!response.ok) throw new Error(`Failed to lookup album: ${response.statusText}`);
+    if (!term) throw new ValidationError('lookup_album requires "term"', { service: 'lidarr' });
+    const response = await upstreamFetch('lidarr', `${baseUrl}/api/${getServiceApiVersion('lidarr')}/album/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('lidarr', response, 'Failed to lookup album');
     return await response.json();
 }
 
 /**
  * Handle Overseerr API requests
-    const baseUrl = process.env.OVERSEERR_URL;
-    const apiKey = process.env.OVERSEERR_API_KEY;
-    
-    if (!baseUrl || !apiKey) {
-        throw new Error('Overseerr configuration missing');
-    }
+ */
+async function handleOverseerrRequest(action, data) {
+    const { baseUrl, apiKey } = resolveServiceInstance('overseerr', data);
 
     switch (action) {
         case 'request_movie':
             return await requestOverseerrMovie(baseUrl, apiKey, data);
         case 'request_series':
             return await requestOverseerrSeries(baseUrl, apiKey, data);
+        case 'list_requests':
+            return await listOverseerrRequests(baseUrl, apiKey, data);
+        case 'approve_request':
+            return await updateOverseerrRequestStatus(baseUrl, apiKey, data, 'approve');
+        case 'decline_request':
+            return await updateOverseerrRequestStatus(baseUrl, apiKey, data, 'decline');
+        case 'delete_request':
+            return await deleteOverseerrRequest(baseUrl, apiKey, data);
+        case 'get_media_status':
+            return await getOverseerrMediaStatus(baseUrl, apiKey, data);
+        case 'search':
+            return await searchOverseerr(baseUrl, apiKey, data);
         default:
-            throw new Error(`Unknown Overseerr action: ${action}`);
+            throw unknownActionError('overseerr', action);
     }
 }
 
@@ -1656,73 +5641,502 @@ async function lookupLidarrAlbum(baseUrl, apiKey, data) {
  * Simple fetch wrapper for API calls
  */
 async function getRadarrMovies(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/movie?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get movies: ${response.statusText}`);
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to get movies');
+    return await response.json();
+}
+
+async function lookupRadarrMovies(baseUrl, apiKey, term) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Movie lookup failed', { term });
+    const results = await response.json();
+    return Array.isArray(results) ? results : [];
+}
+
+async function findRadarrMovieByTmdbId(baseUrl, apiKey, tmdbId) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie?tmdbId=${encodeURIComponent(tmdbId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to check library for movie', { tmdbId });
+    const movies = await response.json();
+    // Older Radarr builds ignore the tmdbId filter and return the whole library
+    return (Array.isArray(movies) ? movies : []).find(m => m.tmdbId === parseInt(tmdbId)) || null;
+}
+
+async function getRadarrMovie(baseUrl, apiKey, movieId) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/${encodeURIComponent(movieId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, `Movie ${movieId} not found`, { movieId });
+    return await response.json();
+}
+
+async function updateRadarrMovie(baseUrl, apiKey, movie, { moveFiles = false } = {}) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/${movie.id}?moveFiles=${moveFiles}`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(movie)
+    });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to update movie', { movieId: movie.id });
     return await response.json();
 }
 
+async function deleteRadarrMovie(baseUrl, apiKey, { movieId, deleteFiles = false, addImportExclusion = false }) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/${encodeURIComponent(movieId)}?deleteFiles=${deleteFiles}&addImportExclusion=${addImportExclusion}`, {
+        apiKey,
+        method: 'DELETE'
+    });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to delete movie', { movieId });
+    log.info(`[RADARR] Deleted movie ${movieId} (deleteFiles: ${deleteFiles})`);
+    return { deleted: true, movieId, deleteFiles, addImportExclusion };
+}
+
+async function setRadarrMoviesMonitored(baseUrl, apiKey, movieIds, monitored) {
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/movie/editor`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ movieIds, monitored })
+    });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to update movie monitoring', { movieIds });
+    return { movieIds, monitored };
+}
+
 async function getRadarrQualityProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/qualityprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get quality profiles: ${response.statusText}`);
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/qualityprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to get quality profiles');
     return await response.json();
 }
 
 async function getRadarrRootFolders(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/rootfolder?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get root folders: ${response.statusText}`);
+    const response = await upstreamFetch('radarr', `${baseUrl}/api/${getServiceApiVersion('radarr')}/rootfolder`, { apiKey });
+    if (!response.ok) throw await upstreamError('radarr', response, 'Failed to get root folders');
     return await response.json();
 }
 
 async function getSonarrSeries(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/series?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get series: ${response.statusText}`);
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to get series');
+    return await response.json();
+}
+
+async function lookupSonarrSeries(baseUrl, apiKey, term) {
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series/lookup?term=${encodeURIComponent(term)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Series lookup failed', { term });
+    const results = await response.json();
+    return Array.isArray(results) ? results : [];
+}
+
+async function findSonarrSeriesByTvdbId(baseUrl, apiKey, tvdbId) {
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series?tvdbId=${encodeURIComponent(tvdbId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to check library for series', { tvdbId });
+    const series = await response.json();
+    return (Array.isArray(series) ? series : []).find(s => s.tvdbId === parseInt(tvdbId)) || null;
+}
+
+async function getSonarrSeriesById(baseUrl, apiKey, seriesId) {
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series/${encodeURIComponent(seriesId)}`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, `Series ${seriesId} not found`, { seriesId });
+    return await response.json();
+}
+
+async function updateSonarrSeries(baseUrl, apiKey, series, { moveFiles = false } = {}) {
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series/${series.id}?moveFiles=${moveFiles}`, {
+        apiKey,
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(series)
+    });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to update series', { seriesId: series.id });
     return await response.json();
 }
 
+async function deleteSonarrSeries(baseUrl, apiKey, { seriesId, deleteFiles = false, addImportExclusion = false }) {
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/series/${encodeURIComponent(seriesId)}?deleteFiles=${deleteFiles}&addImportListExclusion=${addImportExclusion}`, {
+        apiKey,
+        method: 'DELETE'
+    });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to delete series', { seriesId });
+    log.info(`[SONARR] Deleted series ${seriesId} (deleteFiles: ${deleteFiles})`);
+    return { deleted: true, seriesId, deleteFiles, addImportExclusion };
+}
+
+/**
+ * Toggle monitoring on a whole series, a single season, or a list of episodes
+ */
+async function setSonarrMonitored(baseUrl, apiKey, data) {
+    const { target, seriesId, seasonNumber, episodeIds, monitored } = data;
+
+    if (target === 'episode') {
+        if (!Array.isArray(episodeIds) || episodeIds.length === 0) {
+            throw new ValidationError('set_monitored on episodes requires "episodeIds"', { service: 'sonarr' });
+        }
+        const ids = episodeIds.map(id => parseInt(id));
+        const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/episode/monitor`, {
+            apiKey,
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ episodeIds: ids, monitored })
+        });
+        if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to update episode monitoring', { episodeIds: ids });
+        return { episodeIds: ids, monitored };
+    }
+
+    if (!seriesId) throw new ValidationError(`set_monitored on a ${target} requires "seriesId"`, { service: 'sonarr' });
+    const series = await getSonarrSeriesById(baseUrl, apiKey, seriesId);
+
+    if (target === 'season') {
+        if (seasonNumber === undefined) throw new ValidationError('set_monitored on a season requires "seasonNumber"', { service: 'sonarr' });
+        if (!(series.seasons || []).some(s => s.seasonNumber === seasonNumber)) {
+            throw new NotFoundError(`Series ${seriesId} has no season ${seasonNumber}`, { service: 'sonarr', details: { seriesId, seasonNumber } });
+        }
+        const seasons = series.seasons.map(s => (s.seasonNumber === seasonNumber ? { ...s, monitored } : s));
+        return await updateSonarrSeries(baseUrl, apiKey, { ...series, seasons });
+    }
+
+    return await updateSonarrSeries(baseUrl, apiKey, { ...series, monitored });
+}
+
 async function getSonarrQualityProfiles(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/qualityprofile?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get quality profiles: ${response.statusText}`);
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/qualityprofile`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to get quality profiles');
     return await response.json();
 }
 
 async function getSonarrRootFolders(baseUrl, apiKey) {
-    const response = await fetch(`${baseUrl}/api/v3/rootfolder?apikey=${apiKey}`);
-    if (!response.ok) throw new Error(`Failed to get root folders: ${response.statusText}`);
+    const response = await upstreamFetch('sonarr', `${baseUrl}/api/${getServiceApiVersion('sonarr')}/rootfolder`, { apiKey });
+    if (!response.ok) throw await upstreamError('sonarr', response, 'Failed to get root folders');
     return await response.json();
 }
 
+// ---- Overseerr helpers ----
+// Overseerr numeric enums, mapped to names so the frontend doesn't need to know them
+const OVERSEERR_REQUEST_STATUS = { 1: 'pending', 2: 'approved', 3: 'declined', 4: 'failed', 5: 'completed' };
+const OVERSEERR_MEDIA_STATUS = { 1: 'unknown', 2: 'pending', 3: 'processing', 4: 'partially_available', 5: 'available', 6: 'deleted' };
+
+async function overseerrFetch(baseUrl, apiKey, path, options = {}) {
+    const response = await upstreamFetch('overseerr', `${baseUrl}/api/${getServiceApiVersion('overseerr')}${path}`, {
+        ...options,
+        apiKey,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.headers || {})
+        }
+    });
+    if (!response.ok) {
+        throw await upstreamError('overseerr', response, `Overseerr ${options.method || 'GET'} ${path.split('?')[0]} failed`);
+    }
+    if (response.status === 204) return null;
+    return await response.json().catch(() => null);
+}
+
+function normalizeOverseerrRequest(req) {
+    const media = req?.media || {};
+    return {
+        id: req?.id,
+        type: req?.type || media.mediaType,
+        status: OVERSEERR_REQUEST_STATUS[req?.status] || 'unknown',
+        mediaStatus: OVERSEERR_MEDIA_STATUS[req?.is4k ? media.status4k : media.status] || 'unknown',
+        is4k: !!req?.is4k,
+        tmdbId: media.tmdbId,
+        tvdbId: media.tvdbId,
+        seasons: Array.isArray(req?.seasons) ? req.seasons.map(s => s.seasonNumber) : [],
+        requestedBy: req?.requestedBy?.displayName || req?.requestedBy?.email,
+        modifiedBy: req?.modifiedBy?.displayName || req?.modifiedBy?.email,
+        createdAt: req?.createdAt,
+        updatedAt: req?.updatedAt
+    };
+}
+
+function requireOverseerrRequestId(data) {
+    const requestId = parseInt(data?.requestId ?? data?.id);
+    if (!requestId) throw new ValidationError('Missing required field: requestId', { service: 'overseerr' });
+    return requestId;
+}
+
 async function requestOverseerrMovie(baseUrl, apiKey, data) {
-    const { tmdbId } = data;
-    const response = await fetch(`${baseUrl}/api/v1/request`, {
+    const { tmdbId, is4k = false } = data;
+    const response = await upstreamFetch('overseerr', `${baseUrl}/api/${getServiceApiVersion('overseerr')}/request`, {
+        apiKey,
         method: 'POST',
         headers: {
-            'Content-Type': 'application/json',
-            'X-API-Key': apiKey
+            'Content-Type': 'application/json'
         },
         body: JSON.stringify({
             mediaType: 'movie',
-            mediaId: parseInt(tmdbId)
+            mediaId: parseInt(tmdbId),
+            is4k: !!is4k
         })
     });
     
-    if (!response.ok) throw new Error(`Failed to request movie: ${response.statusText}`);
+    if (!response.ok) throw await upstreamError('overseerr', response, 'Failed to request movie');
     return await response.json();
 }
 
 async function requestOverseerrSeries(baseUrl, apiKey, data) {
-    const { tvdbId } = data;
-    const response = await fetch(`${baseUrl}/api/v1/request`, {
+    const { tmdbId, tvdbId, seasons, is4k = false } = data;
+    // Overseerr keys TV requests by TMDB id; a TVDB id posted as mediaId would request an unrelated show
+    if (!tmdbId) throw new ValidationError('Missing required field: tmdbId', { service: 'overseerr' });
+    const payload = {
+        mediaType: 'tv',
+        mediaId: parseInt(tmdbId),
+        is4k: !!is4k,
+        // Accept [1, 2], [{ seasonNumber: 1 }] or 'all'
+        seasons: Array.isArray(seasons) && seasons.length > 0
+            ? seasons.map(s => parseInt(typeof s === 'object' ? s.seasonNumber : s)).filter(n => !isNaN(n))
+            : 'all'
+    };
+    if (tvdbId) {
+        payload.tvdbId = parseInt(tvdbId);
+    }
+    const response = await upstreamFetch('overseerr', `${baseUrl}/api/${getServiceApiVersion('overseerr')}/request`, {
+        apiKey,
         method: 'POST',
         headers: {
-            'Content-Type': 'application/json',
-            'X-API-Key': apiKey
+            'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-            mediaType: 'tv',
-            mediaId: parseInt(tvdbId)
-        })
+        body: JSON.stringify(payload)
     });
     
-    if (!response.ok) throw new Error(`Failed to request series: ${response.statusText}`);
+    if (!response.ok) throw await upstreamError('overseerr', response, 'Failed to request series');
     return await response.json();
 }
+
+async function listOverseerrRequests(baseUrl, apiKey, data) {
+    const { filter = 'all', sort = 'added', take = 20, skip = 0, requestedBy } = data || {};
+    if (!OVERSEERR_REQUEST_FILTERS.includes(filter)) {
+        throw new ValidationError(`Invalid Overseerr request filter: ${filter}. Valid filters are: ${OVERSEERR_REQUEST_FILTERS.join(', ')}`, { service: 'overseerr' });
+    }
+    const params = new URLSearchParams({
+        filter,
+        sort,
+        take: String(parseInt(take) || 20),
+        skip: String(parseInt(skip) || 0)
+    });
+    if (requestedBy) params.set('requestedBy', String(requestedBy));
+
+    const json = await overseerrFetch(baseUrl, apiKey, `/request?${params.toString()}`);
+    return {
+        pageInfo: json?.pageInfo || {},
+        requests: (json?.results || []).map(normalizeOverseerrRequest)
+    };
+}
+
+async function updateOverseerrRequestStatus(baseUrl, apiKey, data, status) {
+    const requestId = requireOverseerrRequestId(data);
+    log.info(`[OVERSEERR] Setting request ${requestId} to ${status}`);
+    const json = await overseerrFetch(baseUrl, apiKey, `/request/${requestId}/${status}`, { method: 'POST' });
+    return {
+        success: true,
+        request: normalizeOverseerrRequest(json),
+        message: `Request ${requestId} ${status === 'approve' ? 'approved' : 'declined'}`
+    };
+}
+
+async function deleteOverseerrRequest(baseUrl, apiKey, data) {
+    const requestId = requireOverseerrRequestId(data);
+    log.info(`[OVERSEERR] Deleting request ${requestId}`);
+    await overseerrFetch(baseUrl, apiKey, `/request/${requestId}`, { method: 'DELETE' });
+    return {
+        success: true,
+        requestId,
+        message: `Request ${requestId} deleted`
+    };
+}
+
+async function getOverseerrMediaStatus(baseUrl, apiKey, data) {
+    const { tmdbId, mediaType = 'movie' } = data || {};
+    if (!tmdbId) throw new ValidationError('Missing required field: tmdbId', { service: 'overseerr' });
+    if (mediaType !== 'movie' && mediaType !== 'tv') {
+        throw new ValidationError(`Invalid mediaType: ${mediaType}. Expected "movie" or "tv"`, { service: 'overseerr' });
+    }
+
+    const details = await overseerrFetch(baseUrl, apiKey, `/${mediaType}/${parseInt(tmdbId)}`);
+    const mediaInfo = details?.mediaInfo || {};
+    return {
+        tmdbId: parseInt(tmdbId),
+        mediaType,
+        title: details?.title || details?.name,
+        status: OVERSEERR_MEDIA_STATUS[mediaInfo.status] || 'unknown',
+        status4k: OVERSEERR_MEDIA_STATUS[mediaInfo.status4k] || 'unknown',
+        seasons: Array.isArray(mediaInfo.seasons)
+            ? mediaInfo.seasons.map(s => ({
+                seasonNumber: s.seasonNumber,
+                status: OVERSEERR_MEDIA_STATUS[s.status] || 'unknown',
+                status4k: OVERSEERR_MEDIA_STATUS[s.status4k] || 'unknown'
+            }))
+            : [],
+        requests: Array.isArray(mediaInfo.requests) ? mediaInfo.requests.map(normalizeOverseerrRequest) : []
+    };
+}
+
+async function searchOverseerr(baseUrl, apiKey, data) {
+    const term = data?.term || data?.query;
+    if (!term) throw new ValidationError('Search term is required', { service: 'overseerr' });
+    const page = parseInt(data?.page) || 1;
+
+    // Overseerr rejects reserved characters that encodeURIComponent leaves alone
+    const query = encodeURIComponent(term).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    const json = await overseerrFetch(baseUrl, apiKey, `/search?query=${query}&page=${page}`);
+    return {
+        page: json?.page || page,
+        totalPages: json?.totalPages,
+        totalResults: json?.totalResults,
+        results: (json?.results || [])
+            .filter(r => r.mediaType === 'movie' || r.mediaType === 'tv')
+            .map(r => ({
+                mediaType: r.mediaType,
+                tmdbId: r.id,
+                title: r.title || r.name,
+                year: deriveYear(r.releaseDate || r.firstAirDate),
+                overview: r.overview,
+                posterUrl: r.posterPath ? `https://image.tmdb.org/t/p/w500${r.posterPath}` : undefined,
+                status: OVERSEERR_MEDIA_STATUS[r.mediaInfo?.status] || 'unknown'
+            }))
+    };
+}
+
+// ---- Watchlist import ----
+// Parses Letterboxd/IMDb CSV and Trakt/generic JSON exports (see lib/import.js), resolves each row to a
+// tmdbId/tvdbId through Radarr/Sonarr lookups, then adds matches via the normal add actions.
+
+/**
+ * Handle watchlist import requests
+ */
+async function handleImportRequest(action, data, context) {
+    switch (action) {
+        case 'import_list':
+            return await importWatchlist(data, context);
+        default:
+            throw unknownActionError('import', action);
+    }
+}
+
+async function resolveImportRow(row, services, context) {
+    const isSeries = row.mediaType === 'series';
+    const idField = isSeries ? 'tvdbId' : 'tmdbId';
+    const base = { row: row.row, title: row.title, year: row.year, mediaType: row.mediaType };
+
+    if (row[idField]) {
+        return { ...base, status: 'matched', [idField]: row[idField], resolvedBy: idField };
+    }
+    if (!row.title && !row.imdbId) {
+        return { ...base, status: 'unmatched', reason: 'Row has no title or id' };
+    }
+
+    const config = isSeries ? services.sonarr : services.radarr;
+    if (!config) {
+        return { ...base, status: 'unmatched', reason: `${isSeries ? 'Sonarr' : 'Radarr'} is not configured` };
+    }
+    const lookup = isSeries ? lookupSonarrSeries : lookupRadarrMovies;
+
+    try {
+        // IMDb ids resolve exactly, so prefer them over title matching
+        if (row.imdbId) {
+            await enforceRateLimit(context.rateLimitClient, 'import', 'import_list');
+            const byImdb = await lookup(config.baseUrl, config.apiKey, `imdb:${row.imdbId}`);
+            const hit = byImdb.find(r => r.imdbId === row.imdbId) || (byImdb.length === 1 ? byImdb[0] : null);
+            if (hit && hit[idField]) {
+                return { ...base, status: 'matched', [idField]: hit[idField], resolvedBy: 'imdbId', match: summarizeCandidate(hit, row.mediaType) };
+            }
+        }
+
+        await enforceRateLimit(context.rateLimitClient, 'import', 'import_list');
+        const results = await lookup(config.baseUrl, config.apiKey, row.title);
+        const outcome = matchLookupResults(row, results);
+        if (outcome.status === 'matched') {
+            return { ...base, status: 'matched', [idField]: outcome.match[idField], resolvedBy: 'title', match: summarizeCandidate(outcome.match, row.mediaType) };
+        }
+        if (outcome.status === 'ambiguous') {
+            return { ...base, status: 'ambiguous', candidates: outcome.candidates.map(c => summarizeCandidate(c, row.mediaType)) };
+        }
+        return { ...base, status: 'unmatched', suggestions: outcome.suggestions.map(c => summarizeCandidate(c, row.mediaType)) };
+    } catch (error) {
+        const proxyError = normalizeError(error, isSeries ? 'sonarr' : 'radarr');
+        return { ...base, status: 'unmatched', reason: proxyError.message, code: proxyError.code };
+    }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Parse, resolve and (unless dryRun) add a chunk of watchlist rows
+ */
+async function importWatchlist(data, context) {
+    const { content, format, source, mediaType, dryRun, offset, limit, concurrency } = data;
+    let parsed;
+    try {
+        parsed = parseWatchlistExport(content, { format, source, mediaType });
+    } catch (error) {
+        if (error instanceof ImportFormatError) {
+            throw new ValidationError(error.message, { service: 'import', code: 'INVALID_IMPORT' });
+        }
+        throw error;
+    }
+    const chunk = parsed.rows.slice(offset, offset + limit);
+
+    const services = {
+        radarr: getConfiguredService('radarr'),
+        sonarr: getConfiguredService('sonarr')
+    };
+
+    log.info(`[IMPORT] ${parsed.source} ${parsed.format} export: ${parsed.rows.length} rows, processing ${chunk.length} from offset ${offset}${dryRun ? ' (dry run)' : ''}`);
+    const resolved = await mapWithConcurrency(chunk, concurrency, row => resolveImportRow(row, services, context));
+
+    if (!dryRun) {
+        const matched = resolved.filter(r => r.status === 'matched');
+        const missingOptions = [];
+        if (matched.some(r => r.mediaType === 'movie') && !data.radarr) missingOptions.push('radarr');
+        if (matched.some(r => r.mediaType === 'series') && !data.sonarr) missingOptions.push('sonarr');
+        if (missingOptions.length > 0) {
+            throw new ValidationError(`Import needs add options for: ${missingOptions.join(', ')}`, {
+                service: 'import',
+                details: { missing: missingOptions }
+            });
+        }
+
+        // Adds go through the same validation and policy checks as direct add_movie/add_series calls
+        await mapWithConcurrency(matched, concurrency, async row => {
+            const operation = row.mediaType === 'series'
+                ? { service: 'sonarr', action: 'add_series', data: { ...data.sonarr, tvdbId: row.tvdbId } }
+                : { service: 'radarr', action: 'add_movie', data: { ...data.radarr, tmdbId: row.tmdbId } };
+            const outcome = await runBatchOperation(operation, row.row, context);
+            row.addStatus = outcome.status;
+            if (outcome.status === 'failed') {
+                row.addError = { code: outcome.code, error: outcome.error };
+            }
+        });
+    }
+
+    const count = status => resolved.filter(r => r.status === status).length;
+    const nextOffset = offset + chunk.length < parsed.rows.length ? offset + chunk.length : null;
+    return {
+        source: parsed.source,
+        format: parsed.format,
+        dryRun,
+        totalRows: parsed.rows.length,
+        offset,
+        nextOffset,
+        matched: count('matched'),
+        ambiguous: count('ambiguous'),
+        unmatched: count('unmatched'),
+        ...(dryRun ? {} : {
+            added: resolved.filter(r => r.addStatus === 'success').length,
+            exists: resolved.filter(r => r.addStatus === 'exists').length,
+            failed: resolved.filter(r => r.addStatus === 'failed').length
+        }),
+        rows: resolved
+    };
+}
+
+// Validate service and CORS configuration at cold start so problems show up before the first request
+getServiceRegistry();
+getCorsConfig();
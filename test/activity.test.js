@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key',
+    LIDARR_URL: 'http://lidarr:8686',
+    LIDARR_API_KEY: 'lidarr-key'
+};
+
+test('queue items carry progress, ETA and status messages', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({
+        page: 1,
+        pageSize: 50,
+        totalRecords: 1,
+        records: [{
+            id: 77,
+            movieId: 12,
+            movie: { id: 12, title: 'Heat', year: 1995 },
+            size: 4000,
+            sizeleft: 1000,
+            timeleft: '00:10:00',
+            estimatedCompletionTime: '2026-01-01T00:10:00Z',
+            trackedDownloadState: 'downloading',
+            statusMessages: [{ title: 'Heat.1995.mkv', messages: ['Sample file'] }],
+            quality: { quality: { name: 'Bluray-1080p' } }
+        }]
+    }));
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'get_queue' });
+
+    assert.equal(calls[0].url, 'http://radarr:7878/api/v3/queue?page=1&pageSize=50&includeMovie=true');
+    const [item] = response.json.data.records;
+    assert.deepEqual(
+        [item.service, item.kind, item.mediaType, item.title, item.subtitle, item.status, item.progress, item.eta, item.quality],
+        ['radarr', 'queue', 'movie', 'Heat', '1995', 'downloading', 75, '2026-01-01T00:10:00Z', 'Bluray-1080p']
+    );
+    assert.deepEqual(item.ids, { movieId: 12 });
+    assert.deepEqual(item.messages, ['Heat.1995.mkv', 'Sample file']);
+});
+
+test('history pages are filtered by event category', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({
+        page: 2,
+        pageSize: 10,
+        totalRecords: 30,
+        records: [
+            { id: 1, eventType: 'grabbed', sourceTitle: 'Show.S01E02', series: { title: 'Show' }, episode: { seasonNumber: 1, episodeNumber: 2 } },
+            { id: 2, eventType: 'downloadFolderImported', sourceTitle: 'Show.S01E01', series: { title: 'Show' }, episode: { seasonNumber: 1, episodeNumber: 1 } }
+        ]
+    }));
+
+    const response = await invoke(proxy, { service: 'sonarr', action: 'get_history', data: { page: 2, pageSize: 10, eventType: 'imported' } });
+
+    assert.match(calls[0].url, /\/history\?page=2&pageSize=10&sortKey=date&sortDirection=descending&includeSeries=true/);
+    assert.equal(response.json.data.totalRecords, 30);
+    assert.deepEqual(response.json.data.records.map(r => [r.id, r.status, r.subtitle]), [[2, 'imported', 'S01E01']]);
+});
+
+test('calendar defaults to a week from start and rejects inverted ranges', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => [{ id: 9, title: 'The Wall', releaseDate: '2026-01-03', monitored: true, statistics: { trackFileCount: 0 }, artist: { artistName: 'Pink Floyd' } }]);
+
+    const response = await invoke(proxy, { service: 'lidarr', action: 'get_calendar', data: { start: '2026-01-01' } });
+
+    const url = new URL(calls[0].url);
+    assert.equal(url.pathname, '/api/v1/calendar');
+    assert.equal(url.searchParams.get('end'), '2026-01-08T00:00:00.000Z');
+    assert.deepEqual(response.json.data.records.map(r => [r.mediaType, r.title, r.subtitle, r.status]), [['album', 'The Wall', 'Pink Floyd', 'missing']]);
+
+    const inverted = await invoke(proxy, { service: 'lidarr', action: 'get_calendar', data: { start: '2026-02-01', end: '2026-01-01' } });
+    assert.equal(inverted.statusCode, 400);
+});
+
+test('wanted reads the missing or cutoff list', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({ page: 1, pageSize: 50, totalRecords: 0, records: [] }));
+
+    await invoke(proxy, { service: 'radarr', action: 'get_wanted' });
+    await invoke(proxy, { service: 'radarr', action: 'get_wanted', data: { type: 'cutoff' } });
+
+    assert.deepEqual(calls.map(c => new URL(c.url).pathname), ['/api/v3/wanted/missing', '/api/v3/wanted/cutoff']);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logs, muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    OVERSEERR_URL: 'http://overseerr:5055',
+    OVERSEERR_API_KEY: 'overseerr-key',
+    PROXY_AUTH_MODE: 'token',
+    PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-token': 'alice', 'root-token': 'root' })
+};
+const ADMIN_POLICY = JSON.stringify({
+    defaultEffect: 'allow',
+    users: { root: 'admin' },
+    roles: { admin: [{ effect: 'allow', service: '*', action: '*' }] }
+});
+const as = token => ({ headers: { Authorization: `Bearer ${token}` } });
+const getAuditLog = data => ({ service: 'proxy', action: 'get_audit_log', data });
+
+// The stdout sink logs each event under `audit` on an AUDIT-tagged line
+const auditEvents = () => logs.map(l => JSON.parse(l.line)).filter(r => r.tag === 'AUDIT').map(r => r.audit);
+
+function stubUpstreams() {
+    return stubFetch(({ url, json }) => {
+        if (url.includes('/movie/12') && url.includes('deleteFiles')) return {};
+        if (url.endsWith('/command')) return { id: 501, name: json.name, status: 'queued' };
+        if (url.includes('/request/7/approve')) return { id: 7, status: 2, media: { tmdbId: 949, mediaType: 'movie' } };
+        if (url.includes('/movie/99')) return jsonResponse({ message: 'Not found' }, 404);
+        return [];
+    });
+}
+
+test('deletes, commands and request approvals are audited with caller and key ids', async () => {
+    const proxy = loadProxy(ENV);
+    stubUpstreams();
+    logs.length = 0;
+
+    await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 12, deleteFiles: true } }, as('alice-token'));
+    await invoke(proxy, { service: 'radarr', action: 'run_command', data: { name: 'MoviesSearch', movieIds: [12] } }, as('alice-token'));
+    await invoke(proxy, { service: 'overseerr', action: 'approve_request', data: { requestId: 7 } }, as('alice-token'));
+
+    const events = auditEvents();
+    assert.deepEqual(events.map(e => [e.caller, e.service, e.action, e.outcome]), [
+        ['alice', 'radarr', 'delete_movie', 'success'],
+        ['alice', 'radarr', 'run_command', 'success'],
+        ['alice', 'overseerr', 'approve_request', 'success']
+    ]);
+    assert.deepEqual(events[0].keyIds, { movieId: 12 });
+    assert.deepEqual([events[1].keyIds, events[1].upstreamId, events[1].title], [{ movieIds: [12] }, 501, 'MoviesSearch']);
+    assert.deepEqual([events[2].keyIds, events[2].upstreamId], [{ tmdbId: 949, requestId: 7 }, 7]);
+    assert.ok(events.every(e => e.requestId && e.authMethod === 'token'));
+});
+
+test('failed mutations are audited and reads are not', async () => {
+    const proxy = loadProxy(ENV);
+    stubUpstreams();
+    logs.length = 0;
+
+    await invoke(proxy, { service: 'radarr', action: 'get_movies' }, as('alice-token'));
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } }, as('alice-token'));
+    const failed = await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 99 } }, as('alice-token'));
+
+    assert.equal(failed.statusCode, 404);
+    assert.deepEqual(auditEvents().map(e => [e.action, e.outcome, e.errorCode]), [['delete_movie', 'failed', 'NOT_FOUND']]);
+});
+
+test('get_audit_log is denied without a policy and when only the default effect would allow it', async () => {
+    const withoutPolicy = loadProxy(ENV);
+    const denied = await invoke(withoutPolicy, getAuditLog(), as('root-token'));
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.json.rule.id, 'default');
+
+    const permissive = loadProxy({ ...ENV, PROXY_POLICY: ADMIN_POLICY });
+    const byDefault = await invoke(permissive, getAuditLog(), as('alice-token'));
+    assert.equal(byDefault.statusCode, 403);
+    assert.equal(byDefault.json.rule.id, 'restricted');
+});
+
+test('callers a rule allows can read the log, filtered by key id', async () => {
+    const proxy = loadProxy({ ...ENV, PROXY_POLICY: ADMIN_POLICY });
+    stubUpstreams();
+
+    await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 12 } }, as('alice-token'));
+    await invoke(proxy, { service: 'radarr', action: 'run_command', data: { name: 'RssSync' } }, as('alice-token'));
+
+    const all = await invoke(proxy, getAuditLog(), as('root-token'));
+    assert.equal(all.statusCode, 200);
+    assert.equal(all.json.data.source, 'memory');
+    assert.deepEqual(all.json.data.events.map(e => e.action), ['run_command', 'delete_movie']);
+
+    const filtered = await invoke(proxy, getAuditLog({ keyId: '12' }), as('root-token'));
+    assert.deepEqual(filtered.json.data.events.map(e => e.action), ['delete_movie']);
+});
+
+test('the file sink appends JSON lines and serves get_audit_log from them', async () => {
+    const auditFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-audit-')), 'audit.jsonl');
+    const proxy = loadProxy({ ...ENV, PROXY_POLICY: ADMIN_POLICY, PROXY_AUDIT_SINK: 'file', PROXY_AUDIT_FILE: auditFile });
+    stubUpstreams();
+
+    await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 12 } }, as('alice-token'));
+
+    const lines = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(e => [e.caller, e.action]), [['alice', 'delete_movie']]);
+
+    const response = await invoke(proxy, getAuditLog({ caller: 'alice' }), as('root-token'));
+    assert.equal(response.json.data.source, 'file');
+    assert.equal(response.json.data.count, 1);
+});
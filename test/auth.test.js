@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { muteConsole, loadProxy, invoke } = require('./helpers');
+
+muteConsole();
+
+const BODY = { service: 'proxy', action: 'get_config' };
+const RAW_BODY = JSON.stringify(BODY);
+
+function hmacHeaders(secret, { clientId, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const signed = clientId ? `${timestamp}.${clientId}.${RAW_BODY}` : `${timestamp}.${RAW_BODY}`;
+    const headers = {
+        'X-Timestamp': String(timestamp),
+        'X-Signature': crypto.createHmac('sha256', secret).update(signed).digest('hex')
+    };
+    if (clientId) headers['X-Client-Id'] = clientId;
+    return headers;
+}
+
+// ES256 key pair with its public half written to a JWKS file
+function createJwtIssuer() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwksPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-jwks-')), 'jwks.json');
+    fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'ES256' }] }));
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return {
+        jwksPath,
+        sign(claims) {
+            const input = `${encode({ alg: 'ES256', kid: 'k1', typ: 'JWT' })}.${encode(claims)}`;
+            const signature = crypto.sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+            return `${input}.${signature.toString('base64url')}`;
+        }
+    };
+}
+
+test('refuses to serve when no authentication is configured', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: '' });
+    const response = await invoke(proxy, BODY);
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.code, 'AUTH_NOT_CONFIGURED');
+    assert.equal(response.headers['WWW-Authenticate'], undefined);
+});
+
+test('a malformed PROXY_AUTH_TOKENS is a configuration error, not a bad credential', async () => {
+    for (const tokens of ['{"alice-token": ', '["alice-token"]']) {
+        const proxy = loadProxy({ PROXY_AUTH_MODE: 'token', PROXY_AUTH_TOKENS: tokens });
+        const response = await invoke(proxy, BODY, { headers: { Authorization: 'Bearer alice-token' } });
+
+        assert.equal(response.statusCode, 503);
+        assert.equal(response.json.code, 'AUTH_NOT_CONFIGURED');
+        assert.equal(response.headers['WWW-Authenticate'], undefined);
+    }
+});
+
+test('every configured token is checked and only exact matches are accepted', async () => {
+    const proxy = loadProxy({
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-token': 'alice', 'bob-token': 'bob' }),
+        PROXY_AUTH_TOKEN: 'shared-token'
+    });
+    const as = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal((await invoke(proxy, BODY, as('bob-token'))).statusCode, 200);
+    assert.equal((await invoke(proxy, BODY, as('shared-token'))).statusCode, 200);
+    for (const guess of ['bob-toke', 'bob-token2', 'BOB-TOKEN']) {
+        assert.equal((await invoke(proxy, BODY, as(guess))).statusCode, 401);
+    }
+});
+
+test('PROXY_AUTH_MODE=none serves anonymous callers', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'none' });
+    assert.equal((await invoke(proxy, BODY)).statusCode, 200);
+});
+
+test('bearer tokens map to caller ids and bad tokens get a challenge', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: '', PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-token': 'alice' }) });
+
+    assert.equal((await invoke(proxy, BODY, { headers: { Authorization: 'Bearer alice-token' } })).statusCode, 200);
+    const rejected = await invoke(proxy, BODY, { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(rejected.statusCode, 401);
+    assert.equal(rejected.json.code, 'UNAUTHORIZED');
+    assert.match(rejected.headers['WWW-Authenticate'], /^Bearer/);
+    assert.equal((await invoke(proxy, BODY)).statusCode, 401);
+});
+
+test('HMAC signatures are verified and cannot be replayed', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'hmac', PROXY_HMAC_SECRET: 'shh' });
+    const headers = hmacHeaders('shh');
+
+    assert.equal((await invoke(proxy, BODY, { headers })).statusCode, 200);
+    assert.equal((await invoke(proxy, BODY, { headers })).statusCode, 401);
+    assert.equal((await invoke(proxy, BODY, { headers: hmacHeaders('wrong') })).statusCode, 401);
+});
+
+test('HMAC rejects timestamps outside the tolerance window', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'hmac', PROXY_HMAC_SECRET: 'shh' });
+    const stale = hmacHeaders('shh', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.equal((await invoke(proxy, BODY, { headers: stale })).statusCode, 401);
+});
+
+test('HMAC binds X-Client-Id into the signature', async () => {
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'hmac', PROXY_HMAC_SECRET: 'shh' });
+
+    const bound = await invoke(proxy, BODY, { headers: hmacHeaders('shh', { clientId: 'alice' }) });
+    assert.equal(bound.statusCode, 200);
+
+    // A signature made without the client id can't be reused to claim one
+    const spoofed = { ...hmacHeaders('shh'), 'X-Client-Id': 'admin' };
+    assert.equal((await invoke(proxy, BODY, { headers: spoofed })).statusCode, 401);
+});
+
+test('JWTs are verified against the JWKS file', async () => {
+    const issuer = createJwtIssuer();
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'jwt', PROXY_JWKS_PATH: issuer.jwksPath, PROXY_JWT_AUDIENCE: 'proxy' });
+    const exp = Math.floor(Date.now() / 1000) + 600;
+
+    const valid = issuer.sign({ sub: 'alice', aud: 'proxy', exp });
+    assert.equal((await invoke(proxy, BODY, { headers: { Authorization: `Bearer ${valid}` } })).statusCode, 200);
+
+    const tampered = valid.slice(0, -4) + (valid.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    assert.equal((await invoke(proxy, BODY, { headers: { Authorization: `Bearer ${tampered}` } })).statusCode, 401);
+
+    const wrongAudience = issuer.sign({ sub: 'alice', aud: 'other', exp });
+    assert.equal((await invoke(proxy, BODY, { headers: { Authorization: `Bearer ${wrongAudience}` } })).statusCode, 401);
+});
+
+test('JWTs without exp, or past it, are rejected', async () => {
+    const issuer = createJwtIssuer();
+    const proxy = loadProxy({ PROXY_AUTH_MODE: 'jwt', PROXY_JWKS_PATH: issuer.jwksPath });
+
+    const noExpiry = await invoke(proxy, BODY, { headers: { Authorization: `Bearer ${issuer.sign({ sub: 'alice' })}` } });
+    assert.equal(noExpiry.statusCode, 401);
+    assert.match(noExpiry.json.error, /no expiry/);
+
+    const expired = issuer.sign({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - 3600 });
+    const response = await invoke(proxy, BODY, { headers: { Authorization: `Bearer ${expired}` } });
+    assert.match(response.json.error, /expired/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+const lookup = term => ({ service: 'radarr', action: 'lookup_movie', data: { term } });
+const batch = data => ({ service: 'proxy', action: 'batch', data });
+
+test('operations run through the normal dispatch and report per-item status', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(({ url }) => (url.includes('/movie?tmdbId=949') ? [{ id: 12, title: 'Heat', tmdbId: 949 }] : []));
+
+    const response = await invoke(proxy, batch({
+        operations: [
+            lookup('heat'),
+            { service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies' } },
+            { service: 'radarr', action: 'add_movie', data: {} }
+        ]
+    }));
+
+    assert.equal(response.statusCode, 200);
+    const summary = response.json.data;
+    assert.deepEqual([summary.total, summary.succeeded, summary.exists, summary.failed], [3, 1, 1, 1]);
+    assert.deepEqual(summary.results.map(r => r.status), ['success', 'exists', 'failed']);
+    assert.equal(summary.results[2].statusCode, 400);
+    assert.equal(summary.results[2].code, 'VALIDATION_ERROR');
+});
+
+test('no more than `concurrency` operations are in flight at once', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    let inFlight = 0;
+    let peak = 0;
+    stubFetch(async () => {
+        peak = Math.max(peak, ++inFlight);
+        await sleep(5);
+        inFlight--;
+        return [];
+    });
+
+    const response = await invoke(proxy, batch({ concurrency: 2, operations: ['a', 'b', 'c', 'd', 'e'].map(lookup) }));
+
+    assert.equal(response.json.data.succeeded, 5);
+    assert.equal(peak, 2);
+});
+
+test('stopOnError skips the operations after the first failure', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => []);
+
+    const response = await invoke(proxy, batch({
+        concurrency: 1,
+        stopOnError: true,
+        operations: [lookup('a'), { service: 'radarr', action: 'explode' }, lookup('b'), lookup('c')]
+    }));
+
+    assert.deepEqual(response.json.data.results.map(r => r.status), ['success', 'failed', 'skipped', 'skipped']);
+    assert.equal(response.json.data.skipped, 2);
+});
+
+test('nested batches are rejected per item', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => []);
+
+    const response = await invoke(proxy, batch({ operations: [batch({ operations: [lookup('a')] })] }));
+
+    assert.equal(response.json.data.results[0].status, 'failed');
+    assert.equal(response.json.data.results[0].code, 'NESTED_BATCH');
+});
+
+test('operations must be an array', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const response = await invoke(proxy, batch({ operations: 'everything' }));
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.details.errors[0].field, 'operations');
+});
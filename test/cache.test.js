@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logs, muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+const getMovies = { service: 'radarr', action: 'get_movies' };
+
+function stubLibrary() {
+    const library = [{ id: 1, title: 'Heat', tmdbId: 949 }];
+    const calls = stubFetch(({ method }) => (method === 'DELETE' ? {} : library));
+    return { library, calls };
+}
+
+test('cacheable reads are served from the cache within their TTL', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const { calls } = stubLibrary();
+
+    const first = await invoke(proxy, getMovies);
+    const second = await invoke(proxy, getMovies);
+
+    assert.equal(calls.length, 1);
+    assert.equal(second.body, first.body);
+    assert.equal(first.headers['Cache-Control'], 'private, max-age=60');
+
+    // A different payload is a different cache entry
+    await invoke(proxy, { ...getMovies, data: { fields: 'id' } });
+    assert.equal(calls.length, 2);
+});
+
+test('a matching If-None-Match gets a 304 with no body', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubLibrary();
+
+    const first = await invoke(proxy, getMovies);
+    assert.match(first.headers.ETag, /^"[\w-]+"$/);
+
+    const revalidated = await invoke(proxy, getMovies, { headers: { 'If-None-Match': `W/${first.headers.ETag}, "other"` } });
+    assert.equal(revalidated.statusCode, 304);
+    assert.equal(revalidated.body, '');
+    assert.equal(revalidated.headers.ETag, first.headers.ETag);
+
+    const stale = await invoke(proxy, getMovies, { headers: { 'If-None-Match': '"other"' } });
+    assert.equal(stale.statusCode, 200);
+});
+
+test('actions without a TTL go upstream every time and are marked no-store', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const { calls } = stubLibrary();
+
+    const lookup = await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } });
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } });
+
+    assert.equal(calls.length, 2);
+    assert.equal(lookup.headers['Cache-Control'], 'no-store');
+    assert.equal(lookup.headers.ETag, undefined);
+});
+
+test('a mutating action drops the service\'s cached listings', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const { library, calls } = stubLibrary();
+
+    await invoke(proxy, getMovies);
+    await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 1 } });
+    library.pop();
+    const after = await invoke(proxy, getMovies);
+
+    assert.deepEqual(calls.map(c => c.method), ['GET', 'DELETE', 'GET']);
+    assert.deepEqual(after.json.data, []);
+});
+
+test('PROXY_CACHE_TTLS overrides per action and per service/action', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, PROXY_CACHE_TTLS: JSON.stringify({ get_movies: 5, 'radarr/get_root_folders': 0 }) });
+    const { calls } = stubLibrary();
+
+    assert.equal((await invoke(proxy, getMovies)).headers['Cache-Control'], 'private, max-age=5');
+    await invoke(proxy, { service: 'radarr', action: 'get_root_folders' });
+    await invoke(proxy, { service: 'radarr', action: 'get_root_folders' });
+    assert.equal(calls.length, 3);
+});
+
+test('a malformed PROXY_CACHE_TTLS logs once and falls back to the defaults', async () => {
+    for (const value of ['{ not json', '[1, 2]']) {
+        const proxy = loadProxy({ ...RADARR_ENV, PROXY_CACHE_TTLS: value });
+        stubLibrary();
+        logs.length = 0;
+
+        const first = await invoke(proxy, getMovies);
+        await invoke(proxy, getMovies);
+
+        assert.equal(first.statusCode, 200);
+        assert.equal(first.headers['Cache-Control'], 'private, max-age=60');
+        assert.equal(logs.filter(l => l.line.includes('PROXY_CACHE_TTLS')).length, 1, value);
+    }
+});
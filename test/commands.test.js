@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key'
+};
+
+test('run_command posts the command and returns its id and state', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ json }) => ({ id: 501, name: json.name, status: 'queued', queued: '2026-01-01T00:00:00Z' }));
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'run_command', data: { command: 'MoviesSearch', movieIds: ['12', 13] } });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(calls[0].url, 'http://radarr:7878/api/v3/command');
+    assert.deepEqual(calls[0].json, { name: 'MoviesSearch', movieIds: [12, 13] });
+    assert.deepEqual(
+        [response.json.data.commandId, response.json.data.name, response.json.data.state, response.json.data.done],
+        [501, 'MoviesSearch', 'queued', false]
+    );
+});
+
+test('run_command only accepts known commands and their required ids', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({}));
+
+    const unknown = await invoke(proxy, { service: 'sonarr', action: 'run_command', data: { name: 'FormatDisk' } });
+    assert.equal(unknown.statusCode, 400);
+
+    const missing = await invoke(proxy, { service: 'sonarr', action: 'run_command', data: { name: 'SeasonSearch', seriesId: 3 } });
+    assert.equal(missing.statusCode, 400);
+    assert.deepEqual(missing.json.details.errors, [{ field: 'seasonNumber', message: 'is required' }]);
+
+    assert.equal(calls.length, 0);
+});
+
+test('get_command reports completion and failure', async () => {
+    const proxy = loadProxy(ENV);
+    const commands = {
+        501: { id: 501, name: 'MoviesSearch', status: 'completed', result: 'successful' },
+        502: { id: 502, name: 'RssSync', status: 'failed', message: 'Indexer unavailable' }
+    };
+    const calls = stubFetch(({ url }) => commands[url.split('/').pop()]);
+
+    const done = await invoke(proxy, { service: 'radarr', action: 'get_command', data: { commandId: 501 } });
+    assert.equal(calls[0].url, 'http://radarr:7878/api/v3/command/501');
+    assert.deepEqual([done.json.data.state, done.json.data.done, done.json.data.succeeded], ['completed', true, true]);
+
+    const failed = await invoke(proxy, { service: 'radarr', action: 'get_command', data: { id: 502 } });
+    assert.deepEqual([failed.json.data.done, failed.json.data.succeeded], [true, false]);
+    assert.equal(failed.json.data.message, 'Indexer unavailable');
+});
+
+test('a series add whose search command fails still succeeds, with a warning', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ url, method, json }) => {
+        if (url.endsWith('/command')) return jsonResponse({ message: 'Database is locked' }, 500);
+        if (method === 'POST') return jsonResponse({ id: 9, ...json }, 201);
+        if (url.includes('/series/lookup')) return [{ title: 'Cowboy Bebop', titleSlug: 'cowboy-bebop', seasons: [{ seasonNumber: 1 }] }];
+        return [];
+    });
+
+    const response = await invoke(proxy, {
+        service: 'sonarr',
+        action: 'add_series',
+        data: { tvdbId: 76885, qualityProfileId: 1, rootFolderPath: '/tv', searchOnAdd: true }
+    }, { headers: { 'Idempotency-Key': 'bebop-1' } });
+
+    assert.equal(response.statusCode, 200);
+    const { status, series, searchWarning } = response.json.data;
+    assert.deepEqual([status, series.id, series.title], ['added', 9, 'Cowboy Bebop']);
+    assert.match(searchWarning, /^Series was added, but search could not be triggered/);
+    assert.ok(calls.some(c => c.url.endsWith('/command')));
+
+    // The key stays claimed, so a retry replays the add instead of repeating it
+    const retried = await invoke(proxy, {
+        service: 'sonarr',
+        action: 'add_series',
+        data: { tvdbId: 76885, qualityProfileId: 1, rootFolderPath: '/tv', searchOnAdd: true }
+    }, { headers: { 'Idempotency-Key': 'bebop-1' } });
+    assert.equal(retried.headers['Idempotency-Replayed'], 'true');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logs, muteConsole, loadProxy, invoke } = require('./helpers');
+
+muteConsole();
+
+const BODY = { service: 'proxy', action: 'get_config' };
+const ALLOW_LIST = { PROXY_ALLOWED_ORIGINS: 'https://app.example.com/, https://*.example.org', PROXY_CORS_CREDENTIALS: 'true' };
+
+test('without an allow-list only same-origin browser requests are served', async () => {
+    const proxy = loadProxy();
+
+    const crossOrigin = await invoke(proxy, BODY, { headers: { Origin: 'https://anywhere.test', Host: 'proxy.example.com' } });
+    assert.equal(crossOrigin.statusCode, 403);
+    assert.equal(crossOrigin.json.code, 'ORIGIN_NOT_ALLOWED');
+    assert.equal(crossOrigin.headers['Access-Control-Allow-Origin'], undefined);
+
+    const sameOrigin = await invoke(proxy, BODY, { headers: { Origin: 'https://proxy.example.com', Host: 'proxy.example.com' } });
+    assert.equal(sameOrigin.statusCode, 200);
+    assert.equal(sameOrigin.headers['Access-Control-Allow-Origin'], undefined);
+
+    assert.ok(logs.some(l => l.line.includes('PROXY_ALLOWED_ORIGINS is not set')));
+});
+
+test('a "*" entry with credentials is a configuration error', async () => {
+    const proxy = loadProxy({ PROXY_ALLOWED_ORIGINS: '*', PROXY_CORS_CREDENTIALS: 'true' });
+
+    const response = await invoke(proxy, BODY, { headers: { Origin: 'https://anywhere.test' } });
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.code, 'CORS_MISCONFIGURED');
+    assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+
+    // Without credentials "*" allows every origin
+    const open = loadProxy({ PROXY_ALLOWED_ORIGINS: '*' });
+    const allowed = await invoke(open, BODY, { headers: { Origin: 'https://anywhere.test' } });
+    assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://anywhere.test');
+});
+
+test('allowed origins are echoed back with credentials and Vary', async () => {
+    const proxy = loadProxy(ALLOW_LIST);
+
+    const exact = await invoke(proxy, BODY, { headers: { Origin: 'https://app.example.com' } });
+    assert.equal(exact.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+    assert.equal(exact.headers['Access-Control-Allow-Credentials'], 'true');
+    assert.equal(exact.headers.Vary, 'Origin');
+
+    const wildcard = await invoke(proxy, BODY, { headers: { Origin: 'https://media.example.org' } });
+    assert.equal(wildcard.headers['Access-Control-Allow-Origin'], 'https://media.example.org');
+});
+
+test('a wildcard matches a single subdomain label only', async () => {
+    const proxy = loadProxy(ALLOW_LIST);
+    const response = await invoke(proxy, BODY, { headers: { Origin: 'https://evil.com.example.org.attacker.test' } });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.json.code, 'ORIGIN_NOT_ALLOWED');
+});
+
+test('preflights from allowed origins list methods and headers; others are refused', async () => {
+    const proxy = loadProxy(ALLOW_LIST);
+
+    const allowed = await invoke(proxy, null, { method: 'OPTIONS', headers: { Origin: 'https://app.example.com' } });
+    assert.equal(allowed.statusCode, 204);
+    assert.equal(allowed.headers['Access-Control-Allow-Methods'], 'GET, POST, OPTIONS');
+    assert.match(allowed.headers['Access-Control-Allow-Headers'], /Idempotency-Key/);
+
+    const refused = await invoke(proxy, null, { method: 'OPTIONS', headers: { Origin: 'https://other.test' } });
+    assert.equal(refused.statusCode, 403);
+});
+
+test('requests without an Origin header are not subject to the allow-list', async () => {
+    const proxy = loadProxy(ALLOW_LIST);
+    const response = await invoke(proxy, BODY);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    PROXY_UPSTREAM_RETRY_BASE_MS: '0'
+};
+const lookup = { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } };
+
+test('upstream statuses map to typed errors with stable codes', async () => {
+    const cases = [
+        [404, 404, 'NOT_FOUND'],
+        [400, 400, 'VALIDATION_ERROR'],
+        [409, 409, 'CONFLICT'],
+        [401, 502, 'UPSTREAM_AUTH_FAILED'],
+        [500, 502, 'UPSTREAM_ERROR'],
+        [504, 504, 'UPSTREAM_TIMEOUT']
+    ];
+    for (const [upstreamStatus, statusCode, code] of cases) {
+        const proxy = loadProxy(RADARR_ENV);
+        stubFetch(() => jsonResponse({ message: 'nope' }, upstreamStatus));
+
+        const response = await invoke(proxy, lookup);
+        assert.equal(response.statusCode, statusCode, `upstream ${upstreamStatus}`);
+        assert.equal(response.json.code, code, `upstream ${upstreamStatus}`);
+        assert.equal(response.json.upstreamStatus, upstreamStatus);
+    }
+});
+
+test('error bodies carry the service, action, upstream body and request id', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => jsonResponse({ message: 'Movie not found' }, 404));
+
+    const response = await invoke(proxy, lookup, { headers: { 'X-Request-Id': 'req-123' } });
+
+    assert.equal(response.json.success, false);
+    assert.deepEqual([response.json.service, response.json.action], ['radarr', 'lookup_movie']);
+    assert.deepEqual(response.json.details.upstreamBody, { message: 'Movie not found' });
+    assert.equal(response.json.requestId, 'req-123');
+    assert.equal(response.headers['X-Request-Id'], 'req-123');
+});
+
+test('network failures become UPSTREAM_UNAVAILABLE', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => {
+        throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+    });
+
+    const response = await invoke(proxy, lookup);
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(response.json.code, 'UPSTREAM_UNAVAILABLE');
+    assert.match(response.json.error, /ECONNREFUSED/);
+});
+
+test('malformed bodies, unknown services and unknown actions are 400s', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+
+    const badJson = await invoke(proxy, null, { rawBody: '{"service":' });
+    assert.deepEqual([badJson.statusCode, badJson.json.code], [400, 'INVALID_JSON']);
+
+    const unknownService = await invoke(proxy, { service: 'plex', action: 'get_movies' });
+    assert.deepEqual([unknownService.statusCode, unknownService.json.code], [400, 'UNKNOWN_SERVICE']);
+
+    const unknownAction = await invoke(proxy, { service: 'radarr', action: 'explode' });
+    assert.deepEqual([unknownAction.statusCode, unknownAction.json.code], [400, 'UNKNOWN_ACTION']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key',
+    HEADPHONES_URL: 'http://headphones:8181',
+    HEADPHONES_API_KEY: 'hp-key'
+};
+
+function stubServices({ sonarr } = {}) {
+    return stubFetch(({ url }) => {
+        if (url.startsWith('http://sonarr') && sonarr) return sonarr();
+        if (url.includes('cmd=getVersion')) return { current_version: 'abc123' };
+        if (url.endsWith('/system/status')) return { version: url.includes('radarr') ? '5.8.3' : '4.0.9' };
+        if (url.endsWith('/health')) return url.includes('radarr') ? [{ type: 'warning', source: 'IndexerCheck', message: 'No indexers' }] : [];
+        if (url.endsWith('/rootfolder')) return [{ path: '/movies', accessible: true, freeSpace: 10, totalSpace: 100, unmappedFolders: [] }];
+        return [];
+    });
+}
+
+test('GET answers the health check with version, latency, warnings and disk space', async () => {
+    const proxy = loadProxy(ENV);
+    stubServices();
+
+    const response = await invoke(proxy, null, { method: 'GET' });
+
+    assert.equal(response.statusCode, 200);
+    const { status, services } = response.json.data;
+    assert.equal(status, 'ok');
+    assert.deepEqual(Object.keys(services), ['radarr', 'sonarr', 'headphones']);
+    assert.deepEqual([services.radarr.status, services.radarr.version, services.radarr.authValid], ['up', '5.8.3', true]);
+    assert.equal(typeof services.radarr.latencyMs, 'number');
+    assert.deepEqual(services.radarr.warnings, [{ type: 'warning', source: 'IndexerCheck', message: 'No indexers' }]);
+    assert.deepEqual(services.radarr.diskSpace, [{ path: '/movies', accessible: true, freeSpace: 10, totalSpace: 100 }]);
+    assert.equal(services.headphones.version, 'abc123');
+});
+
+test('a rejected API key marks the service down and the response 503', async () => {
+    const proxy = loadProxy(ENV);
+    stubServices({ sonarr: () => jsonResponse({ error: 'Unauthorized' }, 401) });
+
+    const response = await invoke(proxy, { service: 'proxy', action: 'health' });
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.success, false);
+    assert.equal(response.json.data.status, 'down');
+    assert.deepEqual([response.json.data.services.sonarr.status, response.json.data.services.sonarr.authValid], ['down', false]);
+});
+
+test('only PROXY_HEALTH_REQUIRED services turn an outage into a 503', async () => {
+    const proxy = loadProxy({ ...ENV, PROXY_HEALTH_REQUIRED: 'radarr' });
+    stubServices({ sonarr: () => { throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }); } });
+
+    const response = await invoke(proxy, null, { method: 'GET' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.success, true);
+    assert.equal(response.json.data.status, 'degraded');
+    const { sonarr } = response.json.data.services;
+    assert.deepEqual([sonarr.status, sonarr.required, sonarr.code], ['down', false, 'UPSTREAM_UNAVAILABLE']);
+});
+
+test('a required service that is not configured counts as down', async () => {
+    const proxy = loadProxy({ ...ENV, PROXY_HEALTH_REQUIRED: 'radarr,readarr' });
+    stubServices();
+
+    const response = await invoke(proxy, null, { method: 'GET' });
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.data.services.readarr.code, 'SERVICE_NOT_CONFIGURED');
+});
+
+test('the services query parameter limits the check', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubServices();
+
+    const response = await invoke(proxy, { services: 'radarr' }, { method: 'GET' });
+
+    assert.deepEqual(Object.keys(response.json.data.services), ['radarr']);
+    assert.ok(calls.every(c => c.url.startsWith('http://radarr')));
+
+    const unknown = await invoke(proxy, { services: 'plex' }, { method: 'GET' });
+    assert.equal(unknown.statusCode, 400);
+});
@@ -0,0 +1,71 @@
+const path = require('path');
+
+const PROXY_PATH = path.join(__dirname, '..', 'netlify', 'functions', 'proxy.js');
+const MANAGED_ENV = /^(PROXY_|LOG_|RADARR_|SONARR_|READARR_|LIDARR_|HEADPHONES_|OVERSEERR_|BOOKINFO_)/;
+
+const logs = [];
+
+// Keep test output readable; every console line is kept in `logs` for assertions
+function muteConsole() {
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+        console[method] = (...args) => logs.push({ method, line: args.map(String).join(' ') });
+    }
+}
+
+/**
+ * Load a fresh copy of the proxy with only the given env vars set, so module-level state
+ * (caches, rate limit buckets, circuit breakers, audit events) starts empty
+ */
+function loadProxy(env = {}) {
+    for (const key of Object.keys(process.env)) {
+        if (MANAGED_ENV.test(key)) delete process.env[key];
+    }
+    Object.assign(process.env, { PROXY_AUTH_MODE: 'none' }, env);
+    delete require.cache[PROXY_PATH];
+    return require(PROXY_PATH);
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(body === undefined ? '' : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Replace global fetch with a handler receiving { url, method, headers, body, json, signal }. The handler may
+ * return a Response, or a plain value sent back as a 200 JSON body. Returns the list of calls.
+ */
+function stubFetch(handler) {
+    const calls = [];
+    globalThis.fetch = async (url, init = {}) => {
+        const call = {
+            url: String(url),
+            method: init.method || 'GET',
+            headers: init.headers || {},
+            body: init.body,
+            json: typeof init.body === 'string' && init.body ? JSON.parse(init.body) : undefined,
+            signal: init.signal
+        };
+        calls.push(call);
+        const reply = await handler(call);
+        return reply instanceof Response ? reply : jsonResponse(reply);
+    };
+    return calls;
+}
+
+/**
+ * Invoke the Netlify handler with a { service, action, data } body and parse the JSON response
+ */
+async function invoke(proxy, body, { method = 'POST', headers = {}, rawBody } = {}) {
+    const event = {
+        httpMethod: method,
+        headers,
+        body: rawBody !== undefined ? rawBody : (method === 'POST' ? JSON.stringify(body) : null)
+    };
+    if (method === 'GET') event.queryStringParameters = body || {};
+    const response = await proxy.handler(event, {});
+    return { ...response, json: response.body ? JSON.parse(response.body) : undefined };
+}
+
+module.exports = { logs, muteConsole, loadProxy, jsonResponse, stubFetch, invoke };
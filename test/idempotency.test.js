@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key'
+};
+const HEAT = { id: 12, title: 'Heat', tmdbId: 949, monitored: false };
+const addMovie = data => ({ service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies', ...data } });
+
+test('adding a movie already in the library returns it as exists without posting', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ url }) => (url.includes('/movie?tmdbId=949') ? [HEAT] : []));
+
+    const response = await invoke(proxy, addMovie());
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.data.status, 'exists');
+    assert.equal(response.json.data.movie.id, 12);
+    assert.equal(calls.filter(c => c.method !== 'GET').length, 0);
+});
+
+test('updateMonitoring applies the requested monitoring to an existing movie', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ url, method, json }) => {
+        if (method === 'PUT') return json;
+        return url.includes('/movie?tmdbId=949') ? [HEAT] : [];
+    });
+
+    const response = await invoke(proxy, addMovie({ updateMonitoring: true }));
+
+    assert.equal(response.json.data.status, 'exists');
+    const update = calls.find(c => c.method === 'PUT');
+    assert.equal(update.json.monitored, true);
+    assert.match(response.json.data.message, /monitoring enabled/);
+});
+
+test('existing series are matched by tvdbId', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ url }) => (url.includes('/series?tvdbId=81189') ? [{ id: 3, title: 'Breaking Bad', tvdbId: 81189 }] : []));
+
+    const response = await invoke(proxy, {
+        service: 'sonarr',
+        action: 'add_series',
+        data: { tvdbId: 81189, qualityProfileId: 1, rootFolderPath: '/tv' }
+    });
+
+    assert.equal(response.json.data.status, 'exists');
+    assert.equal(response.json.data.series.id, 3);
+    assert.equal(calls.filter(c => c.method === 'POST').length, 0);
+});
+
+test('a retried Idempotency-Key replays the stored response without calling upstream', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ url, method, json }) => {
+        if (method === 'POST') return { id: 40, ...json };
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Heat', tmdbId: 949, year: 1995, images: [] };
+        return [];
+    });
+    const headers = { 'Idempotency-Key': 'add-heat-1' };
+
+    const first = await invoke(proxy, addMovie(), { headers });
+    const upstreamCalls = calls.length;
+    const replay = await invoke(proxy, addMovie(), { headers });
+
+    assert.equal(first.json.data.status, 'added');
+    assert.equal(replay.statusCode, 200);
+    assert.equal(replay.headers['Idempotency-Replayed'], 'true');
+    assert.equal(replay.body, first.body);
+    assert.equal(calls.length, upstreamCalls);
+    assert.equal(calls.filter(c => c.method === 'POST').length, 1);
+});
+
+test('reusing an Idempotency-Key with a different body is a conflict', async () => {
+    const proxy = loadProxy(ENV);
+    stubFetch(({ url }) => (url.includes('/movie?tmdbId=') ? [HEAT] : []));
+    const headers = { 'Idempotency-Key': 'add-1' };
+
+    await invoke(proxy, addMovie(), { headers });
+    const reused = await invoke(proxy, addMovie({ tmdbId: 550 }), { headers });
+
+    assert.equal(reused.statusCode, 409);
+    assert.equal(reused.json.code, 'IDEMPOTENCY_KEY_REUSED');
+});
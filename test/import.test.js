@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+const { ImportFormatError, parseCsv, parseWatchlistExport, normalizeTitleForMatch, matchLookupResults } = require('../netlify/functions/lib/import');
+
+muteConsole();
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+
+test('parseCsv handles quoted commas, escaped quotes, CRLF and a BOM', () => {
+    const records = parseCsv(fixture('letterboxd-watchlist.csv'));
+
+    assert.equal(records.length, 4);
+    assert.deepEqual(Object.keys(records[0]), ['Date', 'Name', 'Year', 'Letterboxd URI']);
+    assert.equal(records[1].Name, 'Crouching Tiger, Hidden Dragon');
+    assert.equal(records[2].Name, 'The "Burbs"');
+});
+
+test('parseCsv keeps newlines inside quoted fields', () => {
+    const records = parseCsv(fixture('imdb-watchlist.csv'));
+
+    assert.equal(records.length, 3);
+    assert.equal(records[1].Description, 'Chemistry teacher\nturned cook');
+    assert.equal(records[1].Title, 'Breaking Bad');
+});
+
+test('parseWatchlistExport detects Letterboxd and normalizes rows', () => {
+    const parsed = parseWatchlistExport(fixture('letterboxd-watchlist.csv'));
+
+    assert.equal(parsed.format, 'csv');
+    assert.equal(parsed.source, 'letterboxd');
+    assert.deepEqual(parsed.rows[0], { row: 1, title: 'Heat', year: 1995, mediaType: 'movie' });
+});
+
+test('parseWatchlistExport maps IMDb title types to media types', () => {
+    const parsed = parseWatchlistExport(fixture('imdb-watchlist.csv'));
+
+    assert.equal(parsed.source, 'imdb');
+    assert.deepEqual(parsed.rows.map(r => [r.imdbId, r.mediaType]), [
+        ['tt0211915', 'movie'],
+        ['tt0903747', 'series'],
+        ['tt0185906', 'series']
+    ]);
+});
+
+test('parseWatchlistExport reads Trakt JSON ids', () => {
+    const parsed = parseWatchlistExport(fixture('trakt-watchlist.json'));
+
+    assert.equal(parsed.format, 'json');
+    assert.equal(parsed.source, 'trakt');
+    assert.equal(parsed.rows[0].tmdbId, 438631);
+    assert.deepEqual([parsed.rows[1].mediaType, parsed.rows[1].tvdbId], ['series', 371980]);
+});
+
+test('parseWatchlistExport rejects malformed JSON', () => {
+    assert.throws(() => parseWatchlistExport('[{"title":'), ImportFormatError);
+    assert.throws(() => parseWatchlistExport('{"items": [', { format: 'json' }), /not valid JSON/);
+});
+
+test('parseCsv returns no records for blank or header-only input', () => {
+    assert.deepEqual(parseCsv(''), []);
+    assert.deepEqual(parseCsv('\uFEFFName,Year\r\n\r\n'), []);
+});
+
+test('import_list reports unparseable content as a 400 without calling upstream', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(() => []);
+
+    const response = await invoke(proxy, { service: 'import', action: 'import_list', data: { content: '[{"title":' } });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'INVALID_IMPORT');
+    assert.equal(calls.length, 0);
+});
+
+test('normalizeTitleForMatch folds accents, punctuation, "&" and a leading "The"', () => {
+    assert.equal(normalizeTitleForMatch('Amélie'), 'amelie');
+    assert.equal(normalizeTitleForMatch('The Fast & the Furious!'), 'fast and the furious');
+});
+
+test('matchLookupResults prefers the exact year, then allows one year of drift', () => {
+    const results = [
+        { title: 'Crash', year: 1996, tmdbId: 884 },
+        { title: 'Crash', year: 2004, tmdbId: 1640 }
+    ];
+
+    assert.equal(matchLookupResults({ title: 'Crash', year: 2004 }, results).match.tmdbId, 1640);
+    assert.equal(matchLookupResults({ title: 'Crash', year: 2005 }, results).match.tmdbId, 1640);
+    assert.equal(matchLookupResults({ title: 'Crash' }, results).status, 'ambiguous');
+    assert.equal(matchLookupResults({ title: 'Heat', year: 1995 }, results).status, 'unmatched');
+});
+
+test('matchLookupResults also matches alternate titles', () => {
+    const results = [{ title: 'Le fabuleux destin', year: 2001, tmdbId: 194, alternateTitles: [{ title: 'Amelie' }] }];
+    assert.equal(matchLookupResults({ title: 'Amélie', year: 2001 }, results).match.tmdbId, 194);
+});
+
+test('import_list dry run resolves rows through Radarr lookups without adding', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(({ url }) => {
+        const term = new URL(url).searchParams.get('term');
+        if (term === 'Heat') return [{ title: 'Heat', year: 1995, tmdbId: 949 }];
+        if (term === 'Amélie') return [{ title: 'Amélie', year: 2001, tmdbId: 194 }];
+        return [];
+    });
+
+    const response = await invoke(proxy, {
+        service: 'import',
+        action: 'import_list',
+        data: { content: fixture('letterboxd-watchlist.csv') }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const result = response.json.data;
+    assert.equal(result.dryRun, true);
+    assert.deepEqual([result.matched, result.unmatched], [2, 2]);
+    assert.equal(result.rows[0].tmdbId, 949);
+    assert.ok(calls.every(c => c.method === 'GET'));
+});
+
+test('import_list adds matched rows with the supplied Radarr options', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(({ url, method }) => {
+        if (method === 'POST') return { id: 12, title: 'Amélie', tmdbId: 194 };
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Amélie', year: 2001, tmdbId: 194, images: [] };
+        if (url.includes('/movie/lookup')) return [{ title: 'Amélie', year: 2001, tmdbId: 194, imdbId: 'tt0211915' }];
+        return [];
+    });
+
+    const response = await invoke(proxy, {
+        service: 'import',
+        action: 'import_list',
+        data: {
+            content: fixture('imdb-watchlist.csv'),
+            mediaType: 'movie',
+            limit: 1,
+            dryRun: false,
+            radarr: { qualityProfileId: 4, rootFolderPath: '/movies' }
+        }
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.data.added, 1);
+    assert.equal(response.json.data.nextOffset, 1);
+    const add = calls.find(c => c.method === 'POST');
+    assert.deepEqual([add.json.tmdbId, add.json.qualityProfileId, add.json.rootFolderPath], [194, 4, '/movies']);
+});
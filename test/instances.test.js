@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    RADARR_INSTANCES: '4k,kids',
+    RADARR_4K_URL: 'http://radarr-4k:7878',
+    RADARR_4K_API_KEY: 'radarr-4k-key',
+    RADARR_ROUTES: JSON.stringify([{ when: { is4k: true }, instance: '4k' }])
+};
+const addMovie = data => ({ service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies', ...data } });
+const hosts = calls => [...new Set(calls.map(c => new URL(c.url).host))];
+
+function stubRadarr() {
+    return stubFetch(({ url, method, json }) => {
+        if (method === 'POST') return { id: 5, ...json };
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Heat', tmdbId: 949, year: 1995, images: [] };
+        return [];
+    });
+}
+
+test('`instance` picks a named instance and its API key', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubRadarr();
+
+    await invoke(proxy, { service: 'radarr', action: 'get_movies', data: { instance: '4k' } });
+
+    assert.deepEqual(hosts(calls), ['radarr-4k:7878']);
+    assert.equal(calls[0].headers['X-Api-Key'], 'radarr-4k-key');
+});
+
+test('routes match the payload and fall back to the default instance', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        SONARR_URL: 'http://sonarr:8989',
+        SONARR_API_KEY: 'sonarr-key',
+        SONARR_INSTANCES: 'anime',
+        SONARR_ANIME_URL: 'http://sonarr-anime:8989',
+        SONARR_ANIME_API_KEY: 'sonarr-anime-key',
+        SONARR_ROUTES: JSON.stringify([{ when: { seriesType: 'anime' }, instance: 'anime' }])
+    });
+
+    const routed = stubRadarr();
+    await invoke(proxy, addMovie({ is4k: 'true' }));
+    assert.deepEqual(hosts(routed), ['radarr-4k:7878']);
+
+    const fallback = stubRadarr();
+    await invoke(proxy, addMovie({ is4k: false }));
+    assert.deepEqual(hosts(fallback), ['radarr:7878']);
+
+    const anime = stubFetch(() => [{ id: 9, title: 'Cowboy Bebop', tvdbId: 76885 }]);
+    await invoke(proxy, { service: 'sonarr', action: 'add_series', data: { tvdbId: 76885, qualityProfileId: 1, rootFolderPath: '/anime', seriesType: 'anime' } });
+    assert.deepEqual(hosts(anime), ['sonarr-anime:8989']);
+
+    // Routes match the request, not the lookup result
+    const unsent = stubFetch(() => [{ id: 9, title: 'Cowboy Bebop', tvdbId: 76885, seriesType: 'anime' }]);
+    await invoke(proxy, { service: 'sonarr', action: 'add_series', data: { tvdbId: 76885, qualityProfileId: 1, rootFolderPath: '/anime' } });
+    assert.deepEqual(hosts(unsent), ['sonarr:8989']);
+});
+
+test('unknown instances are a 400 and unconfigured ones a 503', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubRadarr();
+
+    const unknown = await invoke(proxy, { service: 'radarr', action: 'get_movies', data: { instance: 'imax' } });
+    assert.equal(unknown.statusCode, 400);
+    assert.equal(unknown.json.code, 'UNKNOWN_INSTANCE');
+    assert.deepEqual(unknown.json.details.available, ['default', '4k', 'kids']);
+
+    const unconfigured = await invoke(proxy, { service: 'radarr', action: 'get_movies', data: { instance: 'kids' } });
+    assert.equal(unconfigured.statusCode, 503);
+    assert.match(unconfigured.json.error, /RADARR_KIDS_URL and RADARR_KIDS_API_KEY/);
+
+    assert.equal(calls.length, 0);
+});
+
+test('a multi-instance add returns per-instance results and one failure does not stop the others', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubRadarr();
+
+    const response = await invoke(proxy, addMovie({
+        instances: ['default', '4k', 'kids'],
+        instanceOptions: { '4k': { qualityProfileId: '6', rootFolderPath: '/movies-4k' } }
+    }));
+
+    assert.equal(response.statusCode, 200);
+    const { success, instances } = response.json.data;
+    assert.equal(success, false);
+    assert.deepEqual(instances.map(i => [i.instance, i.status]), [['default', 'added'], ['4k', 'added'], ['kids', 'failed']]);
+    const posted = calls.filter(c => c.method === 'POST');
+    assert.deepEqual(posted.map(c => [new URL(c.url).host, c.json.qualityProfileId, c.json.rootFolderPath]), [
+        ['radarr:7878', 1, '/movies'],
+        ['radarr-4k:7878', 6, '/movies-4k']
+    ]);
+});
+
+test('each instance of a multi-instance add is checked against the policy', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-token': 'alice' }),
+        PROXY_POLICY: JSON.stringify({
+            users: { alice: ['family'] },
+            roles: {
+                family: [
+                    { effect: 'allow', service: 'radarr', action: 'add_movie' },
+                    { id: 'no-4k', effect: 'deny', service: 'radarr', action: 'add_movie', when: { instance: '4k' } }
+                ]
+            }
+        })
+    });
+    const calls = stubRadarr();
+
+    const response = await invoke(proxy, addMovie({ instances: ['default', '4k'] }), { headers: { Authorization: 'Bearer alice-token' } });
+
+    const [allowed, denied] = response.json.data.instances;
+    assert.equal(allowed.status, 'added');
+    assert.deepEqual([denied.status, denied.code, denied.rule.id], ['failed', 'FORBIDDEN', 'no-4k']);
+    assert.deepEqual(hosts(calls), ['radarr:7878']);
+});
+
+test('each instance of a multi-instance add is charged to the add budget', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, PROXY_RATE_LIMITS: JSON.stringify({ add: { capacity: 1, refillPerMinute: 1 } }) });
+    stubRadarr();
+
+    const response = await invoke(proxy, addMovie({ instances: ['default', '4k'] }));
+
+    assert.deepEqual(response.json.data.instances.map(i => i.code || i.status), ['added', 'RATE_LIMITED']);
+});
+
+test('default Readarr profiles are cached per instance', async () => {
+    const proxy = loadProxy({
+        READARR_URL: 'http://readarr:8787',
+        READARR_API_KEY: 'readarr-key',
+        READARR_INSTANCES: 'audio',
+        READARR_AUDIO_URL: 'http://readarr-audio:8787',
+        READARR_AUDIO_API_KEY: 'readarr-audio-key'
+    });
+    const profileId = url => (url.startsWith('http://readarr-audio') ? 7 : 1);
+    const calls = stubFetch(({ url, method, json }) => {
+        if (method === 'POST') return { id: 3, ...json };
+        if (url.includes('/author/lookup')) return [{ foreignAuthorId: 'le-guin', authorName: 'Ursula K. Le Guin' }];
+        if (url.includes('/qualityprofile') || url.includes('/metadataprofile')) return [{ id: profileId(url), name: 'Standard' }];
+        return [];
+    });
+    const addAuthor = data => ({ service: 'readarr', action: 'add_author', data: { term: 'Le Guin', rootFolderPath: '/books', ...data } });
+
+    await invoke(proxy, addAuthor());
+    await invoke(proxy, addAuthor({ instance: 'audio' }));
+
+    const posted = calls.filter(c => c.method === 'POST');
+    assert.deepEqual(posted.map(c => [new URL(c.url).host, c.json.qualityProfileId, c.json.metadataProfileId]), [
+        ['readarr:8787', 1, 1],
+        ['readarr-audio:8787', 7, 7]
+    ]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key',
+    READARR_URL: 'http://readarr:8787',
+    READARR_API_KEY: 'readarr-key'
+};
+const HEAT = { id: 12, title: 'Heat', tmdbId: 949, monitored: true, qualityProfileId: 1, path: '/movies/Heat (1995)' };
+const BREAKING_BAD = {
+    id: 3,
+    title: 'Breaking Bad',
+    monitored: true,
+    seasons: [{ seasonNumber: 1, monitored: true }, { seasonNumber: 2, monitored: true }]
+};
+
+test('update_movie merges only the supplied fields into the current record', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ method, json }) => (method === 'PUT' ? json : HEAT));
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'update_movie', data: { id: 12, qualityProfileId: '4', moveFiles: true } });
+
+    assert.equal(response.statusCode, 200);
+    const put = calls.find(c => c.method === 'PUT');
+    assert.equal(put.url, 'http://radarr:7878/api/v3/movie/12?moveFiles=true');
+    assert.deepEqual(put.json, { ...HEAT, qualityProfileId: 4 });
+});
+
+test('delete_movie passes deleteFiles and addImportExclusion through', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({}));
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 12, deleteFiles: true, addImportExclusion: 'true' } });
+
+    assert.equal(calls[0].method, 'DELETE');
+    assert.equal(calls[0].url, 'http://radarr:7878/api/v3/movie/12?deleteFiles=true&addImportExclusion=true');
+    assert.deepEqual(response.json.data, { deleted: true, movieId: 12, deleteFiles: true, addImportExclusion: true });
+});
+
+test('set_monitored on movies goes through the bulk editor', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({}));
+
+    await invoke(proxy, { service: 'radarr', action: 'set_monitored', data: { movieIds: ['12', '13'], monitored: false } });
+
+    assert.equal(calls[0].method, 'PUT');
+    assert.equal(calls[0].url, 'http://radarr:7878/api/v3/movie/editor');
+    assert.deepEqual(calls[0].json, { movieIds: [12, 13], monitored: false });
+});
+
+test('set_monitored on a Sonarr season only changes that season', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ method, json }) => (method === 'PUT' ? json : BREAKING_BAD));
+
+    await invoke(proxy, { service: 'sonarr', action: 'set_monitored', data: { target: 'season', seriesId: 3, seasonNumber: 2, monitored: false } });
+
+    const put = calls.find(c => c.method === 'PUT');
+    assert.deepEqual(put.json.seasons, [{ seasonNumber: 1, monitored: true }, { seasonNumber: 2, monitored: false }]);
+
+    const missing = await invoke(proxy, { service: 'sonarr', action: 'set_monitored', data: { target: 'season', seriesId: 3, seasonNumber: 9, monitored: false } });
+    assert.equal(missing.statusCode, 404);
+});
+
+test('set_monitored on episodes needs episodeIds', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => ({}));
+
+    const missing = await invoke(proxy, { service: 'sonarr', action: 'set_monitored', data: { target: 'episode', monitored: true } });
+    assert.equal(missing.statusCode, 400);
+
+    await invoke(proxy, { service: 'sonarr', action: 'set_monitored', data: { target: 'episode', episodeIds: [7, '8'], monitored: true } });
+    assert.equal(calls[0].url, 'http://sonarr:8989/api/v3/episode/monitor');
+    assert.deepEqual(calls[0].json, { episodeIds: [7, 8], monitored: true });
+});
+
+test('Readarr authors are monitored through the author record', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(({ method, json }) => (method === 'PUT' ? json : { id: 8, authorName: 'Ursula K. Le Guin', monitored: true }));
+
+    await invoke(proxy, { service: 'readarr', action: 'set_monitored', data: { target: 'author', authorId: 8, monitored: false } });
+
+    const put = calls.find(c => c.method === 'PUT');
+    assert.match(put.url, /\/api\/v1\/author\/8/);
+    assert.equal(put.json.monitored, false);
+});
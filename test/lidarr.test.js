@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const LIDARR_ENV = { LIDARR_URL: 'http://lidarr:8686', LIDARR_API_KEY: 'lidarr-key' };
+const ARTIST_MBID = '83d91898-7763-47d7-b03b-b92132375c47';
+const ALBUM_MBID = 'b1a9c0e9-d987-4042-ae91-78d6a3267d69';
+
+// `albums` answers the library album check, and may be a function of the calls made so far
+function lidarrUpstream({ library = [], albums = [] } = {}) {
+    const calls = stubFetch(({ url, method, json }) => {
+        if (url.includes('/artist?mbId=')) return library;
+        if (url.includes('/album?foreignAlbumId=')) return typeof albums === 'function' ? albums(calls) : albums;
+        if (url.endsWith('/album/monitor')) return {};
+        if (url.endsWith('/command')) return { id: 77, name: json.name, status: 'queued' };
+        if (url.includes('/artist/lookup')) return [{ artistName: 'Pink Floyd', foreignArtistId: ARTIST_MBID, images: [] }];
+        if (url.includes('/album/lookup')) {
+            return [{ title: 'The Dark Side of the Moon', foreignAlbumId: ALBUM_MBID, artist: { foreignArtistId: ARTIST_MBID } }];
+        }
+        if (url.endsWith('/qualityprofile')) return [{ id: 1, name: 'Lossless' }];
+        if (url.endsWith('/metadataprofile')) return [{ id: 3, name: 'Standard' }];
+        if (url.endsWith('/artist')) return { id: 21, ...json };
+        if (url.endsWith('/album')) return { id: 40, ...json };
+        return [];
+    });
+    return calls;
+}
+
+test('add_artist looks the artist up by MBID and posts it to /api/v1/artist', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const calls = lidarrUpstream();
+
+    const response = await invoke(proxy, {
+        service: 'lidarr',
+        action: 'add_artist',
+        data: { mbId: ARTIST_MBID, qualityProfileId: 1, rootFolderPath: '/music' }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const lookup = calls.find(c => c.url.includes('/artist/lookup'));
+    assert.equal(new URL(lookup.url).searchParams.get('term'), `lidarr:${ARTIST_MBID}`);
+    const add = calls.find(c => c.method === 'POST');
+    assert.equal(add.url, 'http://lidarr:8686/api/v1/artist');
+    assert.equal(add.json.metadataProfileId, 3);
+    assert.deepEqual(add.json.addOptions, { monitor: 'all', searchForMissingAlbums: true });
+    assert.deepEqual([response.json.data.status, response.json.data.artist.id], ['added', 21]);
+});
+
+test('add_artist returns an artist already in the library without posting it again', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const calls = lidarrUpstream({ library: [{ id: 7, artistName: 'Pink Floyd', foreignArtistId: ARTIST_MBID, monitored: false }] });
+    const addArtist = data => ({ service: 'lidarr', action: 'add_artist', data: { mbId: ARTIST_MBID, qualityProfileId: 1, rootFolderPath: '/music', ...data } });
+
+    const response = await invoke(proxy, addArtist());
+    assert.deepEqual([response.json.data.status, response.json.data.artist.id], ['exists', 7]);
+    assert.equal(calls.filter(c => c.method !== 'GET').length, 0);
+
+    await invoke(proxy, addArtist({ updateMonitoring: true }));
+    const update = calls.find(c => c.method === 'PUT');
+    assert.deepEqual([update.url, update.json.monitored], ['http://lidarr:8686/api/v1/artist/7', true]);
+});
+
+test('add_album adds a missing artist first, unmonitored and without searching', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const calls = lidarrUpstream();
+
+    const response = await invoke(proxy, {
+        service: 'lidarr',
+        action: 'add_album',
+        data: { mbId: ALBUM_MBID, qualityProfileId: 1, rootFolderPath: '/music' }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const [artistAdd, albumAdd] = calls.filter(c => c.method === 'POST');
+    assert.ok(artistAdd.url.endsWith('/artist'));
+    assert.deepEqual(artistAdd.json.addOptions, { monitor: 'none', searchForMissingAlbums: false });
+    assert.ok(albumAdd.url.endsWith('/album'));
+    assert.equal(albumAdd.json.artistId, 21);
+    assert.equal(albumAdd.json.foreignAlbumId, ALBUM_MBID);
+    assert.equal(response.json.data.status, 'added');
+});
+
+test('add_album monitors an album that arrived with its new artist instead of posting a duplicate', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const listed = { id: 40, title: 'The Dark Side of the Moon', foreignAlbumId: ALBUM_MBID, monitored: false };
+    const calls = lidarrUpstream({ albums: made => (made.some(c => c.method === 'POST') ? [listed] : []) });
+
+    const response = await invoke(proxy, {
+        service: 'lidarr',
+        action: 'add_album',
+        data: { mbId: ALBUM_MBID, qualityProfileId: 1, rootFolderPath: '/music' }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const writes = calls.filter(c => c.method !== 'GET');
+    assert.deepEqual(writes.map(c => [c.method, new URL(c.url).pathname]), [
+        ['POST', '/api/v1/artist'],
+        ['PUT', '/api/v1/album/monitor'],
+        ['POST', '/api/v1/command']
+    ]);
+    assert.deepEqual(writes[1].json, { albumIds: [40], monitored: true });
+    assert.deepEqual(writes[2].json, { name: 'AlbumSearch', albumIds: [40] });
+    assert.deepEqual([response.json.data.status, response.json.data.album.monitored], ['added', true]);
+});
+
+test('add_album leaves an album that is already monitored alone', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const calls = lidarrUpstream({ albums: [{ id: 40, title: 'The Dark Side of the Moon', foreignAlbumId: ALBUM_MBID, monitored: true }] });
+
+    const response = await invoke(proxy, {
+        service: 'lidarr',
+        action: 'add_album',
+        data: { mbId: ALBUM_MBID, qualityProfileId: 1, rootFolderPath: '/music' }
+    });
+
+    assert.equal(response.json.data.status, 'exists');
+    assert.equal(calls.filter(c => c.method !== 'GET').length, 0);
+});
+
+test('add_album reuses an artist already in the library', async () => {
+    const proxy = loadProxy(LIDARR_ENV);
+    const calls = lidarrUpstream({ library: [{ id: 7, artistName: 'Pink Floyd', foreignArtistId: ARTIST_MBID }] });
+
+    await invoke(proxy, {
+        service: 'lidarr',
+        action: 'add_album',
+        data: { mbId: ALBUM_MBID, qualityProfileId: 1, rootFolderPath: '/music' }
+    });
+
+    const posts = calls.filter(c => c.method === 'POST');
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].json.artistId, 7);
+});
+
+test('lidarr actions report a missing configuration as 503', async () => {
+    const proxy = loadProxy();
+    const response = await invoke(proxy, { service: 'lidarr', action: 'get_artists' });
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.json.code, 'SERVICE_NOT_CONFIGURED');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+const MOVIES = [
+    { id: 1, title: 'Heat', year: 1995, tmdbId: 949, monitored: true, hasFile: true, tags: [2], qualityProfileId: 1, added: '2024-01-10T00:00:00Z', images: [{}], statistics: { sizeOnDisk: 100, movieFileCount: 1 } },
+    { id: 2, title: 'Alien', year: 1979, tmdbId: 348, monitored: false, hasFile: true, tags: [], qualityProfileId: 4, added: '2025-03-01T00:00:00Z', images: [{}] },
+    { id: 3, title: 'Collateral', year: 2004, tmdbId: 1538, monitored: true, hasFile: false, tags: [2], qualityProfileId: 1, added: '2025-06-01T00:00:00Z', images: [{}] },
+    { id: 4, title: 'Thief', tmdbId: 11524, monitored: true, hasFile: false, tags: [], qualityProfileId: 1, added: '2025-07-01T00:00:00Z', images: [{}] }
+];
+
+async function getMovies(data) {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => MOVIES);
+    return await invoke(proxy, { service: 'radarr', action: 'get_movies', data });
+}
+
+test('without paging the full library comes back as a plain array', async () => {
+    const response = await getMovies();
+    assert.equal(response.json.data.length, 4);
+});
+
+test('page and pageSize wrap the records with totals', async () => {
+    const response = await getMovies({ page: 2, pageSize: 3, fields: 'id' });
+    assert.deepEqual(response.json.data, { page: 2, pageSize: 3, totalRecords: 4, records: [{ id: 4 }] });
+});
+
+test('sorting puts items without a value last in either direction', async () => {
+    const asc = await getMovies({ sortKey: 'year', fields: ['id'] });
+    assert.deepEqual(asc.json.data.map(m => m.id), [2, 1, 3, 4]);
+
+    const desc = await getMovies({ sortKey: 'year', sortDirection: 'desc', fields: ['id'] });
+    assert.deepEqual(desc.json.data.map(m => m.id), [3, 1, 2, 4]);
+});
+
+test('filters combine and see coerced values', async () => {
+    const response = await getMovies({ monitored: 'true', hasFile: false, tag: '2', qualityProfileId: 1, fields: 'id' });
+    assert.deepEqual(response.json.data, [{ id: 3 }]);
+
+    const recent = await getMovies({ addedSince: '2025-01-01', fields: 'id' });
+    assert.deepEqual(recent.json.data.map(m => m.id), [2, 3, 4]);
+});
+
+test('fields projects top-level and dotted paths', async () => {
+    const response = await getMovies({ fields: 'id,title,statistics.sizeOnDisk,missing', pageSize: 1 });
+    assert.deepEqual(response.json.data.records, [{ id: 1, title: 'Heat', statistics: { sizeOnDisk: 100 } }]);
+});
+
+test('an unparseable addedSince or unknown sortKey is a 400', async () => {
+    const badDate = await getMovies({ addedSince: 'last tuesday' });
+    assert.equal(badDate.statusCode, 400);
+    assert.match(badDate.json.error, /addedSince/);
+
+    const badSort = await getMovies({ sortKey: 'rating' });
+    assert.equal(badSort.statusCode, 400);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logs, muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-secret-key',
+    HEADPHONES_URL: 'http://headphones:8181',
+    HEADPHONES_API_KEY: 'headphones-secret-key',
+    PROXY_UPSTREAM_RETRIES: '0'
+};
+const lookup = { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } };
+const records = () => logs.map(l => ({ method: l.method, ...JSON.parse(l.line) }));
+
+test('*arr calls send the API key as X-Api-Key, never in the URL', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => []);
+
+    await invoke(proxy, lookup);
+
+    assert.equal(calls[0].headers['X-Api-Key'], 'radarr-secret-key');
+    assert.doesNotMatch(calls[0].url, /apikey|radarr-secret-key/i);
+});
+
+test('API keys, tokens and query secrets are redacted even from debug dumps', async () => {
+    const proxy = loadProxy({ ...ENV, LOG_LEVEL: 'debug', PROXY_AUTH_MODE: 'token', PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-long-token': 'alice' }) });
+    stubFetch(({ url }) => (url.includes('cmd=findArtist') ? jsonResponse({ message: `bad request ${url}` }, 400) : [{ title: 'Heat', apiKey: 'radarr-secret-key' }]));
+    logs.length = 0;
+
+    const auth = { headers: { Authorization: 'Bearer alice-long-token' } };
+    await invoke(proxy, { ...lookup, data: { term: 'heat', token: 'payload-secret' } }, auth);
+    await invoke(proxy, { service: 'headphones', action: 'search_artist', data: { term: 'floyd' } }, auth);
+
+    assert.ok(logs.some(l => JSON.parse(l.line).level === 'debug'));
+    const output = logs.map(l => l.line).join('\n');
+    for (const secret of ['radarr-secret-key', 'headphones-secret-key', 'alice-long-token', 'payload-secret']) {
+        assert.ok(!output.includes(secret), `${secret} leaked into the logs`);
+    }
+    assert.match(output, /\[REDACTED\]/);
+});
+
+test('LOG_LEVEL drops lower-priority lines', async () => {
+    const proxy = loadProxy({ ...ENV, LOG_LEVEL: 'warn' });
+    stubFetch(() => []);
+    logs.length = 0;
+
+    await invoke(proxy, lookup);
+
+    assert.deepEqual([...new Set(records().map(r => r.level))], ['warn']);
+});
+
+test('client errors log at warn without a stack; server errors at error with one', async () => {
+    const proxy = loadProxy(ENV);
+    stubFetch(() => jsonResponse({ message: 'boom' }, 500));
+    logs.length = 0;
+
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: {} });
+    const clientError = records().find(r => r.tag === 'PROXY' && r.level === 'warn');
+    assert.equal(clientError.method, 'warn');
+    assert.match(clientError.msg, /^VALIDATION_ERROR: /);
+    assert.equal(clientError.error, undefined);
+    assert.ok(!records().some(r => r.level === 'error'));
+
+    logs.length = 0;
+    await invoke(proxy, lookup);
+    const serverError = records().find(r => r.level === 'error');
+    assert.equal(serverError.method, 'error');
+    assert.equal(serverError.error.code, 'UPSTREAM_ERROR');
+    assert.match(serverError.error.stack, /\n\s+at /);
+});
+
+test('API keys from the config file are redacted like env secrets', async () => {
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-config-')), 'proxy.json');
+    fs.writeFileSync(configPath, JSON.stringify({ services: { radarr: { url: 'http://radarr:7878', apiKey: 'file-only-radarr-key' } } }));
+    const proxy = loadProxy({ PROXY_CONFIG_PATH: configPath, LOG_LEVEL: 'debug' });
+    stubFetch(() => jsonResponse({ message: 'Invalid key file-only-radarr-key' }, 500));
+    logs.length = 0;
+
+    const response = await invoke(proxy, lookup);
+
+    assert.equal(response.statusCode, 502);
+    assert.ok(logs.length > 0);
+    assert.ok(!logs.some(l => l.line.includes('file-only-radarr-key')), 'config file key leaked into the logs');
+});
+
+test('the stdout audit sink writes through the logger with the request id', async () => {
+    const proxy = loadProxy({ ...ENV, PROXY_AUTH_MODE: 'token', PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-long-token': 'alice' }) });
+    stubFetch(({ json }) => ({ id: 501, name: json.name, status: 'queued' }));
+    logs.length = 0;
+
+    await invoke(proxy, { service: 'radarr', action: 'run_command', data: { name: 'RssSync' } }, { headers: { Authorization: 'Bearer alice-long-token' } });
+
+    const [audit] = records().filter(r => r.tag === 'AUDIT');
+    assert.deepEqual([audit.level, audit.msg, audit.audit.caller, audit.audit.outcome], ['info', 'radarr/run_command success', 'alice', 'success']);
+    assert.equal(audit.requestId, audit.audit.requestId);
+});
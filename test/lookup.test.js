@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key'
+};
+const lookupTerm = call => new URL(call.url).searchParams.get('term');
+
+test('lookup_movie turns tmdbId and imdbId into prefixed lookup terms', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => []);
+
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { tmdbId: 949 } });
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { imdbId: 'tt0113277' } });
+    await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { term: 'heat 1995' } });
+
+    assert.deepEqual(calls.map(lookupTerm), ['tmdb:949', 'imdb:tt0113277', 'heat 1995']);
+    assert.ok(calls.every(c => c.url.startsWith('http://radarr:7878/api/v3/movie/lookup?')));
+});
+
+test('lookup_movie results are normalized and flag library membership', async () => {
+    const proxy = loadProxy(ENV);
+    stubFetch(() => [
+        { id: 12, title: 'Heat', year: 1995, tmdbId: 949, imdbId: 'tt0113277', remotePoster: 'http://img/heat.jpg' },
+        { id: 0, title: 'Heat', inCinemas: '1986-03-14T00:00:00Z', tmdbId: 9000 },
+        { title: 'Heat and Dust', year: 1983, tmdbId: 9001 }
+    ]);
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { term: 'heat', limit: 2 } });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json.data.map(m => [m.title, m.year, m.tmdbId, m.inLibrary, m.libraryId]), [
+        ['Heat', 1995, 949, true, 12],
+        ['Heat', 1986, 9000, false, undefined]
+    ]);
+    assert.equal(response.json.data[0].posterUrl, 'http://img/heat.jpg');
+    assert.equal(response.json.data[0].raw, undefined);
+});
+
+test('lookup_series uses tvdb: terms and the shared result shape', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubFetch(() => [{ id: 3, title: 'Breaking Bad', firstAired: '2008-01-20', tvdbId: 81189, images: [] }]);
+
+    const response = await invoke(proxy, { service: 'sonarr', action: 'lookup_series', data: { tvdbId: 81189 } });
+
+    assert.equal(lookupTerm(calls[0]), 'tvdb:81189');
+    assert.deepEqual(response.json.data, [{
+        type: 'series',
+        mediaType: 'series',
+        title: 'Breaking Bad',
+        year: 2008,
+        externalIds: { tvdbId: 81189 },
+        tvdbId: 81189,
+        inLibrary: true,
+        libraryId: 3,
+        service: 'sonarr',
+        addAction: 'add_series',
+        origin: 'sonarr'
+    }]);
+});
+
+test('lookup_series needs a term or a tvdbId', async () => {
+    const proxy = loadProxy(ENV);
+    const response = await invoke(proxy, { service: 'sonarr', action: 'lookup_series', data: {} });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.json.details.errors[0].fields, ['term', 'tvdbId']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const OVERSEERR_ENV = { OVERSEERR_URL: 'http://overseerr:5055', OVERSEERR_API_KEY: 'overseerr-key' };
+
+test('request_series posts the TMDB id as mediaId and keeps tvdbId alongside', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    const calls = stubFetch(() => jsonResponse({ id: 9, status: 1 }, 201));
+
+    const response = await invoke(proxy, {
+        service: 'overseerr',
+        action: 'request_series',
+        data: { tmdbId: 1396, tvdbId: 81189, seasons: [{ seasonNumber: 1 }, 2] }
+    });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(calls[0].url, 'http://overseerr:5055/api/v1/request');
+    assert.equal(calls[0].headers['X-Api-Key'], 'overseerr-key');
+    assert.deepEqual(calls[0].json, { mediaType: 'tv', mediaId: 1396, is4k: false, seasons: [1, 2], tvdbId: 81189 });
+});
+
+test('request_series without a tmdbId is rejected before reaching Overseerr', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    const calls = stubFetch(() => ({}));
+
+    const response = await invoke(proxy, { service: 'overseerr', action: 'request_series', data: { tvdbId: 81189 } });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'VALIDATION_ERROR');
+    assert.equal(calls.length, 0);
+});
+
+test('list_requests maps Overseerr status enums to names', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    const calls = stubFetch(() => ({
+        pageInfo: { results: 1 },
+        results: [{ id: 4, type: 'movie', status: 2, media: { tmdbId: 603, status: 5 }, requestedBy: { displayName: 'alice' } }]
+    }));
+
+    const response = await invoke(proxy, { service: 'overseerr', action: 'list_requests', data: { filter: 'approved', take: 5 } });
+
+    assert.equal(response.statusCode, 200);
+    const params = new URL(calls[0].url).searchParams;
+    assert.deepEqual([params.get('filter'), params.get('take'), params.get('skip')], ['approved', '5', '0']);
+    assert.equal(calls[0].headers['X-Api-Key'], 'overseerr-key');
+    const [request] = response.json.data.requests;
+    assert.deepEqual([request.status, request.mediaStatus, request.requestedBy], ['approved', 'available', 'alice']);
+    // The upstream record (with requester emails and settings) is not passed through
+    assert.equal(request.raw, undefined);
+});
+
+test('Overseerr errors are mapped and keep the API key out of the request URL', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    const calls = stubFetch(() => jsonResponse({ message: 'Request not found' }, 404));
+
+    const response = await invoke(proxy, { service: 'overseerr', action: 'approve_request', data: { requestId: 99 } });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.json.code, 'NOT_FOUND');
+    assert.equal(calls[0].headers['X-Api-Key'], 'overseerr-key');
+    assert.doesNotMatch(calls[0].url, /overseerr-key/);
+});
+
+test('approve_request, decline_request and delete_request hit the request endpoints', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    const calls = stubFetch(({ method }) => (method === 'DELETE' ? new Response(null, { status: 204 }) : { id: 4, status: 2 }));
+
+    await invoke(proxy, { service: 'overseerr', action: 'approve_request', data: { requestId: 4 } });
+    await invoke(proxy, { service: 'overseerr', action: 'decline_request', data: { id: 4 } });
+    const deleted = await invoke(proxy, { service: 'overseerr', action: 'delete_request', data: { requestId: 4 } });
+
+    assert.deepEqual(calls.map(c => `${c.method} ${new URL(c.url).pathname}`), [
+        'POST /api/v1/request/4/approve',
+        'POST /api/v1/request/4/decline',
+        'DELETE /api/v1/request/4'
+    ]);
+    assert.equal(deleted.json.data.requestId, 4);
+});
+
+test('get_media_status reports per-season availability', async () => {
+    const proxy = loadProxy(OVERSEERR_ENV);
+    stubFetch(() => ({
+        name: 'Breaking Bad',
+        mediaInfo: { status: 4, status4k: 1, seasons: [{ seasonNumber: 1, status: 5, status4k: 1 }] }
+    }));
+
+    const response = await invoke(proxy, { service: 'overseerr', action: 'get_media_status', data: { tmdbId: 1396, mediaType: 'tv' } });
+
+    assert.equal(response.json.data.status, 'partially_available');
+    assert.deepEqual(response.json.data.seasons, [{ seasonNumber: 1, status: 'available', status4k: 'unknown' }]);
+});
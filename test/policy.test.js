@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logs, muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const POLICY = {
+    defaultEffect: 'deny',
+    defaultRoles: ['guest'],
+    users: { alice: ['kids'], root: 'admin' },
+    roles: {
+        admin: [{ effect: 'allow', service: '*', action: '*' }],
+        kids: [
+            { effect: 'allow', service: 'radarr', action: ['get_movies', 'add_movie'] },
+            { id: 'kids-no-search', effect: 'deny', service: 'radarr', action: 'add_movie', when: { searchOnAdd: { ne: false } } }
+        ],
+        guest: [{ effect: 'allow', service: 'proxy', action: 'desc*' }]
+    }
+};
+
+function loadWithPolicy(policy = POLICY) {
+    const proxy = loadProxy({
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: JSON.stringify({ 'alice-token': 'alice', 'root-token': 'root', 'bob-token': 'bob' }),
+        PROXY_POLICY: typeof policy === 'string' ? policy : JSON.stringify(policy),
+        RADARR_URL: 'http://radarr:7878',
+        RADARR_API_KEY: 'radarr-key'
+    });
+    stubFetch(({ url, method, json }) => {
+        if (method === 'POST') return { id: 5, ...json };
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Heat', tmdbId: 949, year: 1995, images: [] };
+        return [];
+    });
+    return proxy;
+}
+
+const as = token => ({ headers: { Authorization: `Bearer ${token}` } });
+const addMovie = data => ({ service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies', ...data } });
+
+test('a role allow rule admits the action and everything else falls to the default deny', async () => {
+    const proxy = loadWithPolicy();
+
+    assert.equal((await invoke(proxy, { service: 'radarr', action: 'get_movies' }, as('alice-token'))).statusCode, 200);
+    const denied = await invoke(proxy, { service: 'radarr', action: 'delete_movie', data: { movieId: 1 } }, as('alice-token'));
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.json.code, 'FORBIDDEN');
+    assert.equal(denied.json.rule.id, 'default');
+});
+
+test('deny rules win and their conditions see the coerced payload with defaults', async () => {
+    const proxy = loadWithPolicy();
+
+    // searchOnAdd defaults to true, so the deny rule applies unless the caller turns it off
+    const denied = await invoke(proxy, addMovie(), as('alice-token'));
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.json.rule.id, 'kids-no-search');
+
+    assert.equal((await invoke(proxy, addMovie({ searchOnAdd: 'false' }), as('alice-token'))).statusCode, 200);
+});
+
+test('callers without roles get the default roles', async () => {
+    const proxy = loadWithPolicy();
+
+    assert.equal((await invoke(proxy, { service: 'proxy', action: 'describe' }, as('bob-token'))).statusCode, 200);
+    assert.equal((await invoke(proxy, { service: 'radarr', action: 'get_movies' }, as('bob-token'))).statusCode, 403);
+    assert.equal((await invoke(proxy, addMovie(), as('root-token'))).statusCode, 200);
+});
+
+test('a policy that fails to parse denies everything', async () => {
+    const proxy = loadWithPolicy('{ not json');
+    const response = await invoke(proxy, { service: 'proxy', action: 'describe' }, as('root-token'));
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.json.rule.id, 'policy-load-error');
+});
+
+test('decisions are logged as structured fields, denials at warn', async () => {
+    const proxy = loadWithPolicy();
+    logs.length = 0;
+
+    await invoke(proxy, { service: 'radarr', action: 'get_movies' }, as('alice-token'));
+    await invoke(proxy, addMovie(), as('alice-token'));
+
+    const decisions = logs.map(l => ({ method: l.method, record: JSON.parse(l.line) })).filter(l => l.record.tag === 'AUTHZ');
+    assert.deepEqual(decisions.map(d => [d.method, d.record.level, d.record.decision, d.record.rule]), [
+        ['log', 'info', 'allow', 'kids[0]'],
+        ['warn', 'warn', 'deny', 'kids-no-search']
+    ]);
+    assert.deepEqual(decisions[1].record.roles, ['kids']);
+    assert.equal(decisions[1].record.caller, 'alice');
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+const TOKENS = JSON.stringify({ 'alice-token': 'alice', 'bob-token': 'bob' });
+const lookup = { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } };
+const addMovie = { service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies' } };
+const limits = budgets => ({ PROXY_RATE_LIMITS: JSON.stringify(budgets) });
+const as = (token, headers = {}) => ({ headers: { Authorization: `Bearer ${token}`, ...headers } });
+const fromIp = (ip, headers = {}) => ({ headers: { 'X-Nf-Client-Connection-Ip': ip, ...headers } });
+
+function stubRadarr() {
+    return stubFetch(({ url }) => (url.includes('/movie?tmdbId=') ? [{ id: 12, title: 'Heat', tmdbId: 949 }] : []));
+}
+
+test('adds draw from their own small budget and answer 429 with Retry-After when it runs out', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ add: { capacity: 2, refillPerMinute: 2 } }) });
+    stubRadarr();
+
+    assert.equal((await invoke(proxy, addMovie)).statusCode, 200);
+    assert.equal((await invoke(proxy, addMovie)).statusCode, 200);
+    const limited = await invoke(proxy, addMovie);
+
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.json.code, 'RATE_LIMITED');
+    assert.equal(limited.headers['Retry-After'], '30');
+    assert.deepEqual(limited.json.details, { bucket: 'add', capacity: 2, refillPerMinute: 2, retryAfterSeconds: 30 });
+
+    // Reads have their own budget
+    assert.equal((await invoke(proxy, lookup)).statusCode, 200);
+});
+
+test('authenticated callers each get their own budget', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        ...limits({ read: { capacity: 1, refillPerMinute: 1 } }),
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: TOKENS
+    });
+    stubRadarr();
+
+    assert.equal((await invoke(proxy, lookup, as('alice-token'))).statusCode, 200);
+    assert.equal((await invoke(proxy, lookup, as('alice-token'))).statusCode, 429);
+    assert.equal((await invoke(proxy, lookup, as('bob-token'))).statusCode, 200);
+});
+
+test('anonymous callers are keyed by the connection IP, not X-Forwarded-For', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ read: { capacity: 1, refillPerMinute: 1 } }) });
+    stubRadarr();
+
+    assert.equal((await invoke(proxy, lookup, fromIp('203.0.113.5', { 'X-Forwarded-For': '10.0.0.1' }))).statusCode, 200);
+    assert.equal((await invoke(proxy, lookup, fromIp('203.0.113.5', { 'X-Forwarded-For': '10.0.0.2' }))).statusCode, 429);
+    assert.equal((await invoke(proxy, lookup, fromIp('203.0.113.6'))).statusCode, 200);
+});
+
+test('failed authentication attempts are throttled per IP before credentials are checked', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        ...limits({ unauthenticated: { capacity: 2, refillPerMinute: 2 } }),
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: TOKENS
+    });
+    stubRadarr();
+
+    const attacker = headers => ({ headers: { Authorization: 'Bearer guess', 'X-Nf-Client-Connection-Ip': '198.51.100.9', ...headers } });
+    assert.equal((await invoke(proxy, lookup, attacker())).statusCode, 401);
+    assert.equal((await invoke(proxy, lookup, attacker({ 'X-Forwarded-For': '10.9.9.9' }))).statusCode, 401);
+    const throttled = await invoke(proxy, lookup, attacker());
+    assert.equal(throttled.statusCode, 429);
+    assert.equal(throttled.json.details.bucket, 'unauthenticated');
+    assert.ok(throttled.headers['Retry-After']);
+
+    // Other addresses are unaffected
+    assert.equal((await invoke(proxy, lookup, as('alice-token', { 'X-Nf-Client-Connection-Ip': '198.51.100.10' }))).statusCode, 200);
+});
+
+test('callers with valid credentials behind one address do not share its unauthenticated budget', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        ...limits({ unauthenticated: { capacity: 1, refillPerMinute: 1 } }),
+        PROXY_AUTH_MODE: 'token',
+        PROXY_AUTH_TOKENS: TOKENS
+    });
+    stubRadarr();
+
+    const household = token => as(token, { 'X-Nf-Client-Connection-Ip': '192.0.2.1' });
+    for (const token of ['alice-token', 'bob-token', 'alice-token', 'bob-token']) {
+        assert.equal((await invoke(proxy, lookup, household(token))).statusCode, 200);
+    }
+
+    // One failed attempt spends it, and then even valid credentials from that address wait
+    assert.equal((await invoke(proxy, lookup, household('guess'))).statusCode, 401);
+    assert.equal((await invoke(proxy, lookup, household('alice-token'))).statusCode, 429);
+});
+
+test('anonymous requests draw from the unauthenticated budget', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ unauthenticated: { capacity: 1, refillPerMinute: 1 } }) });
+    stubRadarr();
+
+    assert.equal((await invoke(proxy, lookup, fromIp('203.0.113.5'))).statusCode, 200);
+    const limited = await invoke(proxy, lookup, fromIp('203.0.113.5'));
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.json.details.bucket, 'unauthenticated');
+});
+
+test('a search is charged for every upstream call it makes', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        SONARR_URL: 'http://sonarr:8989',
+        SONARR_API_KEY: 'sonarr-key',
+        HEADPHONES_URL: 'http://headphones:8181',
+        HEADPHONES_API_KEY: 'hp-key',
+        ...limits({ read: { capacity: 4, refillPerMinute: 1 } })
+    });
+    const calls = stubFetch(() => []);
+    const search = data => ({ service: 'proxy', action: 'search', data: { term: 'heat', ...data } });
+
+    // Radarr, Sonarr and three Headphones calls
+    const everything = await invoke(proxy, search());
+    assert.equal(everything.statusCode, 429);
+    assert.equal(calls.length, 0);
+
+    assert.equal((await invoke(proxy, search({ mediaTypes: ['movie', 'series'] }))).statusCode, 200);
+    assert.equal((await invoke(proxy, search({ mediaTypes: ['movie', 'series'] }))).statusCode, 200);
+    assert.equal((await invoke(proxy, search({ mediaTypes: ['movie'] }))).statusCode, 429);
+});
+
+test('import lookups are charged one by one', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ read: { capacity: 3, refillPerMinute: 1 } }) });
+    const calls = stubFetch(() => [{ title: 'Heat', year: 1995, tmdbId: 949 }]);
+    const content = ['Title,Year', 'Heat,1995', 'Heat,1995', 'Heat,1995', 'Heat,1995'].join('\n');
+
+    const response = await invoke(proxy, { service: 'import', action: 'import_list', data: { content, source: 'generic', concurrency: 1 } });
+
+    // The request itself and two lookups fit the budget
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json.data.rows.map(r => r.code || r.status), ['matched', 'matched', 'RATE_LIMITED', 'RATE_LIMITED']);
+    assert.equal(calls.length, 2);
+});
+
+test('batch operations are charged one by one', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ add: { capacity: 1, refillPerMinute: 1 } }) });
+    stubRadarr();
+
+    const response = await invoke(proxy, { service: 'proxy', action: 'batch', data: { concurrency: 1, operations: [addMovie, addMovie] } });
+
+    assert.deepEqual(response.json.data.results.map(r => r.code || r.status), ['exists', 'RATE_LIMITED']);
+});
+
+test('a failing shared store lets requests through', async () => {
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-ratelimit-')), 'store.js');
+    fs.writeFileSync(storePath, "module.exports = { take: async () => { throw new Error('redis down'); } };\n");
+    const proxy = loadProxy({ ...RADARR_ENV, ...limits({ read: { capacity: 1, refillPerMinute: 1 } }), PROXY_RATE_LIMIT_STORE: storePath });
+    stubRadarr();
+
+    assert.equal((await invoke(proxy, lookup)).statusCode, 200);
+    assert.equal((await invoke(proxy, lookup)).statusCode, 200);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const ENV = {
+    RADARR_URL: 'http://radarr:7878',
+    RADARR_API_KEY: 'radarr-key',
+    SONARR_URL: 'http://sonarr:8989',
+    SONARR_API_KEY: 'sonarr-key',
+    HEADPHONES_URL: 'http://headphones:8181',
+    HEADPHONES_API_KEY: 'hp-key',
+    PROXY_UPSTREAM_RETRY_BASE_MS: '0'
+};
+const search = data => ({ service: 'proxy', action: 'search', data });
+
+function stubServices(overrides = {}) {
+    return stubFetch(call => {
+        const { url } = call;
+        for (const [fragment, reply] of Object.entries(overrides)) {
+            if (url.includes(fragment)) return reply(call);
+        }
+        if (url.includes('/movie/lookup')) {
+            return [
+                { id: 12, title: 'Heat', year: 1995, tmdbId: 949, images: [{ coverType: 'poster', remoteUrl: 'http://img/heat.jpg' }] },
+                { title: 'Heat', year: 1986, tmdbId: 9000, images: [] }
+            ];
+        }
+        if (url.includes('/series/lookup')) return [{ title: 'Heat Wave', year: 2009, tvdbId: 4242, images: [] }];
+        if (url.includes('cmd=findArtist')) return [{ artistName: 'Heatmiser', id: 'mb-1' }];
+        if (url.includes('cmd=findAlbum')) return [];
+        if (url.includes('cmd=getIndex')) return [{ ArtistID: 'mb-1' }];
+        return [];
+    });
+}
+
+test('results from every configured service come back in one normalized list', async () => {
+    const proxy = loadProxy(ENV);
+    stubServices();
+
+    const response = await invoke(proxy, search({ term: 'heat' }));
+
+    assert.equal(response.statusCode, 200);
+    const { services, results, errors } = response.json.data;
+    assert.deepEqual(services, ['radarr', 'sonarr', 'headphones']);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(results.map(r => [r.mediaType, r.service, r.inLibrary]), [
+        ['movie', 'radarr', true],
+        ['movie', 'radarr', false],
+        ['series', 'sonarr', false],
+        ['artist', 'headphones', true]
+    ]);
+    assert.deepEqual(results[0].externalIds, { tmdbId: 949 });
+    assert.equal(results[0].posterUrl, 'http://img/heat.jpg');
+    assert.equal(results[0].addAction, 'add_movie');
+    assert.equal(results[0].raw, undefined);
+});
+
+test('mediaTypes and limit narrow the fan-out', async () => {
+    const proxy = loadProxy(ENV);
+    const calls = stubServices();
+
+    const response = await invoke(proxy, search({ query: 'heat', mediaTypes: ['movie'], limit: 1 }));
+
+    assert.deepEqual(response.json.data.services, ['radarr']);
+    assert.equal(response.json.data.total, 1);
+    assert.ok(calls.every(c => c.url.startsWith('http://radarr:7878')));
+
+    const invalid = await invoke(proxy, search({ term: 'heat', mediaTypes: ['podcast'] }));
+    assert.equal(invalid.statusCode, 400);
+});
+
+test('a failing or slow service is reported in errors without failing the search', async () => {
+    const proxy = loadProxy({ ...ENV, HEADPHONES_TIMEOUT_MS: '1000', PROXY_UPSTREAM_RETRIES: '0' });
+    stubServices({
+        '/series/lookup': () => jsonResponse({ message: 'boom' }, 500),
+        // Hangs until the proxy's own upstream timeout aborts it
+        'cmd=findArtist': ({ signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+    });
+
+    const response = await invoke(proxy, search({ term: 'heat', timeoutMs: 500 }));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.data.results.length, 2);
+    assert.deepEqual(response.json.data.errors.map(e => [e.service, e.code]), [
+        ['sonarr', 'UPSTREAM_ERROR'],
+        ['headphones', 'UPSTREAM_TIMEOUT']
+    ]);
+});
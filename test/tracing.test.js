@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logs, muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+const lookup = { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } };
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const records = () => logs.map(l => JSON.parse(l.line));
+
+test('a valid X-Request-Id is echoed; anything else is replaced with a generated id', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => []);
+
+    const given = await invoke(proxy, lookup, { headers: { 'x-request-id': 'client-42' } });
+    assert.equal(given.headers['X-Request-Id'], 'client-42');
+
+    const invalid = await invoke(proxy, lookup, { headers: { 'X-Request-Id': 'has spaces\nand newlines' } });
+    assert.match(invalid.headers['X-Request-Id'], /^[0-9a-f-]{36}$/);
+
+    const generated = await invoke(proxy, lookup);
+    assert.match(generated.headers['X-Request-Id'], /^[0-9a-f-]{36}$/);
+    assert.notEqual(generated.headers['X-Request-Id'], invalid.headers['X-Request-Id']);
+});
+
+test('upstream calls continue an incoming traceparent with a fresh span id each', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(({ url }) => (url.includes('/movie/lookup/tmdb') ? { title: 'Heat', tmdbId: 949, images: [] } : []));
+
+    await invoke(proxy, { service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies' } }, {
+        headers: { traceparent: `00-${TRACE_ID}-00f067aa0ba902b7-01` }
+    });
+
+    const spans = calls.map(c => c.headers.traceparent.split('-'));
+    assert.ok(spans.length > 1);
+    assert.ok(spans.every(([version, traceId, , flags]) => version === '00' && traceId === TRACE_ID && flags === '01'));
+    assert.equal(new Set(spans.map(s => s[2])).size, spans.length);
+    assert.ok(!spans.some(s => s[2] === '00f067aa0ba902b7'));
+});
+
+test('without a traceparent a new trace is started per request', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(() => []);
+
+    await invoke(proxy, lookup);
+    await invoke(proxy, lookup);
+
+    const [first, second] = calls.map(c => c.headers.traceparent.split('-')[1]);
+    assert.match(first, /^[0-9a-f]{32}$/);
+    assert.notEqual(first, second);
+});
+
+test('every log line of a request carries its request and trace ids', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    stubFetch(() => []);
+    logs.length = 0;
+
+    await invoke(proxy, lookup, { headers: { 'X-Request-Id': 'req-7', traceparent: `00-${TRACE_ID}-00f067aa0ba902b7-01` } });
+
+    const lines = records();
+    assert.ok(lines.every(r => r.requestId === 'req-7' && r.traceId === TRACE_ID));
+    const upstream = lines.find(r => r.tag === 'UPSTREAM');
+    assert.deepEqual([upstream.service, upstream.action, upstream.path, upstream.outcome], ['radarr', 'lookup_movie', '/api/v3/movie/lookup', 'success']);
+    const completed = lines.find(r => r.msg === 'Request completed');
+    assert.deepEqual([completed.statusCode, completed.outcome], [200, 'success']);
+    assert.equal(typeof completed.durationMs, 'number');
+});
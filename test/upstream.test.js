@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke, jsonResponse } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key', PROXY_UPSTREAM_RETRY_BASE_MS: '0' };
+const lookup = { service: 'radarr', action: 'lookup_movie', data: { term: 'heat' } };
+const addMovie = { service: 'radarr', action: 'add_movie', data: { tmdbId: 949, qualityProfileId: 1, rootFolderPath: '/movies' } };
+
+test('a slow upstream is aborted after its timeout', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, RADARR_TIMEOUT_MS: '50', PROXY_UPSTREAM_RETRIES: '0' });
+    stubFetch(({ signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason))));
+
+    const response = await invoke(proxy, lookup);
+
+    assert.equal(response.statusCode, 504);
+    assert.equal(response.json.code, 'UPSTREAM_TIMEOUT');
+    assert.match(response.json.error, /within 50ms/);
+});
+
+test('GETs are retried on retryable statuses until they succeed', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const replies = [jsonResponse({}, 503), jsonResponse({}, 429), jsonResponse([{ title: 'Heat', tmdbId: 949 }])];
+    const calls = stubFetch(() => replies.shift());
+
+    const response = await invoke(proxy, lookup);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(calls.length, 3);
+    assert.equal(response.json.data[0].title, 'Heat');
+});
+
+test('retries stop after PROXY_UPSTREAM_RETRIES and non-retryable statuses are not retried', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, PROXY_UPSTREAM_RETRIES: '1' });
+    const calls = stubFetch(() => jsonResponse({}, 502));
+
+    assert.equal((await invoke(proxy, lookup)).statusCode, 502);
+    assert.equal(calls.length, 2);
+
+    const notFound = stubFetch(() => jsonResponse({}, 404));
+    assert.equal((await invoke(proxy, lookup)).statusCode, 404);
+    assert.equal(notFound.length, 1);
+});
+
+test('POSTs are never retried', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(({ url, method }) => {
+        if (method === 'POST') return jsonResponse({}, 503);
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Heat', tmdbId: 949, year: 1995, images: [] };
+        return [];
+    });
+
+    const response = await invoke(proxy, addMovie);
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(calls.filter(c => c.method === 'POST').length, 1);
+});
+
+test('the circuit opens after consecutive failures and fails fast with Retry-After', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, PROXY_UPSTREAM_RETRIES: '0', PROXY_CIRCUIT_FAILURE_THRESHOLD: '2' });
+    const calls = stubFetch(() => jsonResponse({}, 500));
+
+    await invoke(proxy, lookup);
+    await invoke(proxy, lookup);
+    const open = await invoke(proxy, lookup);
+
+    assert.equal(calls.length, 2);
+    assert.equal(open.statusCode, 503);
+    assert.equal(open.json.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(open.headers['Retry-After'], '30');
+});
+
+test('client errors do not count towards the circuit', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, PROXY_CIRCUIT_FAILURE_THRESHOLD: '2' });
+    const calls = stubFetch(() => jsonResponse({}, 404));
+
+    for (let i = 0; i < 3; i++) await invoke(proxy, lookup);
+
+    assert.equal(calls.length, 3);
+});
+
+test('after the cooldown one probe is let through and success closes the circuit', async () => {
+    const proxy = loadProxy({
+        ...RADARR_ENV,
+        PROXY_UPSTREAM_RETRIES: '0',
+        PROXY_CIRCUIT_FAILURE_THRESHOLD: '1',
+        PROXY_CIRCUIT_COOLDOWN_SECONDS: '0'
+    });
+    let healthy = false;
+    const calls = stubFetch(() => (healthy ? [] : jsonResponse({}, 500)));
+
+    await invoke(proxy, lookup);
+    healthy = true;
+
+    assert.equal((await invoke(proxy, lookup)).statusCode, 200);
+    assert.equal((await invoke(proxy, lookup)).statusCode, 200);
+    assert.equal(calls.length, 3);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole, loadProxy, stubFetch, invoke } = require('./helpers');
+
+muteConsole();
+
+const RADARR_ENV = { RADARR_URL: 'http://radarr:7878', RADARR_API_KEY: 'radarr-key' };
+
+test('every invalid field is reported at once', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(() => []);
+
+    const response = await invoke(proxy, {
+        service: 'radarr',
+        action: 'add_movie',
+        data: { tmdbId: 'abc', qualityProfileId: 0, monitored: 'maybe' }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.json.code, 'VALIDATION_ERROR');
+    assert.deepEqual(response.json.details.errors.map(e => e.field).sort(), ['monitored', 'qualityProfileId', 'rootFolderPath', 'tmdbId']);
+    assert.equal(calls.length, 0);
+});
+
+test('configured defaults still fill missing fields when another field fails to coerce', async () => {
+    const proxy = loadProxy({ ...RADARR_ENV, RADARR_QUALITY_PROFILE_ID: '4', RADARR_ROOT_FOLDER_PATH: '/movies' });
+    const calls = stubFetch(() => []);
+
+    const response = await invoke(proxy, { service: 'radarr', action: 'add_movie', data: { tmdbId: 949, monitored: 'maybe' } });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.json.details.errors, [{ field: 'monitored', message: 'must be a boolean', value: 'maybe' }]);
+    assert.equal(calls.length, 0);
+});
+
+test('string numbers and booleans are coerced and defaults applied before dispatch', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(({ url, method, json }) => {
+        if (method === 'POST') return { id: 1, ...json };
+        if (url.includes('/movie/lookup/tmdb')) return { title: 'Heat', tmdbId: 949, year: 1995, images: [] };
+        return [];
+    });
+
+    const response = await invoke(proxy, {
+        service: 'radarr',
+        action: 'add_movie',
+        data: { tmdbId: '949', qualityProfileId: '4', rootFolderPath: '/movies', searchOnAdd: 'false' }
+    });
+
+    assert.equal(response.statusCode, 200);
+    const add = calls.find(c => c.method === 'POST');
+    assert.equal(add.json.qualityProfileId, 4);
+    assert.equal(add.json.monitored, true);
+    assert.deepEqual(add.json.addOptions, { searchForMovie: false });
+});
+
+test('aliases fold into the canonical field and requireOneOf groups are enforced', async () => {
+    const proxy = loadProxy(RADARR_ENV);
+    const calls = stubFetch(() => []);
+
+    assert.equal((await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: { query: 'heat' } })).statusCode, 200);
+    assert.equal(new URL(calls[0].url).searchParams.get('term'), 'heat');
+
+    const missing = await invoke(proxy, { service: 'radarr', action: 'lookup_movie', data: {} });
+    assert.equal(missing.statusCode, 400);
+    assert.deepEqual(missing.json.details.errors[0].fields, ['term', 'tmdbId', 'imdbId']);
+});
+
+test('enum and range limits are checked', async () => {
+    const proxy = loadProxy({ OVERSEERR_URL: 'http://overseerr:5055', OVERSEERR_API_KEY: 'key' });
+    stubFetch(() => ({ results: [] }));
+
+    const response = await invoke(proxy, { service: 'overseerr', action: 'list_requests', data: { filter: 'everything', take: 500 } });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.json.details.errors.map(e => e.message), [
+        'must be one of: all, approved, available, pending, processing, unavailable, failed, deleted, completed',
+        'must be at most 100'
+    ]);
+});
+
+test('describe returns the schemas, flagging mutating actions', async () => {
+    const proxy = loadProxy();
+    const response = await invoke(proxy, { service: 'proxy', action: 'describe', data: { service: 'radarr' } });
+
+    assert.deepEqual(Object.keys(response.json.data), ['radarr']);
+    assert.equal(response.json.data.radarr.add_movie.fields.tmdbId.required, true);
+    assert.equal(response.json.data.radarr.add_movie.mutating, true);
+    assert.equal(response.json.data.radarr.lookup_movie.mutating, undefined);
+});